@@ -0,0 +1,225 @@
+// functions/_lib/aggregate.js - Grouped counts and sums over a dynamic table for reports
+//
+// ?group=x_02,created_at:month  groups by columns (field names work too); dates can be cut to
+// day, month or year. ?metrics=count,sum:x_07,avg:x_07 picks what is computed per group.
+// Values are stored as text, so sum/avg/min/max only look at values that are plain numbers.
+// distinctValues lists the values of one column with their counts, for autocomplete.
+import { DATA_COLUMNS, TIMESTAMP_COLUMNS, DELETED_COLUMN } from './tables.js';
+import { resolveColumn } from './fields.js';
+import { buildFilter, escapeLike } from './listing.js';
+
+export const AGGREGATE_FUNCTIONS = ['count', 'sum', 'avg', 'min', 'max'];
+export const DATE_PARTS = { day: '%Y-%m-%d', month: '%Y-%m', year: '%Y' };
+
+const GROUPABLE_COLUMNS = [...DATA_COLUMNS, ...TIMESTAMP_COLUMNS];
+const MAX_GROUP_COLUMNS = 3;
+const MAX_METRICS = 10;
+const DEFAULT_GROUP_LIMIT = 200;
+const MAX_GROUP_LIMIT = 1000;
+const DEFAULT_DISTINCT_LIMIT = 20;
+const MAX_DISTINCT_LIMIT = 100;
+
+// Text that is a plain number ("12", "-3.5") as REAL, anything else ("1.500.000", "12-5", "5-")
+// as NULL so it is skipped. The GLOBs together match ^-?[0-9]+(\.[0-9]+)?$: a digit or a minus
+// and a digit first, a digit last, only digits and dots after the first character, one dot at most.
+function numericExpression(column) {
+  const value = `TRIM(${column})`;
+  return `CASE WHEN (${value} GLOB '[0-9]*' OR ${value} GLOB '-[0-9]*') AND ${value} GLOB '*[0-9]'`
+    + ` AND NOT SUBSTR(${value}, 2) GLOB '*[^0-9.]*' AND NOT ${value} GLOB '*.*.*'`
+    + ` THEN CAST(${value} AS REAL) END`;
+}
+
+// "x_02,created_at:month" -> [{ key, column, part, sql }]; key is the name as requested
+export function parseGroupBy(groupParam, fieldMap = null) {
+  if (!groupParam) return [];
+
+  const groups = [];
+  for (const item of String(groupParam).split(',')) {
+    const key = item.trim();
+    if (!key) continue;
+
+    const [name, part] = key.split(':');
+    const column = resolveColumn(fieldMap, name);
+    if (!GROUPABLE_COLUMNS.includes(column)) {
+      throw new Error(`Invalid group column '${name}'. Allowed: ${GROUPABLE_COLUMNS.join(', ')} or a field name`);
+    }
+    if (part !== undefined && !DATE_PARTS[part]) {
+      throw new Error(`Invalid date grouping '${part}' on '${name}'. Allowed: ${Object.keys(DATE_PARTS).join(', ')}`);
+    }
+    if (groups.some(group => group.key === key)) {
+      throw new Error(`Group '${key}' specified more than once`);
+    }
+
+    groups.push({ key, column, part: part || null, sql: part ? `strftime('${DATE_PARTS[part]}', ${column})` : column });
+  }
+
+  if (groups.length > MAX_GROUP_COLUMNS) {
+    throw new Error(`Group by at most ${MAX_GROUP_COLUMNS} columns`);
+  }
+  return groups;
+}
+
+// "count,sum:x_07" -> [{ key, fn, column, sql }]; count is used when nothing is asked for
+export function parseMetrics(metricsParam, fieldMap = null) {
+  const items = String(metricsParam || 'count').split(',').map(item => item.trim()).filter(Boolean);
+
+  const metrics = [];
+  for (const key of items) {
+    const [fn, name] = key.split(':');
+    if (!AGGREGATE_FUNCTIONS.includes(fn)) {
+      throw new Error(`Invalid metric '${fn}'. Allowed: ${AGGREGATE_FUNCTIONS.join(', ')}`);
+    }
+    if (metrics.some(metric => metric.key === key)) {
+      throw new Error(`Metric '${key}' specified more than once`);
+    }
+
+    if (fn === 'count') {
+      if (name !== undefined) {
+        throw new Error("count takes no column; filter with x_NN[null]=false to count filled values");
+      }
+      metrics.push({ key, fn, column: null, sql: 'COUNT(*)' });
+      continue;
+    }
+
+    const column = resolveColumn(fieldMap, name);
+    if (!DATA_COLUMNS.includes(column)) {
+      throw new Error(`Metric '${key}' needs a column, e.g. ${fn}:x_07 or ${fn}:<field name>`);
+    }
+    metrics.push({ key, fn, column, sql: `${fn.toUpperCase()}(${numericExpression(column)})` });
+  }
+
+  if (metrics.length > MAX_METRICS) {
+    throw new Error(`At most ${MAX_METRICS} metrics per request`);
+  }
+  return metrics;
+}
+
+// "-count" or "x_02" -> ORDER BY on one of the requested groups or metrics
+function parseOrder(sortParam, groups, metrics) {
+  if (!sortParam) {
+    return groups.map((group, i) => `g${i} ASC`).join(', ');
+  }
+
+  const desc = sortParam.startsWith('-');
+  const key = sortParam.replace(/^[-+]/, '');
+  const groupIndex = groups.findIndex(group => group.key === key);
+  const metricIndex = metrics.findIndex(metric => metric.key === key);
+  if (groupIndex === -1 && metricIndex === -1) {
+    throw new Error(`Sort must be one of the groups or metrics: ${[...groups, ...metrics].map(item => item.key).join(', ')}`);
+  }
+
+  const alias = groupIndex !== -1 ? `g${groupIndex}` : `m${metricIndex}`;
+  const order = [`${alias} ${desc ? 'DESC' : 'ASC'}`];
+  // Ties keep the group order so the report is stable
+  groups.forEach((group, i) => {
+    if (`g${i}` !== alias) order.push(`g${i} ASC`);
+  });
+  return order.join(', ');
+}
+
+function parseReportLimit(limitParam, defaultLimit = DEFAULT_GROUP_LIMIT, maxLimit = MAX_GROUP_LIMIT) {
+  if (limitParam === null || limitParam === undefined || limitParam === '') return defaultLimit;
+
+  const limit = Number(limitParam);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error('limit must be a positive integer');
+  }
+  return Math.min(limit, maxLimit);
+}
+
+function metricValue(metric, value) {
+  if (value === null || value === undefined) return metric.fn === 'sum' ? 0 : null;
+  return metric.fn === 'avg' ? Math.round(value * 10000) / 10000 : value;
+}
+
+// Grouped metrics of the live records that match the filter.
+// options: { group, metrics, sort, limit, filter, fieldMap }
+// Returns { groups, metrics, rows: [{ <group key>: value, <metric key>: value }], totals, truncated }.
+export async function aggregateRecords(DB_PENERBIT, tableName, options = {}) {
+  const groups = parseGroupBy(options.group, options.fieldMap);
+  const metrics = parseMetrics(options.metrics, options.fieldMap);
+  const orderBy = parseOrder(options.sort, groups, metrics);
+  const limit = parseReportLimit(options.limit);
+  const filter = buildFilter(options.filter, options.fieldMap);
+
+  const where = `WHERE ${DELETED_COLUMN} IS NULL${filter.sql ? ` AND ${filter.sql}` : ''}`;
+  const metricSql = metrics.map((metric, i) => `${metric.sql} AS m${i}`);
+
+  const totalsRow = await DB_PENERBIT.prepare(`
+    SELECT ${metricSql.join(', ')} FROM ${tableName} ${where}
+  `).bind(...filter.bindings).first();
+
+  const totals = {};
+  metrics.forEach((metric, i) => { totals[metric.key] = metricValue(metric, totalsRow[`m${i}`]); });
+
+  if (groups.length === 0) {
+    return { groups: [], metrics: metrics.map(metric => metric.key), rows: [], totals, truncated: false };
+  }
+
+  const query = `
+    SELECT ${groups.map((group, i) => `${group.sql} AS g${i}`).join(', ')}, ${metricSql.join(', ')}
+    FROM ${tableName} ${where}
+    GROUP BY ${groups.map((group, i) => `g${i}`).join(', ')}
+    ORDER BY ${orderBy}
+    LIMIT ?
+  `;
+  console.log('Aggregate query:', query);
+
+  const { results } = await DB_PENERBIT.prepare(query).bind(...filter.bindings, limit + 1).all();
+
+  const rows = results.slice(0, limit).map(result => {
+    const row = {};
+    groups.forEach((group, i) => { row[group.key] = result[`g${i}`]; });
+    metrics.forEach((metric, i) => { row[metric.key] = metricValue(metric, result[`m${i}`]); });
+    return row;
+  });
+
+  return {
+    groups: groups.map(group => group.key),
+    metrics: metrics.map(metric => metric.key),
+    rows,
+    totals,
+    truncated: results.length > limit
+  };
+}
+
+// Values used in one column with how often, most used first, for autocomplete.
+// options: { column, q (prefix, case-insensitive), limit, filter, fieldMap }
+// Returns { column, values: [{ value, count }], truncated }; empty values are left out.
+export async function distinctValues(DB_PENERBIT, tableName, options = {}) {
+  if (!options.column) {
+    throw new Error('column is required, e.g. column=x_03 or a field name');
+  }
+  const column = resolveColumn(options.fieldMap, options.column);
+  if (!DATA_COLUMNS.includes(column)) {
+    throw new Error(`Invalid column '${options.column}'. Allowed: ${DATA_COLUMNS.join(', ')} or a field name`);
+  }
+
+  const limit = parseReportLimit(options.limit, DEFAULT_DISTINCT_LIMIT, MAX_DISTINCT_LIMIT);
+  const filter = buildFilter(options.filter, options.fieldMap);
+
+  const where = [`${DELETED_COLUMN} IS NULL`, `${column} IS NOT NULL`, `TRIM(${column}) != ''`];
+  const bindings = [];
+  if (options.q) {
+    where.push(`${column} LIKE ? ESCAPE '\\'`);
+    bindings.push(`${escapeLike(options.q)}%`);
+  }
+  if (filter.sql) {
+    where.push(filter.sql);
+    bindings.push(...filter.bindings);
+  }
+
+  const { results } = await DB_PENERBIT.prepare(`
+    SELECT ${column} AS value, COUNT(*) AS count FROM ${tableName}
+    WHERE ${where.join(' AND ')}
+    GROUP BY ${column}
+    ORDER BY count DESC, value ASC
+    LIMIT ?
+  `).bind(...bindings, limit + 1).all();
+
+  return {
+    column,
+    values: results.slice(0, limit).map(row => ({ value: row.value, count: row.count })),
+    truncated: results.length > limit
+  };
+}
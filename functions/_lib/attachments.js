@@ -0,0 +1,273 @@
+// functions/_lib/attachments.js - Files attached to records (covers, manuscripts, contracts)
+//
+// The files live in the R2 bucket bound as BUCKET_PENERBIT; _sys_attachments holds one row per
+// file with its record, name, type and size. Limits on size, count and MIME type are set per
+// table. A record in the trash keeps its files so a restore brings them back; they are removed
+// when the record is purged, the table truncated or dropped. The rows go first, together with
+// the records; objects that cannot be removed after that are logged.
+import { randomHex } from './crypto.js';
+
+export const ATTACHMENTS_TABLE = '_sys_attachments';
+export const ATTACHMENT_SETTINGS_TABLE = '_sys_attachment_settings';
+
+// The whole upload is held in memory while it is parsed, and an isolate has 128 MB
+const MAX_SIZE_LIMIT = 25 * 1024 * 1024;
+export const MAX_UPLOAD_BYTES = 50 * 1024 * 1024;
+const MAX_FILES_LIMIT = 100;
+
+// Files stored by one upload; they are inserted with a single statement of 4 values each
+export const MAX_FILES_PER_UPLOAD = 20;
+
+// Leading bytes read to check a file's type
+export const SNIFF_BYTES = 16;
+
+// Used until PUT /api/attachments sets a table's own limits
+export const DEFAULT_ATTACHMENT_SETTINGS = {
+  maxSize: 10 * 1024 * 1024,
+  maxFiles: 20,
+  types: [
+    'image/jpeg',
+    'image/png',
+    'image/webp',
+    'image/gif',
+    'application/pdf',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+  ]
+};
+
+// Leading bytes of the formats we can recognise; the declared type must match them
+const SIGNATURES = [
+  { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { type: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46], at8: [0x57, 0x45, 0x42, 0x50] },
+  { type: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  // docx, xlsx, epub and other zip containers
+  { type: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  // Old Office files (doc, xls)
+  { type: 'application/x-ole-storage', bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1] }
+];
+
+// Declared types stored in a container format
+const CONTAINER_TYPES = {
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'application/zip',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'application/zip',
+  'application/epub+zip': 'application/zip',
+  'application/zip': 'application/zip',
+  'application/msword': 'application/x-ole-storage',
+  'application/vnd.ms-excel': 'application/x-ole-storage'
+};
+
+// Created once per isolate instead of on every request
+let attachmentTablesReady = false;
+
+export async function ensureAttachmentTables(DB_PENERBIT) {
+  if (attachmentTablesReady) return;
+
+  await DB_PENERBIT.batch([
+    DB_PENERBIT.prepare(`
+      CREATE TABLE IF NOT EXISTS ${ATTACHMENTS_TABLE} (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        table_name TEXT NOT NULL,
+        record_id INTEGER NOT NULL,
+        object_key TEXT NOT NULL UNIQUE,
+        file_name TEXT NOT NULL,
+        content_type TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        label TEXT,
+        uploaded_at TEXT NOT NULL,
+        uploaded_by TEXT
+      )
+    `),
+    DB_PENERBIT.prepare(`
+      CREATE INDEX IF NOT EXISTS ${ATTACHMENTS_TABLE}_record ON ${ATTACHMENTS_TABLE} (table_name, record_id, id)
+    `),
+    DB_PENERBIT.prepare(`
+      CREATE TABLE IF NOT EXISTS ${ATTACHMENT_SETTINGS_TABLE} (
+        table_name TEXT PRIMARY KEY,
+        config TEXT NOT NULL
+      )
+    `)
+  ]);
+  attachmentTablesReady = true;
+}
+
+// The bucket, or null when the binding is missing
+export function attachmentBucket(env) {
+  return env.BUCKET_PENERBIT || null;
+}
+
+// Limits of a table: { maxSize, maxFiles, types, custom }
+export async function loadAttachmentSettings(DB_PENERBIT, tableName) {
+  await ensureAttachmentTables(DB_PENERBIT);
+
+  const row = await DB_PENERBIT.prepare(`
+    SELECT config FROM ${ATTACHMENT_SETTINGS_TABLE} WHERE table_name = ?
+  `).bind(tableName).first();
+
+  if (!row) return { ...DEFAULT_ATTACHMENT_SETTINGS, custom: false };
+
+  // Limits saved before MAX_SIZE_LIMIT was lowered are capped to it
+  const settings = { ...DEFAULT_ATTACHMENT_SETTINGS, ...JSON.parse(row.config), custom: true };
+  settings.maxSize = Math.min(settings.maxSize, MAX_SIZE_LIMIT);
+  return settings;
+}
+
+// Check and store a table's limits; missing keys keep their defaults
+export async function saveAttachmentSettings(DB_PENERBIT, tableName, config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('Send { maxSize, maxFiles, types }');
+  }
+  for (const key of Object.keys(config)) {
+    if (!['maxSize', 'maxFiles', 'types'].includes(key)) {
+      throw new Error(`Unknown setting '${key}'. Allowed: maxSize, maxFiles, types`);
+    }
+  }
+
+  const settings = {};
+  if (config.maxSize !== undefined) {
+    if (!Number.isInteger(config.maxSize) || config.maxSize < 1 || config.maxSize > MAX_SIZE_LIMIT) {
+      throw new Error(`maxSize must be a number of bytes from 1 to ${MAX_SIZE_LIMIT}`);
+    }
+    settings.maxSize = config.maxSize;
+  }
+  if (config.maxFiles !== undefined) {
+    if (!Number.isInteger(config.maxFiles) || config.maxFiles < 1 || config.maxFiles > MAX_FILES_LIMIT) {
+      throw new Error(`maxFiles must be a whole number from 1 to ${MAX_FILES_LIMIT}`);
+    }
+    settings.maxFiles = config.maxFiles;
+  }
+  if (config.types !== undefined) {
+    if (!Array.isArray(config.types) || config.types.length === 0
+      || !config.types.every(type => typeof type === 'string' && /^[a-z]+\/([a-z0-9][a-z0-9.+-]*|\*)$/.test(type))) {
+      throw new Error("types must be a non-empty array of MIME types such as 'image/png' or 'image/*'");
+    }
+    settings.types = [...new Set(config.types)];
+  }
+
+  await ensureAttachmentTables(DB_PENERBIT);
+  await DB_PENERBIT.prepare(`
+    INSERT INTO ${ATTACHMENT_SETTINGS_TABLE} (table_name, config) VALUES (?, ?)
+    ON CONFLICT (table_name) DO UPDATE SET config = excluded.config
+  `).bind(tableName, JSON.stringify(settings)).run();
+
+  return { ...DEFAULT_ATTACHMENT_SETTINGS, ...settings, custom: true };
+}
+
+export async function deleteAttachmentSettings(DB_PENERBIT, tableName) {
+  await ensureAttachmentTables(DB_PENERBIT);
+  const result = await DB_PENERBIT.prepare(`DELETE FROM ${ATTACHMENT_SETTINGS_TABLE} WHERE table_name = ?`).bind(tableName).run();
+  return result.meta.changes > 0;
+}
+
+// MIME type without parameters, lower-case
+export function baseContentType(contentType) {
+  return String(contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+export function typeAllowed(settings, contentType) {
+  return settings.types.some(type => type === contentType
+    || (type.endsWith('/*') && contentType.startsWith(type.slice(0, -1))));
+}
+
+function startsWith(bytes, signature, offset = 0) {
+  return signature.every((byte, i) => bytes[offset + i] === byte);
+}
+
+// Does the start of the file fit the declared type? Types we have no signature for pass.
+export function contentMatchesType(bytes, contentType) {
+  const expected = CONTAINER_TYPES[contentType] || contentType;
+  const signature = SIGNATURES.find(entry => entry.type === expected);
+  if (!signature) return true;
+  return startsWith(bytes, signature.bytes) && (!signature.at8 || startsWith(bytes, signature.at8, 8));
+}
+
+// File name for storage and Content-Disposition: no paths or control characters
+export function safeFileName(name) {
+  const base = String(name || '').split(/[\\/]/).pop().replace(/[\u0000-\u001f\u007f"]/g, '').trim();
+  return (base || 'file').slice(0, 200);
+}
+
+// Objects are grouped by table and record; the random part keeps same-named uploads apart
+export function attachmentKey(tableName, recordId, fileName) {
+  return `${tableName}/${recordId}/${randomHex(8)}-${fileName.replace(/[^A-Za-z0-9._-]/g, '_')}`;
+}
+
+// An attachment as shown by the API, with the URL to fetch it
+export function attachmentView(row) {
+  return {
+    id: row.id,
+    record_id: row.record_id,
+    file_name: row.file_name,
+    content_type: row.content_type,
+    size: row.size,
+    label: row.label,
+    uploaded_at: row.uploaded_at,
+    uploaded_by: row.uploaded_by,
+    url: `/api/contacts/${row.record_id}/files/${row.id}?table=${encodeURIComponent(row.table_name)}`
+  };
+}
+
+export async function listAttachments(DB_PENERBIT, tableName, recordId) {
+  await ensureAttachmentTables(DB_PENERBIT);
+
+  const { results } = await DB_PENERBIT.prepare(`
+    SELECT * FROM ${ATTACHMENTS_TABLE} WHERE table_name = ? AND record_id = ? ORDER BY id
+  `).bind(tableName, recordId).all();
+  return results;
+}
+
+// R2 deletes up to 1000 keys per call
+const DELETE_CHUNK_SIZE = 1000;
+
+// Removing files goes in two steps. The SELECT and DELETE below run in the same batch as the
+// records' own DELETE, so rows and records go together; the SELECT hands back the keys of
+// the objects, which are removed from the bucket afterwards.
+
+// Object keys of one record's files (recordId) or of the whole table (recordId = null)
+export function attachmentKeysStatement(DB_PENERBIT, tableName, recordId = null) {
+  if (recordId === null) {
+    return DB_PENERBIT.prepare(`SELECT object_key FROM ${ATTACHMENTS_TABLE} WHERE table_name = ?`).bind(tableName);
+  }
+  return DB_PENERBIT.prepare(`
+    SELECT object_key FROM ${ATTACHMENTS_TABLE} WHERE table_name = ? AND record_id = ?
+  `).bind(tableName, recordId);
+}
+
+// DELETE of the same rows. For one record it only applies once the record itself is gone,
+// so a purge that lost to a restore keeps the files.
+export function attachmentRowsDeleteStatement(DB_PENERBIT, tableName, recordId = null) {
+  if (recordId === null) {
+    return DB_PENERBIT.prepare(`DELETE FROM ${ATTACHMENTS_TABLE} WHERE table_name = ?`).bind(tableName);
+  }
+  return DB_PENERBIT.prepare(`
+    DELETE FROM ${ATTACHMENTS_TABLE}
+    WHERE table_name = ? AND record_id = ? AND NOT EXISTS (SELECT 1 FROM ${tableName} WHERE id_x = ?)
+  `).bind(tableName, recordId, recordId);
+}
+
+// Remove stored objects whose rows are already deleted. Failures are logged with the keys
+// left behind, not thrown: the records are gone either way. Returns the number removed.
+export async function removeAttachmentObjects(env, tableName, keys) {
+  if (keys.length === 0) return 0;
+
+  const bucket = attachmentBucket(env);
+  if (!bucket) {
+    console.error(`File storage (BUCKET_PENERBIT) is not configured, ${keys.length} files of ${tableName} left behind:`, keys);
+    return 0;
+  }
+
+  let removed = 0;
+  for (let i = 0; i < keys.length; i += DELETE_CHUNK_SIZE) {
+    const chunk = keys.slice(i, i + DELETE_CHUNK_SIZE);
+    try {
+      await bucket.delete(chunk);
+      removed += chunk.length;
+    } catch (error) {
+      console.error(`Removing ${chunk.length} files of ${tableName} failed, left behind:`, chunk, error);
+    }
+  }
+  console.log(`Removed ${removed} attachments of ${tableName}`);
+  return removed;
+}
@@ -0,0 +1,133 @@
+// functions/_lib/auth.js - API key and session authentication with per-table scopes
+//
+// Scopes: read:<table>, write:<table>, read:*, write:*, admin (implies everything).
+// Keys are sent as "Authorization: Bearer <key>" or "X-API-Key: <key>" and stored as SHA-256 hashes.
+// The ADMIN_API_KEY secret (wrangler pages secret put ADMIN_API_KEY) is an admin key used to
+// issue the first keys through /api/keys and create the first users through /api/users.
+// Browser users log in through /api/auth/login and get their scopes from their role.
+import { sha256Hex, randomHex } from './crypto.js';
+import { loadSessionUser, readSessionCookie, scopesForUser } from './users.js';
+
+export const API_KEYS_TABLE = '_sys_api_keys';
+
+// Created once per isolate instead of on every request
+let apiKeysTableReady = false;
+
+export async function ensureApiKeysTable(DB_PENERBIT) {
+  if (apiKeysTableReady) return;
+
+  await DB_PENERBIT.prepare(`
+    CREATE TABLE IF NOT EXISTS ${API_KEYS_TABLE} (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      key_prefix TEXT NOT NULL,
+      key_hash TEXT NOT NULL UNIQUE,
+      scopes TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%SZ', 'now')),
+      last_used_at TEXT,
+      revoked_at TEXT
+    )
+  `).run();
+  apiKeysTableReady = true;
+}
+
+// Valid scope strings: admin, read:*, write:buku, ...
+export function isValidScope(scope) {
+  return scope === 'admin' || /^(read|write):(\*|[a-zA-Z_][a-zA-Z0-9_]*)$/.test(scope);
+}
+
+// Does the list of granted scopes cover the required one?
+export function hasScope(scopes, required) {
+  if (scopes.includes('admin') || scopes.includes(required)) return true;
+
+  const [action] = required.split(':');
+  return action !== 'admin' && scopes.includes(`${action}:*`);
+}
+
+// Scope needed for a request method on a table
+export function scopeForMethod(method, tableName) {
+  return `${method === 'GET' || method === 'HEAD' ? 'read' : 'write'}:${tableName}`;
+}
+
+function readApiKey(request) {
+  const authorization = request.headers.get('Authorization') || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+  return (request.headers.get('X-API-Key') || '').trim();
+}
+
+// Generate a new random key: "pl_" + 40 hex characters
+export function generateApiKey() {
+  return 'pl_' + randomHex(20);
+}
+
+// Resolve the caller from an API key; returns a principal or null
+async function principalFromApiKey(context, apiKey) {
+  const { env } = context;
+  const keyHash = await sha256Hex(apiKey);
+
+  if (env.ADMIN_API_KEY && keyHash === await sha256Hex(env.ADMIN_API_KEY)) {
+    return { type: 'api_key', id: null, name: 'ADMIN_API_KEY', scopes: ['admin'] };
+  }
+
+  await ensureApiKeysTable(env.DB_PENERBIT);
+
+  const keyRow = await env.DB_PENERBIT.prepare(`
+    SELECT id, name, scopes FROM ${API_KEYS_TABLE} WHERE key_hash = ? AND revoked_at IS NULL
+  `).bind(keyHash).first();
+
+  if (!keyRow) return null;
+
+  const touch = env.DB_PENERBIT.prepare(`
+    UPDATE ${API_KEYS_TABLE} SET last_used_at = strftime('%Y-%m-%dT%H:%M:%SZ', 'now') WHERE id = ?
+  `).bind(keyRow.id).run();
+  if (context.waitUntil) context.waitUntil(touch);
+  else await touch;
+
+  return { type: 'api_key', id: keyRow.id, name: keyRow.name, scopes: JSON.parse(keyRow.scopes) };
+}
+
+// Resolve the caller from a session cookie; returns a principal or null
+async function principalFromSession(context, token) {
+  const user = await loadSessionUser(context.env.DB_PENERBIT, token);
+  if (!user) return null;
+
+  return { type: 'user', id: user.id, name: user.username, role: user.role, scopes: scopesForUser(user) };
+}
+
+// Identify the caller without checking a scope.
+// Returns { principal } or { status: 401, error }.
+export async function authenticate(context) {
+  const { request } = context;
+  const apiKey = readApiKey(request);
+  const sessionToken = readSessionCookie(request);
+
+  if (!apiKey && !sessionToken) {
+    return { status: 401, error: 'Login or API key required' };
+  }
+
+  const principal = apiKey
+    ? await principalFromApiKey(context, apiKey)
+    : await principalFromSession(context, sessionToken);
+
+  if (!principal) {
+    return { status: 401, error: apiKey ? 'Invalid or revoked API key' : 'Session expired, please log in again' };
+  }
+  return { principal };
+}
+
+// Check the caller's key or session against the required scope.
+// Returns { principal } on success or { status, error } for a 401/403 response.
+export async function authorize(context, requiredScope) {
+  const auth = await authenticate(context);
+  if (auth.error) return auth;
+
+  const { principal } = auth;
+  if (!hasScope(principal.scopes, requiredScope)) {
+    console.log(`${principal.type} '${principal.name}' lacks scope ${requiredScope}`);
+    return { status: 403, error: `You do not have the '${requiredScope}' permission` };
+  }
+
+  return { principal };
+}
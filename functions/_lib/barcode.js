@@ -0,0 +1,142 @@
+// functions/_lib/barcode.js - EAN-13 (with optional 5-digit add-on) barcodes as SVG
+//
+// Drawn in modules (the narrowest bar) and scaled to millimetres: magnification 1.0 is the
+// nominal 0.33 mm module used for book covers. Quiet zones and guard bars follow GS1.
+import { escapeXml } from './xml.js';
+
+const MODULE_MM = 0.33;
+
+// Bar patterns per digit; R is the complement of L and G is R reversed
+const L_CODES = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const R_CODES = L_CODES.map(code => code.replace(/./g, bit => (bit === '1' ? '0' : '1')));
+const G_CODES = R_CODES.map(code => [...code].reverse().join(''));
+
+// The first EAN-13 digit is not drawn; it picks L or G for the next six
+const EAN13_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+// The add-on checksum picks the parity of its five digits
+const ADDON5_PARITY = ['GGLLL', 'GLGLL', 'GLLGL', 'GLLLG', 'LGGLL', 'LLGGL', 'LLLGG', 'LGLGL', 'LGLLG', 'LLGLG'];
+
+// Layout in modules
+const QUIET_LEFT = 11;
+const QUIET_RIGHT = 7;
+const ADDON_GAP = 9;
+const BAR_HEIGHT = 69;
+const GUARD_EXTRA = 5;
+const FONT_SIZE = 9;
+const TOP_TEXT = 11;
+
+function encode(codes, digit) {
+  return (codes === 'L' ? L_CODES : codes === 'G' ? G_CODES : R_CODES)[digit];
+}
+
+export function ean13CheckDigit(first12) {
+  let sum = 0;
+  for (let i = 0; i < 12; i++) sum += Number(first12[i]) * (i % 2 === 0 ? 1 : 3);
+  return String((10 - (sum % 10)) % 10);
+}
+
+export function isValidEan13(digits) {
+  return /^\d{13}$/.test(digits) && ean13CheckDigit(digits.slice(0, 12)) === digits[12];
+}
+
+// 95 modules as a '0'/'1' string, with guard positions marked for longer bars
+function ean13Modules(digits) {
+  const parity = EAN13_PARITY[Number(digits[0])];
+  let bits = '101';
+  for (let i = 1; i <= 6; i++) bits += encode(parity[i - 1], Number(digits[i]));
+  bits += '01010';
+  for (let i = 7; i <= 12; i++) bits += encode('R', Number(digits[i]));
+  bits += '101';
+
+  const guards = new Set();
+  for (const start of [0, 45, 92]) {
+    for (let i = 0; i < (start === 45 ? 5 : 3); i++) guards.add(start + i);
+  }
+  return { bits, guards };
+}
+
+// 47 modules for the 5-digit add-on
+function addon5Modules(digits) {
+  const d = [...digits].map(Number);
+  const checksum = (3 * (d[0] + d[2] + d[4]) + 9 * (d[1] + d[3])) % 10;
+  const parity = ADDON5_PARITY[checksum];
+
+  let bits = '01011';
+  d.forEach((digit, i) => {
+    if (i > 0) bits += '01';
+    bits += encode(parity[i], digit);
+  });
+  return bits;
+}
+
+// Runs of dark modules as <rect> elements
+function barRects(bits, offset, y, height, tallModules = null, tallHeight = height) {
+  const rects = [];
+  let i = 0;
+  while (i < bits.length) {
+    if (bits[i] !== '1') {
+      i++;
+      continue;
+    }
+    const start = i;
+    const tall = tallModules && tallModules.has(i);
+    while (i < bits.length && bits[i] === '1' && (!tallModules || tallModules.has(i) === tall)) i++;
+    rects.push(`<rect x="${offset + start}" y="${y}" width="${i - start}" height="${tall ? tallHeight : height}"/>`);
+  }
+  return rects;
+}
+
+function text(x, y, value, anchor = 'middle') {
+  return `<text x="${x}" y="${y}" text-anchor="${anchor}">${escapeXml(value)}</text>`;
+}
+
+// SVG for a 13-digit EAN (an ISBN-13). options: addon (5 digits), label (text above the
+// bars, e.g. 'ISBN 978-602-...'), magnification (0.8 to 2.0)
+export function ean13Svg(digits, { addon = null, label = null, magnification = 1 } = {}) {
+  if (!isValidEan13(digits)) {
+    throw new Error(`'${digits}' is not a valid EAN-13`);
+  }
+  if (addon !== null && !/^\d{5}$/.test(addon)) {
+    throw new Error('The add-on must be 5 digits');
+  }
+
+  const { bits, guards } = ean13Modules(digits);
+  const barsTop = TOP_TEXT;
+  const digitsY = barsTop + BAR_HEIGHT + FONT_SIZE - 1;
+
+  const parts = [
+    ...barRects(bits, QUIET_LEFT, barsTop, BAR_HEIGHT, guards, BAR_HEIGHT + GUARD_EXTRA),
+    text(QUIET_LEFT - 2, digitsY, digits[0], 'end'),
+    text(QUIET_LEFT + 3 + 21, digitsY, digits.slice(1, 7)),
+    text(QUIET_LEFT + 50 + 21, digitsY, digits.slice(7))
+  ];
+  if (label) parts.push(text(QUIET_LEFT + 47.5, TOP_TEXT - 3, label));
+
+  let width = QUIET_LEFT + bits.length + QUIET_RIGHT;
+  if (addon !== null) {
+    // Add-on digits sit above its bars, which end level with the guard bars
+    const addonLeft = QUIET_LEFT + bits.length + ADDON_GAP;
+    const addonTop = barsTop + FONT_SIZE + 1;
+    const addonBits = addon5Modules(addon);
+    parts.push(...barRects(addonBits, addonLeft, addonTop, barsTop + BAR_HEIGHT + GUARD_EXTRA - addonTop));
+    parts.push(text(addonLeft + addonBits.length / 2, addonTop - 2, addon));
+    width = addonLeft + addonBits.length + 5;
+  }
+
+  const height = digitsY + 2;
+  const scale = MODULE_MM * magnification;
+  const mm = value => `${Number((value * scale).toFixed(3))}mm`;
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${mm(width)}" height="${mm(height)}" viewBox="0 0 ${width} ${height}" shape-rendering="crispEdges">`,
+    `<title>${escapeXml(label || digits)}${addon ? ` ${addon}` : ''}</title>`,
+    `<rect width="${width}" height="${height}" fill="#fff"/>`,
+    `<g fill="#000" font-family="'OCR-B', 'OCR B', 'Courier New', monospace" font-size="${FONT_SIZE}">`,
+    ...parts,
+    '</g>',
+    '</svg>',
+    ''
+  ].join('\n');
+}
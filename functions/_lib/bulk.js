@@ -0,0 +1,251 @@
+// functions/_lib/bulk.js - Check and write many record operations in one D1 batch
+//
+// Used by /api/contacts/bulk and the CSV import. Operations:
+//   { op: 'create', data: {...} }
+//   { op: 'update', id: 12, data: {...}, version: 4 }   (version is optional)
+//   { op: 'delete', id: 13, version: 4 }                (moves the record to the trash)
+import { mapInputFields } from './fields.js';
+import { loadRules, validateRecord, isbnValues, ValidationError } from './validation.js';
+import { ensureHistoryTable, historyStatement, changedColumns, dataSnapshot } from './history.js';
+import { buildInsert, buildUpdate, buildSoftDelete } from './records.js';
+import { loadWorkflow, checkWorkflowWrite } from './workflow.js';
+
+export const BULK_OPERATIONS = ['create', 'update', 'delete'];
+
+// D1 allows 100 bound parameters per statement
+const ID_CHUNK_SIZE = 90;
+
+// Never holds a row: its CHECK fails, and so rolls back the whole batch, when a write
+// before it matched nothing because its record changed after planning
+const GUARD_TABLE = '_sys_write_guard';
+const GUARD_CONSTRAINT = 'write_conflict';
+
+// Thrown by writePlanned when a record changed between the checks and the batch.
+// Nothing was written; the records concerned have status 'conflict'.
+export class WriteConflictError extends Error {
+  constructor(items) {
+    super(`${items.length} record(s) were changed by someone else`);
+    this.name = 'WriteConflictError';
+    this.items = items;
+  }
+}
+
+// Created once per isolate instead of on every request
+let guardTableReady = false;
+
+async function ensureGuardTable(DB_PENERBIT) {
+  if (guardTableReady) return;
+
+  await DB_PENERBIT.prepare(`
+    CREATE TABLE IF NOT EXISTS ${GUARD_TABLE} (
+      conflict INTEGER CONSTRAINT ${GUARD_CONSTRAINT} CHECK (conflict IS NULL)
+    )
+  `).run();
+  guardTableReady = true;
+}
+
+// Current rows for all update/delete ids, keyed by id_x
+async function loadExistingRows(DB_PENERBIT, tableName, operations) {
+  const ids = [...new Set(operations
+    .filter(operation => operation && (operation.op === 'update' || operation.op === 'delete'))
+    .map(operation => Number(operation.id))
+    .filter(id => Number.isInteger(id) && id > 0))];
+
+  const rows = new Map();
+  for (let i = 0; i < ids.length; i += ID_CHUNK_SIZE) {
+    const chunk = ids.slice(i, i + ID_CHUNK_SIZE);
+    const { results } = await DB_PENERBIT.prepare(`
+      SELECT * FROM ${tableName} WHERE id_x IN (${chunk.map(() => '?').join(', ')}) AND deleted_at IS NULL
+    `).bind(...chunk).all();
+
+    for (const row of results) rows.set(row.id_x, row);
+  }
+  return rows;
+}
+
+// Check one operation; returns { index, op, id, row, columnData } for creates and updates (their
+// SQL is built after validation), { index, op, id, row, query, values, history } for deletes,
+// or { index, op, id, error } when it cannot be run
+function checkOperation(operation, index, { tableName, fieldMap, existing, seenIds, now }) {
+  if (!operation || typeof operation !== 'object' || !BULK_OPERATIONS.includes(operation.op)) {
+    return { index, op: operation && operation.op, error: `op must be one of: ${BULK_OPERATIONS.join(', ')}` };
+  }
+
+  const { op } = operation;
+
+  try {
+    if (op === 'create') {
+      return { index, op, columnData: mapInputFields(operation.data || {}, fieldMap) };
+    }
+
+    const id = Number(operation.id);
+    if (!Number.isInteger(id) || id < 1) {
+      return { index, op, error: 'id must be a record id' };
+    }
+    if (seenIds.has(id)) {
+      return { index, op, id, error: `Record ${id} appears more than once in this request` };
+    }
+    seenIds.add(id);
+
+    const row = existing.get(id);
+    if (!row) {
+      return { index, op, id, error: `Record not found in table '${tableName}'` };
+    }
+    if (operation.version !== undefined && operation.version !== row.row_version) {
+      return { index, op, id, error: `Record was changed by someone else (current version ${row.row_version})` };
+    }
+
+    if (op === 'update') {
+      return { index, op, id, row, columnData: mapInputFields(operation.data || {}, fieldMap) };
+    }
+
+    const { query, values } = buildSoftDelete(tableName, id, row.row_version, now);
+    return {
+      index, op, id, row, query, values,
+      history: { tableName, recordId: id, action: 'delete', before: dataSnapshot(row) }
+    };
+  } catch (error) {
+    return { index, op, id: operation.id, error: error.message };
+  }
+}
+
+// Build the SQL of a validated create or update
+function buildWrite(item, { tableName, now, skipUnchanged }) {
+  try {
+    if (item.op === 'create') {
+      const { query, values } = buildInsert(tableName, item.columnData, now);
+      Object.assign(item, { query, values, history: { tableName, action: 'create', after: dataSnapshot(item.columnData) } });
+      return;
+    }
+
+    const changes = changedColumns(item.row, item.columnData);
+    if (skipUnchanged && Object.keys(changes.after).length === 0) {
+      item.unchanged = true;
+      return;
+    }
+    const { query, values } = buildUpdate(tableName, item.id, item.row.row_version, item.columnData, now);
+    Object.assign(item, { query, values, history: { tableName, recordId: item.id, action: 'update', ...changes } });
+  } catch (error) {
+    item.error = error.message;
+  }
+}
+
+// Check all operations: field names, validation rules, record exists, optional version.
+// Returns the planned items; items that cannot run have an error (and errors for rule failures).
+// skipUnchanged: updates that would not change any value are marked unchanged and not written.
+export async function planOperations(DB_PENERBIT, tableName, operations, { fieldMap, now, skipUnchanged = false }) {
+  const rules = await loadRules(DB_PENERBIT, tableName);
+  const workflow = await loadWorkflow(DB_PENERBIT, tableName);
+  const existing = await loadExistingRows(DB_PENERBIT, tableName, operations);
+
+  const seenIds = new Set();
+  const planned = operations.map((operation, index) =>
+    checkOperation(operation, index, { tableName, fieldMap, existing, seenIds, now }));
+
+  // Workflow status and validation rules, checked with the same rules object for every item
+  for (const item of planned) {
+    if (item.error || !item.columnData) continue;
+    try {
+      checkWorkflowWrite(workflow, item.columnData, { current: item.row, fieldMap });
+      await validateRecord(DB_PENERBIT, tableName, item.columnData, { partial: item.op === 'update', fieldMap, rules, recordId: item.id });
+    } catch (error) {
+      if (!(error instanceof ValidationError)) throw error;
+      item.error = error.message;
+      item.errors = error.errors;
+    }
+  }
+
+  // ISBNs must also be unique within the request
+  const seenIsbns = new Set();
+  for (const item of planned) {
+    if (item.error || !item.columnData) continue;
+    for (const { column, isbn } of isbnValues(item.columnData, rules)) {
+      const key = `${column}:${isbn}`;
+      if (seenIsbns.has(key)) {
+        const field = fieldMap.byColumn[column] || column;
+        item.error = 'Validation failed for 1 field(s)';
+        item.errors = [{ field, column, message: `${field} ${isbn} appears more than once in this request` }];
+        break;
+      }
+      seenIsbns.add(key);
+    }
+  }
+
+  for (const item of planned) {
+    if (!item.error && item.columnData) buildWrite(item, { tableName, now, skipUnchanged });
+  }
+
+  return planned;
+}
+
+// Write planned items (all without errors) in one batch, each followed by its history row.
+// The batch commits or rolls back as a whole: when an update or delete matches nothing
+// because its record changed since planning, nothing is written and WriteConflictError is
+// thrown with those items marked. Returns a result per item.
+export async function writePlanned(DB_PENERBIT, tableName, planned, principal, now) {
+  await ensureHistoryTable(DB_PENERBIT);
+  await ensureGuardTable(DB_PENERBIT);
+
+  const toWrite = planned.filter(item => !item.unchanged);
+  if (toWrite.length === 0) return planned.map(item => bulkResult(item));
+
+  // Every write is followed by its history row, which is only inserted when the write
+  // changed a row; for updates and deletes the guard then checks that it was
+  const statements = [];
+  const writeIndexes = new Map();
+  for (const item of toWrite) {
+    writeIndexes.set(item, statements.length);
+    statements.push(DB_PENERBIT.prepare(item.query).bind(...item.values));
+    statements.push(historyStatement(DB_PENERBIT, { ...item.history, principal, changedAt: now }));
+    if (item.op !== 'create') {
+      statements.push(DB_PENERBIT.prepare(`INSERT INTO ${GUARD_TABLE} (conflict) SELECT 1 WHERE changes() = 0`));
+    }
+  }
+
+  let batchResults;
+  try {
+    batchResults = await DB_PENERBIT.batch(statements);
+  } catch (error) {
+    if (!String(error.message).includes(GUARD_CONSTRAINT)) throw error;
+    throw new WriteConflictError(await markConflicts(DB_PENERBIT, tableName, toWrite));
+  }
+
+  return planned.map(item => {
+    const result = bulkResult(item);
+    if (item.unchanged) return result;
+
+    const writeResult = batchResults[writeIndexes.get(item)];
+    if (item.op === 'create') result.id_x = writeResult.meta.last_row_id;
+    result.changes = writeResult.meta.changes;
+    return result;
+  });
+}
+
+// After a rolled back batch: mark the updates and deletes whose record is gone or has
+// another version than the one that was planned, and return them
+async function markConflicts(DB_PENERBIT, tableName, items) {
+  const current = await loadExistingRows(DB_PENERBIT, tableName, items);
+
+  const conflicts = items.filter(item => {
+    if (item.op === 'create') return false;
+    const row = current.get(item.id);
+    return !row || row.row_version !== item.row.row_version;
+  });
+  for (const item of conflicts) {
+    const row = current.get(item.id);
+    item.conflict = true;
+    item.error = row
+      ? `Record was changed by someone else (current version ${row.row_version})`
+      : 'Record was deleted by someone else';
+  }
+  return conflicts;
+}
+
+// Result entry for one item; okStatus replaces created/updated/deleted when nothing was written
+export function bulkResult(item, okStatus = null) {
+  if (item.error) {
+    return { index: item.index, op: item.op, id_x: item.id, status: item.conflict ? 'conflict' : 'error', error: item.error, errors: item.errors };
+  }
+  const status = item.unchanged ? 'unchanged' : okStatus || { create: 'created', update: 'updated', delete: 'deleted' }[item.op];
+  return { index: item.index, op: item.op, id_x: item.id, status };
+}
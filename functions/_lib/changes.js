@@ -0,0 +1,144 @@
+// functions/_lib/changes.js - Incremental change feed of a dynamic table, for clients that sync
+//
+// Every write through the contacts handlers adds a row to _sys_history, so its id is the
+// position in the feed. A client without a cursor first pages through the live records
+// (the snapshot), then continues from the history position taken when the snapshot started;
+// records that changed during the snapshot are simply sent again. Each change carries the
+// record as it is now, or a tombstone when it is in the trash or gone for good.
+import { HISTORY_TABLE, ensureHistoryTable } from './history.js';
+
+// D1 allows 100 bound parameters per statement
+const ID_CHUNK_SIZE = 90;
+
+// Cursor is base64url JSON: { t: table, h: history id, s: last id_x while in the snapshot }
+function encodeChangeCursor(values) {
+  const bytes = new TextEncoder().encode(JSON.stringify(values));
+  const binary = String.fromCharCode(...bytes);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeChangeCursor(cursor, tableName) {
+  let values;
+  try {
+    const binary = atob(cursor.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    values = JSON.parse(new TextDecoder().decode(bytes));
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+
+  if (!values || !Number.isInteger(values.h) || values.h < 0
+    || (values.s !== undefined && !Number.isInteger(values.s))) {
+    throw new Error('Invalid cursor');
+  }
+  if (values.t !== tableName) {
+    throw new Error(`Cursor belongs to table '${values.t}', not '${tableName}'`);
+  }
+  return values;
+}
+
+// Feed position of the newest change in any table
+export async function latestHistoryId(DB_PENERBIT) {
+  await ensureHistoryTable(DB_PENERBIT);
+
+  const row = await DB_PENERBIT.prepare(`SELECT MAX(id) AS id FROM ${HISTORY_TABLE}`).first();
+  return row.id || 0;
+}
+
+// Current rows by id_x, trashed ones included
+async function loadRows(DB_PENERBIT, tableName, ids) {
+  const rows = new Map();
+  for (let i = 0; i < ids.length; i += ID_CHUNK_SIZE) {
+    const chunk = ids.slice(i, i + ID_CHUNK_SIZE);
+    const { results } = await DB_PENERBIT.prepare(`
+      SELECT * FROM ${tableName} WHERE id_x IN (${chunk.map(() => '?').join(', ')})
+    `).bind(...chunk).all();
+
+    for (const row of results) rows.set(row.id_x, row);
+  }
+  return rows;
+}
+
+// Live records after id_x = position.s, in id order
+async function readSnapshot(DB_PENERBIT, tableName, position, limit) {
+  const { results } = await DB_PENERBIT.prepare(`
+    SELECT * FROM ${tableName} WHERE id_x > ? AND deleted_at IS NULL ORDER BY id_x LIMIT ?
+  `).bind(position.s, limit + 1).all();
+
+  const rows = results.slice(0, limit);
+  const snapshotDone = results.length <= limit;
+  const next = snapshotDone
+    ? { t: tableName, h: position.h }
+    : { t: tableName, h: position.h, s: rows[rows.length - 1].id_x };
+
+  return {
+    phase: 'snapshot',
+    changes: rows.map(row => ({ op: 'upsert', id_x: row.id_x, seq: null, changed_at: row.updated_at, record: row })),
+    cursor: encodeChangeCursor(next),
+    // The feed itself may already have changes waiting
+    hasMore: true
+  };
+}
+
+// Records changed after history id afterId, each once at its latest change, oldest first.
+// Returns { changes: [{ op, id_x, seq, action, changed_at, changed_by, record }], last, hasMore }
+// where last is the seq to continue from.
+export async function changesAfter(DB_PENERBIT, tableName, afterId, limit) {
+  await ensureHistoryTable(DB_PENERBIT);
+
+  const { results } = await DB_PENERBIT.prepare(`
+    SELECT id, record_id, action, changed_at, changed_by FROM ${HISTORY_TABLE}
+    WHERE id IN (
+      SELECT MAX(id) FROM ${HISTORY_TABLE} WHERE table_name = ? AND id > ? GROUP BY record_id
+    )
+    ORDER BY id
+    LIMIT ?
+  `).bind(tableName, afterId, limit + 1).all();
+
+  const entries = results.slice(0, limit);
+  const rows = await loadRows(DB_PENERBIT, tableName, entries.map(entry => entry.record_id));
+
+  const changes = entries.map(entry => {
+    const row = rows.get(entry.record_id);
+    const live = row && !row.deleted_at;
+    return {
+      op: live ? 'upsert' : 'delete',
+      id_x: entry.record_id,
+      seq: entry.id,
+      action: entry.action,
+      changed_at: entry.changed_at,
+      changed_by: entry.changed_by,
+      record: live ? row : null
+    };
+  });
+
+  return {
+    changes,
+    last: entries.length > 0 ? entries[entries.length - 1].id : afterId,
+    hasMore: results.length > limit
+  };
+}
+
+async function readFeed(DB_PENERBIT, tableName, position, limit) {
+  const { changes, last, hasMore } = await changesAfter(DB_PENERBIT, tableName, position.h, limit);
+  return {
+    phase: 'changes',
+    changes,
+    cursor: encodeChangeCursor({ t: tableName, h: last }),
+    hasMore
+  };
+}
+
+// One page of the feed. cursor: the value from the previous page, or null to start with a snapshot.
+// Returns { phase, changes: [{ op, id_x, seq, changed_at, record, ... }], cursor, hasMore }.
+export async function readChanges(DB_PENERBIT, tableName, cursor, limit) {
+  await ensureHistoryTable(DB_PENERBIT);
+
+  const position = cursor
+    ? decodeChangeCursor(cursor, tableName)
+    : { t: tableName, h: await latestHistoryId(DB_PENERBIT), s: 0 };
+
+  return position.s !== undefined
+    ? readSnapshot(DB_PENERBIT, tableName, position, limit)
+    : readFeed(DB_PENERBIT, tableName, position, limit);
+}
@@ -0,0 +1,58 @@
+// functions/_lib/confirm.js - Single-use confirmation tokens for destructive admin actions
+//
+// The first request gets a 428 with a token; repeating it with ?confirm=<token>
+// (or X-Confirm-Token) within a few minutes carries out the action.
+import { randomHex, sha256Hex } from './crypto.js';
+
+export const CONFIRM_TABLE = '_sys_confirm_tokens';
+
+const CONFIRM_TTL_SECONDS = 5 * 60;
+
+// Created once per isolate instead of on every request
+let confirmTableReady = false;
+
+async function ensureConfirmTable(DB_PENERBIT) {
+  if (confirmTableReady) return;
+
+  await DB_PENERBIT.prepare(`
+    CREATE TABLE IF NOT EXISTS ${CONFIRM_TABLE} (
+      token_hash TEXT PRIMARY KEY,
+      action TEXT NOT NULL,
+      target TEXT NOT NULL,
+      expires_at TEXT NOT NULL
+    )
+  `).run();
+  confirmTableReady = true;
+}
+
+export function readConfirmToken(request, url) {
+  return url.searchParams.get('confirm') || request.headers.get('X-Confirm-Token') || null;
+}
+
+// Issue a token for one action on one target, e.g. ('drop', 'buku')
+export async function issueConfirmToken(DB_PENERBIT, action, target) {
+  await ensureConfirmTable(DB_PENERBIT);
+
+  const token = randomHex(16);
+  const expiresAt = new Date(Date.now() + CONFIRM_TTL_SECONDS * 1000).toISOString();
+
+  await DB_PENERBIT.batch([
+    DB_PENERBIT.prepare(`DELETE FROM ${CONFIRM_TABLE} WHERE expires_at <= ?`).bind(new Date().toISOString()),
+    DB_PENERBIT.prepare(`
+      INSERT INTO ${CONFIRM_TABLE} (token_hash, action, target, expires_at) VALUES (?, ?, ?, ?)
+    `).bind(await sha256Hex(token), action, target, expiresAt)
+  ]);
+
+  return { token, expiresAt };
+}
+
+// Use up a token; true only if it was issued for this action and target and has not expired
+export async function consumeConfirmToken(DB_PENERBIT, token, action, target) {
+  await ensureConfirmTable(DB_PENERBIT);
+
+  const result = await DB_PENERBIT.prepare(`
+    DELETE FROM ${CONFIRM_TABLE} WHERE token_hash = ? AND action = ? AND target = ? AND expires_at > ?
+  `).bind(await sha256Hex(token), action, target, new Date().toISOString()).run();
+
+  return result.meta.changes > 0;
+}
@@ -0,0 +1,97 @@
+// functions/_lib/csv.js - CSV reading and writing for table import and export
+//
+// Output is UTF-8 with a BOM and CRLF line ends so Excel opens it with the right encoding.
+// Indonesian Excel uses ';' as the list separator, so the delimiter can be ',' or ';' and is
+// detected from the header line when not given.
+
+export const CSV_DELIMITERS = [',', ';'];
+
+const BOM = '\uFEFF';
+
+// Cells starting with these are run as formulas by spreadsheet programs
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeCell(value, delimiter) {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  // Prefix possible formulas with a quote, unless it is a plain negative number
+  if (FORMULA_PREFIX.test(text) && !/^-\d+([.,]\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+  if (text.includes('"') || text.includes(delimiter) || text.includes('\n') || text.includes('\r')) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+// rows: array of objects; columns: [{ key, header }]
+export function toCsv(rows, columns, delimiter = ',') {
+  const lines = [columns.map(column => escapeCell(column.header, delimiter)).join(delimiter)];
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCell(row[column.key], delimiter)).join(delimiter));
+  }
+  return BOM + lines.join('\r\n') + '\r\n';
+}
+
+// Undo the formula quote added by toCsv
+export function unescapeCell(text) {
+  return /^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text;
+}
+
+// Pick ',' or ';' by counting them in the header line (outside quotes)
+export function detectDelimiter(text) {
+  const firstLine = text.replace(/^\uFEFF/, '').split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  const commas = firstLine.split(',').length;
+  const semicolons = firstLine.split(';').length;
+  return semicolons > commas ? ';' : ',';
+}
+
+// Parse CSV text into an array of rows (arrays of strings). Handles quoted cells with
+// delimiters, quotes and line breaks. Blank lines are skipped.
+export function parseCsv(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  let i = text.startsWith(BOM) ? 1 : 0;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV ends inside a quoted cell');
+  }
+  if (cell !== '' || row.length > 0) endRow();
+
+  return rows;
+}
@@ -0,0 +1,15 @@
+// functions/_lib/etag.js - ETag / If-Match handling based on the row_version column
+
+export function etagForVersion(version) {
+  return `"${version}"`;
+}
+
+// Does the request's If-Match header allow writing a row at this version?
+// No header means the client does not use concurrency control, so the write goes ahead.
+export function ifMatchSatisfied(request, version) {
+  const ifMatch = request.headers.get('If-Match');
+  if (!ifMatch) return true;
+
+  const tags = ifMatch.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+  return tags.includes('*') || tags.includes(etagForVersion(version));
+}
@@ -0,0 +1,131 @@
+// functions/_lib/fields.js - Per-table field names mapped onto the x_01..x_20 columns
+import { DATA_COLUMNS, TIMESTAMP_COLUMNS, VERSION_COLUMN, DELETED_COLUMN } from './tables.js';
+
+export const FIELDS_TABLE = '_sys_fields';
+
+// Created once per isolate instead of on every request
+let fieldsTableReady = false;
+
+export async function ensureFieldsTable(DB_PENERBIT) {
+  if (fieldsTableReady) return;
+
+  await DB_PENERBIT.prepare(`
+    CREATE TABLE IF NOT EXISTS ${FIELDS_TABLE} (
+      table_name TEXT NOT NULL,
+      column_name TEXT NOT NULL,
+      field_name TEXT NOT NULL,
+      PRIMARY KEY (table_name, column_name),
+      UNIQUE (table_name, field_name)
+    )
+  `).run();
+  fieldsTableReady = true;
+}
+
+// Field names must not look like raw columns so both forms can be mixed
+export function isValidFieldName(fieldName) {
+  return typeof fieldName === 'string'
+    && /^[a-zA-Z][a-zA-Z0-9_]*$/.test(fieldName)
+    && fieldName.length <= 50
+    && !/^x_\d+$/.test(fieldName)
+    && fieldName !== 'id_x'
+    && !TIMESTAMP_COLUMNS.includes(fieldName)
+    && fieldName !== VERSION_COLUMN
+    && fieldName !== DELETED_COLUMN;
+}
+
+// Load the map for one table: { byName: { judul: 'x_01' }, byColumn: { x_01: 'judul' } }
+export async function loadFieldMap(DB_PENERBIT, tableName) {
+  await ensureFieldsTable(DB_PENERBIT);
+
+  const { results } = await DB_PENERBIT.prepare(`
+    SELECT column_name, field_name FROM ${FIELDS_TABLE} WHERE table_name = ? ORDER BY column_name
+  `).bind(tableName).all();
+
+  const fieldMap = emptyFieldMap();
+  for (const row of results) {
+    fieldMap.byName[row.field_name] = row.column_name;
+    fieldMap.byColumn[row.column_name] = row.field_name;
+  }
+  return fieldMap;
+}
+
+// Replace the whole map for a table with [{ column: 'x_01', name: 'judul' }, ...]
+export async function saveFieldMap(DB_PENERBIT, tableName, fields) {
+  if (!Array.isArray(fields)) {
+    throw new Error('fields must be an array of { column, name }');
+  }
+
+  const seenColumns = new Set();
+  const seenNames = new Set();
+
+  for (const field of fields) {
+    if (!field || !DATA_COLUMNS.includes(field.column)) {
+      throw new Error(`Invalid column '${field && field.column}'. Allowed: x_01 to x_20`);
+    }
+    if (!isValidFieldName(field.name)) {
+      throw new Error(`Invalid field name '${field.name}'. Use letters, digits and underscores, not x_NN, id_x or a system column`);
+    }
+    if (seenColumns.has(field.column)) {
+      throw new Error(`Column '${field.column}' is mapped more than once`);
+    }
+    if (seenNames.has(field.name)) {
+      throw new Error(`Field name '${field.name}' is used more than once`);
+    }
+    seenColumns.add(field.column);
+    seenNames.add(field.name);
+  }
+
+  await ensureFieldsTable(DB_PENERBIT);
+
+  const statements = [
+    DB_PENERBIT.prepare(`DELETE FROM ${FIELDS_TABLE} WHERE table_name = ?`).bind(tableName),
+    ...fields.map(field => DB_PENERBIT.prepare(`
+      INSERT INTO ${FIELDS_TABLE} (table_name, column_name, field_name) VALUES (?, ?, ?)
+    `).bind(tableName, field.column, field.name))
+  ];
+  await DB_PENERBIT.batch(statements);
+}
+
+// Empty map for code paths that have no table-specific names
+export function emptyFieldMap() {
+  return { byName: Object.create(null), byColumn: Object.create(null) };
+}
+
+// Resolve a field name or raw column to its x_NN column (unknown names are returned unchanged)
+export function resolveColumn(fieldMap, name) {
+  return (fieldMap && fieldMap.byName[name]) || name;
+}
+
+// Translate request data with field names and/or raw x_NN keys into { x_NN: value }
+export function mapInputFields(data, fieldMap) {
+  const columnData = {};
+
+  for (const [key, value] of Object.entries(data)) {
+    const column = DATA_COLUMNS.includes(key) ? key : fieldMap.byName[key];
+    if (!column) continue;
+
+    if (Object.prototype.hasOwnProperty.call(columnData, column)) {
+      throw new Error(`Column '${column}' was sent twice (as '${key}' and under another name); send only one`);
+    }
+    columnData[column] = value;
+  }
+
+  return columnData;
+}
+
+// Rename mapped x_NN columns in a row to their field names
+export function mapOutputFields(row, fieldMap) {
+  if (!row) return row;
+
+  const output = {};
+  for (const [key, value] of Object.entries(row)) {
+    output[fieldMap.byColumn[key] || key] = value;
+  }
+  return output;
+}
+
+// Responses stay raw x_NN unless the client asks for ?format=named or X-Field-Format: named
+export function wantsNamedFields(request, url) {
+  const format = url.searchParams.get('format') || request.headers.get('X-Field-Format') || 'raw';
+  return format === 'named';
+}
@@ -0,0 +1,260 @@
+// functions/_lib/forms.js - Public website forms (contact, manuscript enquiry) and their spam checks
+//
+// Each form has a fixed schema and writes into its own table, which an admin creates beforehand
+// (POST /api/tables or AUTO_CREATE_TABLES). Anonymous visitors first fetch a
+// signed token, which dates the form; a submission must come with it, at least a few seconds
+// later. A hidden honeypot field, a per-IP limit and a duplicate check keep bots out.
+import { loadFieldMap, emptyFieldMap } from './fields.js';
+import { hmacSha256Hex, sha256Hex, randomHex, timingSafeEqual } from './crypto.js';
+
+export const SUBMISSIONS_TABLE = '_sys_form_submissions';
+
+// Hidden input that people leave empty; anything in it marks the submission as a bot
+export const HONEYPOT_FIELD = 'website';
+
+// Seconds between fetching the token and submitting, and how long a token stays valid
+export const MIN_FILL_SECONDS = 3;
+const MAX_TOKEN_AGE_SECONDS = 2 * 60 * 60;
+
+// Submissions per IP address (all forms together) within the window
+const IP_LIMIT = 5;
+const IP_WINDOW_SECONDS = 10 * 60;
+
+// The same email and text again within this window is a duplicate
+const DUPLICATE_WINDOW_SECONDS = 24 * 60 * 60;
+
+// The submission log is only needed for the checks above
+const LOG_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+const NAME_RULE = { required: true, type: 'string', minLength: 2, maxLength: 100 };
+const EMAIL_RULE = { required: true, type: 'email', maxLength: 254 };
+const PHONE_RULE = { type: 'string', maxLength: 30, pattern: '^[0-9+() .-]*$' };
+
+// Fields map onto fixed columns of the form's table; rules use the /api/rules format
+export const PUBLIC_FORMS = {
+  contact: {
+    table: 'pesan_kontak',
+    fields: [
+      { name: 'nama', column: 'x_01', rule: NAME_RULE },
+      { name: 'email', column: 'x_02', rule: EMAIL_RULE },
+      { name: 'telepon', column: 'x_03', rule: PHONE_RULE },
+      { name: 'subjek', column: 'x_04', rule: { type: 'string', maxLength: 200 } },
+      { name: 'pesan', column: 'x_05', rule: { required: true, type: 'string', minLength: 10, maxLength: 5000 } }
+    ],
+    // Text compared by the duplicate check
+    duplicateOf: ['pesan']
+  },
+  manuscript: {
+    table: 'naskah_masuk',
+    fields: [
+      { name: 'nama', column: 'x_01', rule: NAME_RULE },
+      { name: 'email', column: 'x_02', rule: EMAIL_RULE },
+      { name: 'telepon', column: 'x_03', rule: PHONE_RULE },
+      { name: 'judul', column: 'x_04', rule: { required: true, type: 'string', minLength: 2, maxLength: 200 } },
+      { name: 'genre', column: 'x_05', rule: { type: 'string', maxLength: 100 } },
+      { name: 'jumlah_halaman', column: 'x_06', rule: { type: 'integer', min: 1, max: 5000 } },
+      { name: 'sinopsis', column: 'x_07', rule: { required: true, type: 'string', minLength: 50, maxLength: 10000 } },
+      { name: 'pesan', column: 'x_08', rule: { type: 'string', maxLength: 5000 } }
+    ],
+    duplicateOf: ['judul', 'sinopsis']
+  }
+};
+
+// Rules keyed by column, for validateRecord()
+export function formRules(form) {
+  const rules = {};
+  for (const field of form.fields) rules[field.column] = field.rule;
+  return rules;
+}
+
+// Public description of a form for the website: [{ name, required, type, ... }]
+export function describeForm(form) {
+  return form.fields.map(({ name, rule }) => ({ name, required: !!rule.required, ...rule }));
+}
+
+// Map a submitted body onto columns. Unknown fields are errors; strings are trimmed.
+// Returns { columnData, errors }.
+export function formColumnData(form, body) {
+  const columnData = {};
+  const errors = [];
+  const known = new Set(['token', HONEYPOT_FIELD]);
+
+  for (const field of form.fields) {
+    known.add(field.name);
+    if (!Object.prototype.hasOwnProperty.call(body, field.name)) continue;
+
+    const value = body[field.name];
+    columnData[field.column] = typeof value === 'string' ? value.trim() : value;
+  }
+  for (const name of Object.keys(body)) {
+    if (!known.has(name)) errors.push({ field: name, message: `Unknown field '${name}'` });
+  }
+  return { columnData, errors };
+}
+
+// Field names for messages: the table's own map when staff named its columns, else the form's.
+// Nothing is saved; only staff change a table's configuration.
+export async function formFieldMap(DB_PENERBIT, form) {
+  const fieldMap = await loadFieldMap(DB_PENERBIT, form.table);
+  if (Object.keys(fieldMap.byColumn).length > 0) return fieldMap;
+
+  const formMap = emptyFieldMap();
+  for (const { column, name } of form.fields) {
+    formMap.byColumn[column] = name;
+    formMap.byName[name] = column;
+  }
+  return formMap;
+}
+
+// FORM_SECRET signs tokens and hashes IP addresses. It has to be its own secret: the admin
+// key must not be usable for anything else.
+export function formSecret(env) {
+  return env.FORM_SECRET || null;
+}
+
+// Token for one form: "<issued ms>.<nonce>.<signature>"
+export async function issueFormToken(secret, formName, now = Date.now()) {
+  const nonce = randomHex(12);
+  const signature = await hmacSha256Hex(secret, `${formName}.${now}.${nonce}`);
+  return `${now}.${nonce}.${signature}`;
+}
+
+// Check a token: { nonce } or { error, status, retryAfter? }
+export async function checkFormToken(secret, formName, token, now = Date.now()) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3 || !/^\d+$/.test(parts[0])) {
+    return { status: 400, error: 'Form token is missing or malformed. Reload the form and try again.' };
+  }
+
+  const [issued, nonce, signature] = parts;
+  const expected = await hmacSha256Hex(secret, `${formName}.${issued}.${nonce}`);
+  if (!timingSafeEqual(signature, expected)) {
+    return { status: 400, error: 'Form token is not valid for this form. Reload the form and try again.' };
+  }
+
+  const ageSeconds = (now - Number(issued)) / 1000;
+  if (ageSeconds > MAX_TOKEN_AGE_SECONDS) {
+    return { status: 400, error: 'The form has expired. Reload the page and submit it again.' };
+  }
+  if (ageSeconds < MIN_FILL_SECONDS) {
+    return {
+      status: 429,
+      error: 'The form was submitted too quickly. Please wait a moment and try again.',
+      retryAfter: Math.max(1, Math.ceil(MIN_FILL_SECONDS - ageSeconds))
+    };
+  }
+  return { nonce };
+}
+
+// Created once per isolate instead of on every request
+let submissionsTableReady = false;
+
+async function ensureSubmissionsTable(DB_PENERBIT) {
+  if (submissionsTableReady) return;
+
+  await DB_PENERBIT.batch([
+    DB_PENERBIT.prepare(`
+      CREATE TABLE IF NOT EXISTS ${SUBMISSIONS_TABLE} (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        form TEXT NOT NULL,
+        nonce TEXT NOT NULL UNIQUE,
+        ip_hash TEXT NOT NULL,
+        content_hash TEXT,
+        outcome TEXT NOT NULL,
+        record_id INTEGER,
+        created_at TEXT NOT NULL
+      )
+    `),
+    DB_PENERBIT.prepare(`
+      CREATE INDEX IF NOT EXISTS ${SUBMISSIONS_TABLE}_ip ON ${SUBMISSIONS_TABLE} (ip_hash, created_at)
+    `),
+    DB_PENERBIT.prepare(`
+      CREATE INDEX IF NOT EXISTS ${SUBMISSIONS_TABLE}_content ON ${SUBMISSIONS_TABLE} (content_hash, created_at)
+    `)
+  ]);
+  submissionsTableReady = true;
+}
+
+// IP addresses are only kept as a keyed hash
+export function hashIp(secret, ip) {
+  return hmacSha256Hex(secret, `ip:${ip || 'unknown'}`);
+}
+
+// Same person sending the same text: lower-case email plus the compared fields, whitespace folded
+export function contentHash(form, formName, columnData) {
+  const fold = value => String(value === null || value === undefined ? '' : value).replace(/\s+/g, ' ').trim().toLowerCase();
+  const columnOf = name => form.fields.find(field => field.name === name).column;
+  const parts = [formName, fold(columnData[columnOf('email')]), ...form.duplicateOf.map(name => fold(columnData[columnOf(name)]))];
+  return sha256Hex(parts.join('\n'));
+}
+
+function secondsAgo(now, seconds) {
+  return new Date(now - seconds * 1000).toISOString();
+}
+
+// Throttle, token reuse and duplicate checks before anything is written.
+// Returns null or { status, error, retryAfter? }.
+export async function checkSubmission(DB_PENERBIT, { nonce, ipHash, hash = null, now = Date.now() }) {
+  await ensureSubmissionsTable(DB_PENERBIT);
+
+  const recent = await DB_PENERBIT.prepare(`
+    SELECT COUNT(*) AS count, MIN(created_at) AS oldest FROM ${SUBMISSIONS_TABLE}
+    WHERE ip_hash = ? AND created_at > ?
+  `).bind(ipHash, secondsAgo(now, IP_WINDOW_SECONDS)).first();
+
+  if (recent.count >= IP_LIMIT) {
+    const freeAt = Date.parse(recent.oldest) + IP_WINDOW_SECONDS * 1000;
+    return {
+      status: 429,
+      error: 'Too many submissions from your network. Please try again later.',
+      retryAfter: Math.max(1, Math.ceil((freeAt - now) / 1000))
+    };
+  }
+
+  const used = await DB_PENERBIT.prepare(`
+    SELECT id FROM ${SUBMISSIONS_TABLE} WHERE nonce = ?
+  `).bind(nonce).first();
+  if (used) return REPLAY_REJECTION;
+
+  if (hash) {
+    const duplicate = await DB_PENERBIT.prepare(`
+      SELECT id FROM ${SUBMISSIONS_TABLE} WHERE content_hash = ? AND outcome = 'stored' AND created_at > ?
+    `).bind(hash, secondsAgo(now, DUPLICATE_WINDOW_SECONDS)).first();
+    if (duplicate) {
+      return { status: 409, error: 'We already received this message. There is no need to send it again.' };
+    }
+  }
+
+  return null;
+}
+
+// Statement that logs a submission ('stored' or 'honeypot'). The nonce is UNIQUE, so a
+// replayed token fails here and rolls back the batch it is in.
+export function submissionStatement(DB_PENERBIT, { formName, nonce, ipHash, hash = null, outcome, now = Date.now() }) {
+  return DB_PENERBIT.prepare(`
+    INSERT INTO ${SUBMISSIONS_TABLE} (form, nonce, ip_hash, content_hash, outcome, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).bind(formName, nonce, ipHash, hash, outcome, new Date(now).toISOString());
+}
+
+// Statement that links the logged submission to the record inserted just before it in the batch
+export function linkSubmissionStatement(DB_PENERBIT, nonce) {
+  return DB_PENERBIT.prepare(`
+    UPDATE ${SUBMISSIONS_TABLE} SET record_id = last_insert_rowid() WHERE nonce = ?
+  `).bind(nonce);
+}
+
+// Answer for a token that was already used
+export const REPLAY_REJECTION = { status: 409, error: 'This form was already submitted. Reload the page to send another message.' };
+
+// True for the error of a batch whose token was used by a concurrent submission
+export function isReplayError(error) {
+  return /UNIQUE constraint failed/i.test(String(error && error.message)) && String(error.message).includes('nonce');
+}
+
+// Old log rows are removed whenever a new one is written
+export function pruneSubmissionsStatement(DB_PENERBIT, now = Date.now()) {
+  return DB_PENERBIT.prepare(`
+    DELETE FROM ${SUBMISSIONS_TABLE} WHERE created_at <= ?
+  `).bind(secondsAgo(now, LOG_RETENTION_SECONDS));
+}
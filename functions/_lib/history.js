@@ -0,0 +1,143 @@
+// functions/_lib/history.js - Audit trail of record changes made through the contacts handlers
+//
+// One row per write: the x_NN values before and after the change (changed columns only),
+// when it happened and who did it. Rollback replays the "before" values of later revisions.
+import { DATA_COLUMNS } from './tables.js';
+
+export const HISTORY_TABLE = '_sys_history';
+
+// Actions written to the history table
+export const HISTORY_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge', 'rollback', 'transition'];
+
+// Created once per isolate instead of on every request
+let historyTableReady = false;
+
+export async function ensureHistoryTable(DB_PENERBIT) {
+  if (historyTableReady) return;
+
+  await DB_PENERBIT.batch([
+    DB_PENERBIT.prepare(`
+      CREATE TABLE IF NOT EXISTS ${HISTORY_TABLE} (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        table_name TEXT NOT NULL,
+        record_id INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        before_data TEXT,
+        after_data TEXT,
+        changed_at TEXT NOT NULL,
+        changed_by TEXT,
+        changed_by_type TEXT,
+        rollback_of INTEGER
+      )
+    `),
+    DB_PENERBIT.prepare(`
+      CREATE INDEX IF NOT EXISTS ${HISTORY_TABLE}_record ON ${HISTORY_TABLE} (table_name, record_id, id)
+    `),
+    // Change feed: everything in a table after a given revision
+    DB_PENERBIT.prepare(`
+      CREATE INDEX IF NOT EXISTS ${HISTORY_TABLE}_feed ON ${HISTORY_TABLE} (table_name, id)
+    `)
+  ]);
+  historyTableReady = true;
+}
+
+// Data columns of a row as a plain object, leaving out empty ones
+export function dataSnapshot(row) {
+  const snapshot = {};
+  for (const column of DATA_COLUMNS) {
+    if (row[column] !== null && row[column] !== undefined) {
+      snapshot[column] = row[column];
+    }
+  }
+  return snapshot;
+}
+
+// Before/after pair for the columns that actually change when newData is written over row
+export function changedColumns(row, newData) {
+  const before = {};
+  const after = {};
+  for (const column of DATA_COLUMNS) {
+    if (!Object.prototype.hasOwnProperty.call(newData, column)) continue;
+
+    const oldValue = row[column] === undefined ? null : row[column];
+    const newValue = newData[column] === undefined ? null : newData[column];
+    if (String(oldValue) !== String(newValue) || (oldValue === null) !== (newValue === null)) {
+      before[column] = oldValue;
+      after[column] = newValue;
+    }
+  }
+  return { before, after };
+}
+
+// Prepared INSERT of one history row, to go directly after its write in the same batch.
+// It is only inserted when that write changed a row, so a version guard that matched
+// nothing leaves no history behind.
+// entry: { tableName, recordId, action, before, after, principal, changedAt, rollbackOf }
+// Leave recordId out directly after an INSERT in the same batch to use last_insert_rowid().
+// Call ensureHistoryTable first.
+export function historyStatement(DB_PENERBIT, entry) {
+  const principal = entry.principal || {};
+  const recordIdSql = entry.recordId === undefined ? 'last_insert_rowid()' : '?';
+  const recordIdValues = entry.recordId === undefined ? [] : [entry.recordId];
+
+  return DB_PENERBIT.prepare(`
+    INSERT INTO ${HISTORY_TABLE}
+      (table_name, record_id, action, before_data, after_data, changed_at, changed_by, changed_by_type, rollback_of)
+    SELECT ?, ${recordIdSql}, ?, ?, ?, ?, ?, ?, ? WHERE changes() > 0
+  `).bind(
+    entry.tableName,
+    ...recordIdValues,
+    entry.action,
+    entry.before ? JSON.stringify(entry.before) : null,
+    entry.after ? JSON.stringify(entry.after) : null,
+    entry.changedAt || new Date().toISOString(),
+    principal.name || null,
+    principal.type || null,
+    entry.rollbackOf || null
+  );
+}
+
+function historyRow(row) {
+  return {
+    revision: row.id,
+    action: row.action,
+    before: row.before_data ? JSON.parse(row.before_data) : null,
+    after: row.after_data ? JSON.parse(row.after_data) : null,
+    changed_at: row.changed_at,
+    changed_by: row.changed_by,
+    changed_by_type: row.changed_by_type,
+    rollback_of: row.rollback_of
+  };
+}
+
+// Revisions of one record, newest first
+export async function loadHistory(DB_PENERBIT, tableName, recordId) {
+  await ensureHistoryTable(DB_PENERBIT);
+
+  const { results } = await DB_PENERBIT.prepare(`
+    SELECT * FROM ${HISTORY_TABLE} WHERE table_name = ? AND record_id = ? ORDER BY id DESC
+  `).bind(tableName, recordId).all();
+
+  return results.map(historyRow);
+}
+
+// x_NN values the record had right after the given revision, for the columns changed since.
+// Works back from the current row by undoing every later change; returns null when the
+// revision does not belong to this record.
+export async function valuesAtRevision(DB_PENERBIT, tableName, recordId, revision, currentRow) {
+  const history = await loadHistory(DB_PENERBIT, tableName, recordId);
+  if (!history.some(entry => entry.revision === revision)) return null;
+
+  const values = {};
+  for (const entry of history) {
+    if (entry.revision <= revision) break;
+    if (!entry.after) continue;
+
+    for (const column of Object.keys(entry.after)) {
+      values[column] = entry.before && column in entry.before ? entry.before[column] : null;
+    }
+  }
+
+  // Only keep columns that differ from what the record says now
+  return changedColumns(currentRow, values).after;
+}
@@ -0,0 +1,103 @@
+// functions/_lib/isbn.js - ISBN-10 / ISBN-13 check digits, normalisation and conversion
+//
+// Columns with the 'isbn' validation type store the ISBN-13 without hyphens; ISBN-10 input is
+// converted. Lookups accept either form, with or without hyphens.
+
+// ISBN without hyphens and spaces, upper-case X check digit
+export function normalizeIsbn(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/[\s-]/g, '').toUpperCase();
+}
+
+function isbn10CheckDigit(first9) {
+  let sum = 0;
+  for (let i = 0; i < 9; i++) sum += Number(first9[i]) * (10 - i);
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? 'X' : String(check);
+}
+
+function isbn13CheckDigit(first12) {
+  let sum = 0;
+  for (let i = 0; i < 12; i++) sum += Number(first12[i]) * (i % 2 === 0 ? 1 : 3);
+  return String((10 - (sum % 10)) % 10);
+}
+
+export function isValidIsbn10(isbn) {
+  return /^\d{9}[\dX]$/.test(isbn) && isbn10CheckDigit(isbn.slice(0, 9)) === isbn[9];
+}
+
+// ISBN-13 uses the 978 and 979 prefixes of EAN-13
+export function isValidIsbn13(isbn) {
+  return /^97[89]\d{10}$/.test(isbn) && isbn13CheckDigit(isbn.slice(0, 12)) === isbn[12];
+}
+
+export function isbn10To13(isbn10) {
+  const first12 = `978${isbn10.slice(0, 9)}`;
+  return first12 + isbn13CheckDigit(first12);
+}
+
+// Only 978 ISBNs have an ISBN-10 form; returns null for 979
+export function isbn13To10(isbn13) {
+  if (!isbn13.startsWith('978')) return null;
+  const first9 = isbn13.slice(3, 12);
+  return first9 + isbn10CheckDigit(first9);
+}
+
+// Parse any ISBN input: { isbn13, isbn10 } or null when it is not a valid ISBN
+export function parseIsbn(value) {
+  const isbn = normalizeIsbn(value);
+  if (isValidIsbn13(isbn)) return { isbn13: isbn, isbn10: isbn13To10(isbn) };
+  if (isValidIsbn10(isbn)) return { isbn13: isbn10To13(isbn), isbn10: isbn };
+  return null;
+}
+
+// Why a value is not an ISBN, for validation messages
+export function isbnProblem(value) {
+  const isbn = normalizeIsbn(value);
+  if (/^\d{9}[\dX]$/.test(isbn)) return `has a wrong ISBN-10 check digit (expected ${isbn10CheckDigit(isbn)})`;
+  if (/^97[89]\d{10}$/.test(isbn)) return `has a wrong ISBN-13 check digit (expected ${isbn13CheckDigit(isbn)})`;
+  return 'must be an ISBN-10 or ISBN-13';
+}
+
+// SQL expression for a column's value without hyphens and spaces, to compare with normalizeIsbn()
+export function normalizedIsbnSql(column) {
+  return `UPPER(REPLACE(REPLACE(${column}, '-', ''), ' ', ''))`;
+}
+
+// D1 allows 100 bound parameters per statement
+const ISBN_CHUNK_SIZE = 90;
+
+// Live records whose ISBN column holds one of the given ISBNs, in either form and ignoring
+// hyphens and spaces: Map normalizeIsbn(input) -> [id_x, ...]
+export async function findRecordsByIsbn(DB_PENERBIT, tableName, isbnColumn, isbns) {
+  // Every form an input can be stored as, pointing back to the input
+  const inputByForm = new Map();
+  for (const input of isbns) {
+    const isbn = normalizeIsbn(input);
+    if (!isbn) continue;
+    const parsed = parseIsbn(isbn);
+    for (const form of [isbn, parsed && parsed.isbn13, parsed && parsed.isbn10]) {
+      if (form && !inputByForm.has(form)) inputByForm.set(form, isbn);
+    }
+  }
+
+  const forms = [...inputByForm.keys()];
+  const matches = new Map();
+
+  for (let i = 0; i < forms.length; i += ISBN_CHUNK_SIZE) {
+    const chunk = forms.slice(i, i + ISBN_CHUNK_SIZE);
+    const { results } = await DB_PENERBIT.prepare(`
+      SELECT id_x, ${normalizedIsbnSql(isbnColumn)} AS isbn FROM ${tableName}
+      WHERE ${normalizedIsbnSql(isbnColumn)} IN (${chunk.map(() => '?').join(', ')})
+        AND deleted_at IS NULL
+      ORDER BY id_x
+    `).bind(...chunk).all();
+
+    for (const row of results) {
+      const input = inputByForm.get(row.isbn);
+      if (!matches.has(input)) matches.set(input, []);
+      if (!matches.get(input).includes(row.id_x)) matches.get(input).push(row.id_x);
+    }
+  }
+  return matches;
+}
@@ -0,0 +1,377 @@
+// functions/_lib/listing.js - Pagination, sorting and filtering for the list endpoints
+import { DATA_COLUMNS, TIMESTAMP_COLUMNS, DELETED_COLUMN } from './tables.js';
+import { resolveColumn } from './fields.js';
+
+// Pagination limits for the list endpoints
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Exports (CSV, ONIX) larger than this should be narrowed with filters
+const MAX_EXPORT_ROWS = 50000;
+
+// D1 allows 100 bound parameters per statement; keep room for cursor and paging values
+const MAX_BOUND_PARAMETERS = 100;
+const MAX_FILTER_VALUES = 60;
+const MAX_FILTER_DEPTH = 5;
+
+// Columns that can be used in sort and filter expressions
+export const QUERYABLE_COLUMNS = ['id_x', ...DATA_COLUMNS, ...TIMESTAMP_COLUMNS, DELETED_COLUMN];
+
+// Query parameters of the listing itself; endpoints pass their own extra ones to parseFilterParams
+const RESERVED_PARAMS = ['table', 'limit', 'offset', 'cursor', 'sort', 'filter'];
+
+const FILTER_OPERATORS = ['eq', 'ne', 'contains', 'like', 'prefix', 'gt', 'gte', 'lt', 'lte', 'in', 'nin', 'null'];
+const RANGE_OPERATORS = { gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+// Parse ?sort=x_03,-id_x into [{ column, desc }], always ending with id_x as tie-breaker
+// Field names from the table's field map are accepted in place of x_NN
+export function parseSort(sortParam, fieldMap = null) {
+  const sortKeys = [];
+
+  if (sortParam) {
+    for (const part of String(sortParam).split(',')) {
+      const field = part.trim();
+      if (!field) continue;
+
+      const desc = field.startsWith('-');
+      const column = resolveColumn(fieldMap, field.replace(/^[-+]/, ''));
+
+      if (!QUERYABLE_COLUMNS.includes(column)) {
+        throw new Error(`Invalid sort column '${column}'. Allowed: ${QUERYABLE_COLUMNS.join(', ')}`);
+      }
+      if (sortKeys.some(key => key.column === column)) {
+        throw new Error(`Sort column '${column}' specified more than once`);
+      }
+      sortKeys.push({ column, desc });
+    }
+  }
+
+  if (sortKeys.length === 0) {
+    sortKeys.push({ column: 'id_x', desc: true });
+  } else if (!sortKeys.some(key => key.column === 'id_x')) {
+    sortKeys.push({ column: 'id_x', desc: sortKeys[sortKeys.length - 1].desc });
+  }
+
+  return sortKeys;
+}
+
+// NULLs are compared as empty strings so keyset cursors stay well-defined
+function sortExpression(column) {
+  return column === 'id_x' ? 'id_x' : `COALESCE(${column}, '')`;
+}
+
+function sortValue(row, column) {
+  return column === 'id_x' ? row.id_x : (row[column] ?? '');
+}
+
+export function parseLimit(limitParam) {
+  if (limitParam === null || limitParam === undefined || limitParam === '') return DEFAULT_LIMIT;
+
+  const limit = Number(limitParam);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error('limit must be a positive integer');
+  }
+  return Math.min(limit, MAX_LIMIT);
+}
+
+export function parseOffset(offsetParam) {
+  if (offsetParam === null || offsetParam === undefined || offsetParam === '') return 0;
+
+  const offset = Number(offsetParam);
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new Error('offset must be a non-negative integer');
+  }
+  return offset;
+}
+
+// Cursor is base64url JSON of the last row's sort values
+function encodeCursor(values) {
+  const bytes = new TextEncoder().encode(JSON.stringify(values));
+  const binary = String.fromCharCode(...bytes);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeCursor(cursor, sortKeys) {
+  let values;
+  try {
+    const binary = atob(cursor.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    values = JSON.parse(new TextDecoder().decode(bytes));
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+
+  if (!Array.isArray(values) || values.length !== sortKeys.length) {
+    throw new Error('Cursor does not match the requested sort order');
+  }
+  return values;
+}
+
+// Build "rows after the cursor" condition: (a > ?) OR (a = ? AND b > ?) OR ...
+function buildKeysetCondition(sortKeys, cursorValues) {
+  const orParts = [];
+  const bindings = [];
+
+  for (let i = 0; i < sortKeys.length; i++) {
+    const andParts = [];
+
+    for (let j = 0; j < i; j++) {
+      andParts.push(`${sortExpression(sortKeys[j].column)} = ?`);
+      bindings.push(cursorValues[j]);
+    }
+    andParts.push(`${sortExpression(sortKeys[i].column)} ${sortKeys[i].desc ? '<' : '>'} ?`);
+    bindings.push(cursorValues[i]);
+
+    orParts.push(`(${andParts.join(' AND ')})`);
+  }
+
+  return { sql: `(${orParts.join(' OR ')})`, bindings };
+}
+
+// Read field filters from the query string:
+//   ?x_01=abc              equals
+//   ?x_05[gte]=100         operator form (eq, ne, contains, like, prefix, gt, gte, lt, lte, in, nin, null)
+//   ?filter={"or":[...]}   JSON filter tree, same format as POST /api/contacts/query
+// All of them are combined with AND. reservedParams are the endpoint's own parameters
+// (e.g. ['format']), so a field with the same name can still be filtered elsewhere.
+export function parseFilterParams(searchParams, fieldMap = null, reservedParams = []) {
+  const conditions = [];
+
+  for (const [key, value] of searchParams.entries()) {
+    if (RESERVED_PARAMS.includes(key) || reservedParams.includes(key)) continue;
+
+    const match = key.match(/^([a-zA-Z_][a-zA-Z0-9_]*)(?:\[([a-z]+)\])?$/);
+    if (!match) continue;
+
+    const [, field, op] = match;
+
+    // Bare keys that are not columns (e.g. jQuery's "_" cache buster) are ignored
+    if (!op && !QUERYABLE_COLUMNS.includes(resolveColumn(fieldMap, field))) continue;
+
+    conditions.push({ field, op: op || 'eq', value: parseParamValue(op || 'eq', value) });
+  }
+
+  const filterParam = searchParams.get('filter');
+  if (filterParam) {
+    try {
+      conditions.push(JSON.parse(filterParam));
+    } catch (error) {
+      throw new Error('filter must be valid JSON');
+    }
+  }
+
+  if (conditions.length === 0) return null;
+  return conditions.length === 1 ? conditions[0] : { and: conditions };
+}
+
+// Convert query string text into the value a JSON filter would carry
+function parseParamValue(op, value) {
+  if (op === 'in' || op === 'nin') {
+    return value.split(',').map(item => item.trim());
+  }
+  if (op === 'null') {
+    if (value === '' || value === 'true' || value === '1') return true;
+    if (value === 'false' || value === '0') return false;
+    throw new Error('null filter value must be true or false');
+  }
+  if (RANGE_OPERATORS[op] && /^-?\d+(\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  return value;
+}
+
+// Escape LIKE wildcards in user text (used with ESCAPE '\')
+export function escapeLike(value) {
+  return String(value).replace(/[\\%_]/g, char => `\\${char}`);
+}
+
+function bindableValue(field, value) {
+  if (value === null || value === undefined) {
+    throw new Error(`Filter on '${field}' needs a value (use the null operator for NULL checks)`);
+  }
+  if (typeof value === 'object') {
+    throw new Error(`Filter value for '${field}' must be a string or number`);
+  }
+  return typeof value === 'number' ? value : String(value);
+}
+
+// Turn one { field, op, value } condition into SQL
+function buildCondition(node, bindings, fieldMap) {
+  const field = resolveColumn(fieldMap, node.field);
+  const { value } = node;
+  const op = node.op || 'eq';
+
+  if (!QUERYABLE_COLUMNS.includes(field)) {
+    throw new Error(`Invalid filter field '${field}'. Allowed: ${QUERYABLE_COLUMNS.join(', ')}`);
+  }
+  if (!FILTER_OPERATORS.includes(op)) {
+    throw new Error(`Invalid filter operator '${op}'. Allowed: ${FILTER_OPERATORS.join(', ')}`);
+  }
+
+  switch (op) {
+    case 'eq':
+      bindings.push(bindableValue(field, value));
+      return `${field} = ?`;
+    case 'ne':
+      bindings.push(bindableValue(field, value));
+      return `(${field} IS NULL OR ${field} != ?)`;
+    case 'contains':
+      bindings.push(`%${escapeLike(bindableValue(field, value))}%`);
+      return `${field} LIKE ? ESCAPE '\\'`;
+    case 'prefix':
+      bindings.push(`${escapeLike(bindableValue(field, value))}%`);
+      return `${field} LIKE ? ESCAPE '\\'`;
+    case 'like':
+      bindings.push(bindableValue(field, value));
+      return `${field} LIKE ?`;
+    case 'in':
+    case 'nin': {
+      if (!Array.isArray(value) || value.length === 0) {
+        throw new Error(`Filter '${op}' on '${field}' needs a non-empty list of values`);
+      }
+      value.forEach(item => bindings.push(bindableValue(field, item)));
+      const placeholders = value.map(() => '?').join(', ');
+      return op === 'in'
+        ? `${field} IN (${placeholders})`
+        : `(${field} IS NULL OR ${field} NOT IN (${placeholders}))`;
+    }
+    case 'null':
+      return value === false ? `${field} IS NOT NULL` : `${field} IS NULL`;
+    default: {
+      // Range operators: numbers compare numerically, text (e.g. ISO dates) compares as text
+      const boundValue = bindableValue(field, value);
+      bindings.push(boundValue);
+      if (typeof boundValue === 'number' && field !== 'id_x') {
+        return `(${field} != '' AND CAST(${field} AS REAL) ${RANGE_OPERATORS[op]} ?)`;
+      }
+      return `${field} ${RANGE_OPERATORS[op]} ?`;
+    }
+  }
+}
+
+// Turn a filter tree ({ and: [...] } / { or: [...] } / condition) into a WHERE fragment
+function buildFilterNode(node, bindings, depth, fieldMap) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    throw new Error('Each filter must be an object');
+  }
+  if (depth > MAX_FILTER_DEPTH) {
+    throw new Error(`Filter groups can be nested at most ${MAX_FILTER_DEPTH} levels deep`);
+  }
+
+  const groupType = node.and ? 'and' : node.or ? 'or' : null;
+  if (groupType) {
+    const children = node[groupType];
+    if (!Array.isArray(children) || children.length === 0) {
+      throw new Error(`'${groupType}' group must be a non-empty array`);
+    }
+    const parts = children.map(child => buildFilterNode(child, bindings, depth + 1, fieldMap));
+    return `(${parts.join(groupType === 'and' ? ' AND ' : ' OR ')})`;
+  }
+
+  return buildCondition(node, bindings, fieldMap);
+}
+
+export function buildFilter(filter, fieldMap = null) {
+  if (!filter) return { sql: null, bindings: [] };
+
+  const bindings = [];
+  const sql = buildFilterNode(filter, bindings, 0, fieldMap);
+
+  if (bindings.length > MAX_FILTER_VALUES) {
+    throw new Error(`Filter uses too many values (max ${MAX_FILTER_VALUES})`);
+  }
+  return { sql, bindings };
+}
+
+// Run a paginated, sorted and filtered SELECT on a dynamic table
+// options: { limit, offset, cursor, sort, filter, fieldMap, trash, count }
+// Soft-deleted rows are left out unless trash is true, which lists only those.
+// count: false skips the COUNT(*) query; total is then null.
+export async function listRecords(DB_PENERBIT, tableName, options = {}) {
+  const limit = parseLimit(options.limit);
+  const offset = parseOffset(options.offset);
+  const sortKeys = parseSort(options.sort, options.fieldMap);
+  const cursor = options.cursor || null;
+  const filter = buildFilter(options.filter, options.fieldMap);
+
+  if (cursor && offset > 0) {
+    throw new Error('Use either cursor or offset, not both');
+  }
+
+  const deletedCondition = `${DELETED_COLUMN} IS ${options.trash ? 'NOT NULL' : 'NULL'}`;
+  let total = null;
+  if (options.count !== false) {
+    const filterWhere = ` WHERE ${deletedCondition}${filter.sql ? ` AND ${filter.sql}` : ''}`;
+    const totalRow = await DB_PENERBIT.prepare(`SELECT COUNT(*) AS total FROM ${tableName}${filterWhere}`)
+      .bind(...filter.bindings).first();
+    total = totalRow ? totalRow.total : 0;
+  }
+
+  const where = [deletedCondition];
+  const bindings = [];
+
+  if (filter.sql) {
+    where.push(filter.sql);
+    bindings.push(...filter.bindings);
+  }
+
+  if (cursor) {
+    const keyset = buildKeysetCondition(sortKeys, decodeCursor(cursor, sortKeys));
+    where.push(keyset.sql);
+    bindings.push(...keyset.bindings);
+  }
+
+  const orderBy = sortKeys
+    .map(key => `${sortExpression(key.column)} ${key.desc ? 'DESC' : 'ASC'}`)
+    .join(', ');
+
+  // Fetch one extra row to know whether another page exists
+  let query = `SELECT * FROM ${tableName} WHERE ${where.join(' AND ')}`;
+  query += ` ORDER BY ${orderBy} LIMIT ? OFFSET ?`;
+  bindings.push(limit + 1, offset);
+
+  // Each extra sort column adds cursor values on top of the filter's
+  if (bindings.length > MAX_BOUND_PARAMETERS) {
+    throw new Error(`Query needs ${bindings.length} values, the maximum is ${MAX_BOUND_PARAMETERS}. Use fewer filter values or sort columns.`);
+  }
+
+  console.log('List query:', query);
+  console.log('List values:', bindings);
+
+  const { results } = await DB_PENERBIT.prepare(query).bind(...bindings).all();
+  const hasMore = results.length > limit;
+  const data = hasMore ? results.slice(0, limit) : results;
+
+  const lastRow = data[data.length - 1];
+  const nextCursor = hasMore && lastRow
+    ? encodeCursor(sortKeys.map(key => sortValue(lastRow, key.column)))
+    : null;
+
+  return {
+    count: data.length,
+    total,
+    limit,
+    sort: sortKeys.map(key => (key.desc ? '-' : '') + key.column).join(','),
+    hasMore,
+    nextCursor,
+    data
+  };
+}
+
+// Every live record that matches, for exports: walks the pages with the cursor and
+// without counting. options: { sort, filter, fieldMap }
+export async function listAllRecords(DB_PENERBIT, tableName, options = {}) {
+  const rows = [];
+  let cursor = null;
+  do {
+    const page = await listRecords(DB_PENERBIT, tableName, { ...options, limit: MAX_LIMIT, cursor, count: false });
+
+    rows.push(...page.data);
+    if (rows.length > MAX_EXPORT_ROWS) {
+      throw new Error(`Export has more than ${MAX_EXPORT_ROWS} rows. Narrow it down with filters.`);
+    }
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  return rows;
+}
@@ -0,0 +1,84 @@
+// functions/_lib/live.js - Server-Sent Events stream of a table's record changes
+//
+// Pages Functions have no shared memory between requests, so the stream polls the change
+// feed (_sys_history) every few seconds and sends what is new. Each stream ends after about
+// a minute; EventSource reconnects by itself and sends the last event id, so nothing is
+// missed and the login is checked again on every reconnect.
+import { latestHistoryId, changesAfter } from './changes.js';
+
+const POLL_INTERVAL_MS = 2000;
+const STREAM_DURATION_MS = 55 * 1000;
+// Comment line that keeps proxies from closing a quiet connection
+const KEEPALIVE_INTERVAL_MS = 15 * 1000;
+const RECONNECT_DELAY_MS = 3000;
+const BATCH_SIZE = 100;
+
+const encoder = new TextEncoder();
+
+// Feed action -> event name, the same names the webhooks use
+function eventName(change) {
+  if (change.op === 'delete') return 'deleted';
+  return change.action === 'create' || change.action === 'restore' ? 'created' : 'updated';
+}
+
+function formatEvent(change) {
+  const data = {
+    id_x: change.id_x,
+    action: change.action,
+    changed_at: change.changed_at,
+    changed_by: change.changed_by,
+    record: change.record
+  };
+  return `id: ${change.seq}\nevent: ${eventName(change)}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Start position: the Last-Event-ID of a reconnect, or now for a new subscriber
+export async function liveStartId(DB_PENERBIT, request) {
+  const lastEventId = request.headers.get('Last-Event-ID');
+  if (lastEventId && /^\d+$/.test(lastEventId)) return Number(lastEventId);
+  return latestHistoryId(DB_PENERBIT);
+}
+
+// ReadableStream of "created" / "updated" / "deleted" events after history id startId.
+// context.waitUntil keeps the polling alive after the response has been returned.
+export function liveStream(context, tableName, startId) {
+  const { DB_PENERBIT } = context.env;
+  const signal = context.request.signal;
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+
+  async function pump() {
+    let last = startId;
+    let lastWrite = Date.now();
+    const endAt = Date.now() + STREAM_DURATION_MS;
+
+    try {
+      await writer.write(encoder.encode(`retry: ${RECONNECT_DELAY_MS}\nid: ${last}\n\n`));
+
+      while (Date.now() < endAt && !(signal && signal.aborted)) {
+        const page = await changesAfter(DB_PENERBIT, tableName, last, BATCH_SIZE);
+        if (page.changes.length > 0) {
+          await writer.write(encoder.encode(page.changes.map(formatEvent).join('')));
+          last = page.last;
+          lastWrite = Date.now();
+          if (page.hasMore) continue;
+        } else if (Date.now() - lastWrite >= KEEPALIVE_INTERVAL_MS) {
+          await writer.write(encoder.encode(': keepalive\n\n'));
+          lastWrite = Date.now();
+        }
+        await sleep(POLL_INTERVAL_MS);
+      }
+      await writer.close();
+    } catch (error) {
+      // Writes fail once the client has gone away; nothing left to do
+      console.log(`Live stream of ${tableName} ended: ${error.message}`);
+      await writer.abort(error).catch(() => {});
+    }
+  }
+
+  const pumping = pump();
+  if (context.waitUntil) context.waitUntil(pumping);
+  return readable;
+}
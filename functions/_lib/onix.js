@@ -0,0 +1,331 @@
+// functions/_lib/onix.js - ONIX 3.0 product metadata mapped onto a dynamic books table
+//
+// Each table that holds books gets a mapping from ONIX fields to its x_NN columns plus a few
+// message settings (publisher name, currency, ...). Export writes ONIX 3.0 reference tags;
+// import reads reference or short tags and returns plain values keyed by ONIX field.
+import { DATA_COLUMNS } from './tables.js';
+import { resolveColumn } from './fields.js';
+import { normalizeIsbn } from './isbn.js';
+import { xmlElement, escapeXml, parseXml, childElement, childElements, childText } from './xml.js';
+
+export const ONIX_TABLE = '_sys_onix';
+
+export const ONIX_NAMESPACE = 'http://ns.editeur.org/onix/3.0/reference';
+
+// Fields that can be mapped to columns; isbn is required and used to match records on import
+export const ONIX_FIELDS = ['isbn', 'title', 'subtitle', 'contributors', 'price', 'publicationDate', 'subject'];
+
+const DEFAULT_SETTINGS = {
+  senderName: '',
+  publisherName: '',
+  currency: 'IDR',
+  language: 'ind',
+  productForm: 'BA'
+};
+
+// Contributors and subjects are kept in one column, separated by ';'
+const LIST_SEPARATOR = '; ';
+
+// BISAC subject codes (scheme 10); other subject values are exported as keywords (scheme 20)
+const BISAC_CODE = /^[A-Z]{3}\d{6}$/;
+
+// ONIX short tags for the elements read on import
+const SHORT_TAGS = {
+  ONIXmessage: 'ONIXMessage', product: 'Product', a001: 'RecordReference', a002: 'NotificationType',
+  productidentifier: 'ProductIdentifier', b221: 'ProductIDType', b244: 'IDValue',
+  descriptivedetail: 'DescriptiveDetail', titledetail: 'TitleDetail', b202: 'TitleType',
+  titleelement: 'TitleElement', x409: 'TitleElementLevel', b203: 'TitleText', b030: 'TitlePrefix',
+  b031: 'TitleWithoutPrefix', b029: 'Subtitle', contributor: 'Contributor', b034: 'SequenceNumber',
+  b035: 'ContributorRole', b036: 'PersonName', b037: 'PersonNameInverted', b039: 'NamesBeforeKey',
+  b040: 'KeyNames', b047: 'CorporateName', subject: 'Subject', b067: 'SubjectSchemeIdentifier',
+  b069: 'SubjectCode', b070: 'SubjectHeadingText', publishingdetail: 'PublishingDetail',
+  publishingdate: 'PublishingDate', x448: 'PublishingDateRole', b306: 'Date',
+  productsupply: 'ProductSupply', supplydetail: 'SupplyDetail', price: 'Price',
+  j151: 'PriceAmount', j152: 'CurrencyCode'
+};
+
+// Created once per isolate instead of on every request
+let onixTableReady = false;
+
+export async function ensureOnixTable(DB_PENERBIT) {
+  if (onixTableReady) return;
+
+  await DB_PENERBIT.prepare(`
+    CREATE TABLE IF NOT EXISTS ${ONIX_TABLE} (
+      table_name TEXT PRIMARY KEY,
+      config TEXT NOT NULL
+    )
+  `).run();
+  onixTableReady = true;
+}
+
+// Load the mapping of a table: { columns: { isbn: 'x_01', ... }, senderName, ... } or null
+export async function loadOnixConfig(DB_PENERBIT, tableName) {
+  await ensureOnixTable(DB_PENERBIT);
+
+  const row = await DB_PENERBIT.prepare(`
+    SELECT config FROM ${ONIX_TABLE} WHERE table_name = ?
+  `).bind(tableName).first();
+
+  return row ? { ...DEFAULT_SETTINGS, ...JSON.parse(row.config) } : null;
+}
+
+// Check and store the mapping of a table; columns may be x_NN or field names
+export async function saveOnixConfig(DB_PENERBIT, tableName, config, fieldMap) {
+  if (!config || typeof config !== 'object' || !config.columns || typeof config.columns !== 'object') {
+    throw new Error('Send { columns: { isbn: "x_01", title: "...", ... } } and optional settings');
+  }
+
+  const columns = {};
+  const usedBy = {};
+  for (const [field, name] of Object.entries(config.columns)) {
+    if (!ONIX_FIELDS.includes(field)) {
+      throw new Error(`Unknown ONIX field '${field}'. Allowed: ${ONIX_FIELDS.join(', ')}`);
+    }
+    if (name === null || name === '') continue;
+
+    const column = resolveColumn(fieldMap, name);
+    if (!DATA_COLUMNS.includes(column)) {
+      throw new Error(`Unknown column or field '${name}' for ONIX field '${field}'`);
+    }
+    if (usedBy[column]) {
+      throw new Error(`Column '${column}' is mapped to both '${usedBy[column]}' and '${field}'`);
+    }
+    usedBy[column] = field;
+    columns[field] = column;
+  }
+  if (!columns.isbn) {
+    throw new Error('The isbn field must be mapped; it identifies the products');
+  }
+
+  const settings = { ...DEFAULT_SETTINGS };
+  for (const key of Object.keys(DEFAULT_SETTINGS)) {
+    if (config[key] === undefined) continue;
+    if (typeof config[key] !== 'string' || config[key].length > 200) {
+      throw new Error(`${key} must be a string of at most 200 characters`);
+    }
+    settings[key] = config[key].trim();
+  }
+  if (!/^[A-Z]{3}$/.test(settings.currency)) {
+    throw new Error('currency must be an ISO 4217 code such as IDR');
+  }
+  if (!/^[a-z]{3}$/.test(settings.language)) {
+    throw new Error('language must be an ISO 639-2/B code such as ind or eng');
+  }
+  if (!/^[A-Z][A-Z0-9]$/.test(settings.productForm)) {
+    throw new Error('productForm must be an ONIX product form code such as BA, BB or BC');
+  }
+
+  const stored = { columns, ...settings };
+  await ensureOnixTable(DB_PENERBIT);
+  await DB_PENERBIT.prepare(`
+    INSERT INTO ${ONIX_TABLE} (table_name, config) VALUES (?, ?)
+    ON CONFLICT (table_name) DO UPDATE SET config = excluded.config
+  `).bind(tableName, JSON.stringify(stored)).run();
+
+  return stored;
+}
+
+function splitList(value) {
+  if (value === null || value === undefined) return [];
+  return String(value).split(/[;\n]/).map(item => item.trim()).filter(item => item !== '');
+}
+
+// '2026-03-01' -> <Date>20260301</Date>; '2026-03' and '2026' use dateformat 01 and 05
+function onixDate(value) {
+  const match = /^(\d{4})(?:-?(\d{2})(?:-?(\d{2}))?)?/.exec(String(value || '').trim());
+  if (!match) return '';
+  const [, year, month, day] = match;
+  if (day) return `<Date>${year}${month}${day}</Date>`;
+  if (month) return `<Date dateformat="01">${year}${month}</Date>`;
+  return `<Date dateformat="05">${year}</Date>`;
+}
+
+// ONIX dates back to YYYY-MM-DD (or YYYY-MM, YYYY)
+function isoDate(text) {
+  const match = /^(\d{4})(\d{2})?(\d{2})?/.exec(String(text || '').replace(/-/g, ''));
+  if (!match) return null;
+  return match.slice(1).filter(Boolean).join('-');
+}
+
+function onixPrice(value) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const amount = Number(String(value).trim());
+  return Number.isFinite(amount) && amount >= 0 ? amount : null;
+}
+
+// One <Product> for a row; returns null when the row has no usable ISBN
+function productXml(row, config, recordPrefix, supplierName) {
+  const column = field => config.columns[field] ? row[config.columns[field]] : null;
+
+  const isbn = normalizeIsbn(column('isbn'));
+  let idType;
+  if (/^\d{13}$/.test(isbn)) idType = '15';
+  else if (/^\d{9}[\dX]$/.test(isbn)) idType = '02';
+  else return null;
+
+  const title = column('title');
+  const contributors = splitList(column('contributors'));
+  const subjects = splitList(column('subject'));
+  const price = onixPrice(column('price'));
+  const date = onixDate(column('publicationDate'));
+
+  const parts = [
+    '<Product>',
+    xmlElement('RecordReference', `${recordPrefix}.${row.id_x}`),
+    '<NotificationType>03</NotificationType>',
+    `<ProductIdentifier><ProductIDType>${idType}</ProductIDType>${xmlElement('IDValue', isbn)}</ProductIdentifier>`,
+    '<DescriptiveDetail>',
+    '<ProductComposition>00</ProductComposition>',
+    xmlElement('ProductForm', config.productForm),
+    '<TitleDetail><TitleType>01</TitleType><TitleElement><TitleElementLevel>01</TitleElementLevel>',
+    xmlElement('TitleText', title || isbn),
+    xmlElement('Subtitle', column('subtitle')),
+    '</TitleElement></TitleDetail>',
+    ...(contributors.length > 0
+      ? contributors.map((name, index) =>
+        `<Contributor><SequenceNumber>${index + 1}</SequenceNumber><ContributorRole>A01</ContributorRole>${xmlElement('PersonName', name)}</Contributor>`)
+      : ['<NoContributor/>']),
+    `<Language><LanguageRole>01</LanguageRole>${xmlElement('LanguageCode', config.language)}</Language>`,
+    ...subjects.map(subject => BISAC_CODE.test(subject)
+      ? `<Subject><SubjectSchemeIdentifier>10</SubjectSchemeIdentifier>${xmlElement('SubjectCode', subject)}</Subject>`
+      : `<Subject><SubjectSchemeIdentifier>20</SubjectSchemeIdentifier>${xmlElement('SubjectHeadingText', subject)}</Subject>`),
+    '</DescriptiveDetail>',
+    '<PublishingDetail>',
+    config.publisherName
+      ? `<Publisher><PublishingRole>01</PublishingRole>${xmlElement('PublisherName', config.publisherName)}</Publisher>`
+      : '',
+    date ? `<PublishingDate><PublishingDateRole>01</PublishingDateRole>${date}</PublishingDate>` : '',
+    '</PublishingDetail>',
+    '<ProductSupply><SupplyDetail>',
+    `<Supplier><SupplierRole>01</SupplierRole>${xmlElement('SupplierName', supplierName)}</Supplier>`,
+    '<ProductAvailability>20</ProductAvailability>',
+    price !== null
+      ? `<Price><PriceType>02</PriceType><PriceAmount>${price}</PriceAmount>${xmlElement('CurrencyCode', config.currency)}</Price>`
+      : '<UnpricedItemType>02</UnpricedItemType>',
+    '</SupplyDetail></ProductSupply>',
+    '</Product>'
+  ];
+
+  return parts.filter(part => part !== '').join('\n');
+}
+
+// Build an ONIX 3.0 message; returns { xml, exported, skipped } (rows without ISBN are skipped)
+export function buildOnixMessage(rows, config, { recordPrefix, sentAt }) {
+  const products = [];
+  let skipped = 0;
+  const senderName = config.senderName || config.publisherName || recordPrefix;
+
+  for (const row of rows) {
+    const product = productXml(row, config, recordPrefix, config.publisherName || senderName);
+    if (product) products.push(product);
+    else skipped++;
+  }
+
+  const sentDateTime = sentAt.replace(/[-:]/g, '').replace(/\.\d+/, '');
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<ONIXMessage release="3.0" xmlns="${escapeXml(ONIX_NAMESPACE)}">`,
+    '<Header>',
+    `<Sender>${xmlElement('SenderName', senderName)}</Sender>`,
+    xmlElement('SentDateTime', sentDateTime),
+    '</Header>',
+    ...products,
+    '</ONIXMessage>'
+  ].filter(part => part !== '').join('\n');
+
+  return { xml: xml + '\n', exported: products.length, skipped };
+}
+
+// Rename short tags to reference names so one reader handles both
+function toReferenceTags(element) {
+  element.name = SHORT_TAGS[element.name] || element.name;
+  element.children.forEach(toReferenceTags);
+  return element;
+}
+
+function productIsbn(product) {
+  const identifiers = childElements(product, 'ProductIdentifier');
+  for (const type of ['15', '03', '02']) {
+    const identifier = identifiers.find(element => childText(element, 'ProductIDType') === type);
+    if (identifier && childText(identifier, 'IDValue')) return normalizeIsbn(childText(identifier, 'IDValue'));
+  }
+  return null;
+}
+
+function productTitle(detail) {
+  const titleDetails = childElements(detail, 'TitleDetail');
+  const titleDetail = titleDetails.find(element => childText(element, 'TitleType') === '01') || titleDetails[0];
+  const elements = childElements(titleDetail, 'TitleElement');
+  const element = elements.find(item => childText(item, 'TitleElementLevel') === '01') || elements[0];
+  if (!element) return { title: null, subtitle: null };
+
+  const prefixed = [childText(element, 'TitlePrefix'), childText(element, 'TitleWithoutPrefix')].filter(Boolean).join(' ');
+  return { title: childText(element, 'TitleText') || prefixed || null, subtitle: childText(element, 'Subtitle') };
+}
+
+function contributorName(contributor) {
+  const beforeKey = [childText(contributor, 'NamesBeforeKey'), childText(contributor, 'KeyNames')].filter(Boolean).join(' ');
+  return childText(contributor, 'PersonName') || beforeKey || childText(contributor, 'PersonNameInverted')
+    || childText(contributor, 'CorporateName');
+}
+
+function productPrice(product, currency) {
+  const prices = childElements(product, 'ProductSupply')
+    .flatMap(supply => childElements(supply, 'SupplyDetail'))
+    .flatMap(detail => childElements(detail, 'Price'));
+  // A price in another currency is not stored in this table's price column
+  const price = prices.find(element => (childText(element, 'CurrencyCode') || currency) === currency);
+  return price ? childText(price, 'PriceAmount') : null;
+}
+
+// Values of one <Product> keyed by ONIX field; fields the product does not carry are left out
+function readProduct(product, config) {
+  const detail = childElement(product, 'DescriptiveDetail');
+  const { title, subtitle } = productTitle(detail);
+
+  const contributors = childElements(detail, 'Contributor')
+    .map((contributor, index) => ({ name: contributorName(contributor), order: Number(childText(contributor, 'SequenceNumber')) || index + 1 }))
+    .filter(contributor => contributor.name)
+    .sort((a, b) => a.order - b.order)
+    .map(contributor => contributor.name);
+
+  const subjects = childElements(detail, 'Subject')
+    .map(subject => childText(subject, 'SubjectCode') || childText(subject, 'SubjectHeadingText'))
+    .filter(Boolean);
+
+  const publishingDates = childElements(childElement(product, 'PublishingDetail'), 'PublishingDate');
+  const publishingDate = publishingDates.find(element => childText(element, 'PublishingDateRole') === '01');
+
+  const values = {
+    title,
+    subtitle,
+    contributors: contributors.length > 0 ? contributors.join(LIST_SEPARATOR) : null,
+    price: productPrice(product, config.currency),
+    publicationDate: publishingDate ? isoDate(childText(publishingDate, 'Date')) : null,
+    subject: subjects.length > 0 ? subjects.join(LIST_SEPARATOR) : null
+  };
+
+  for (const key of Object.keys(values)) {
+    if (values[key] === null) delete values[key];
+  }
+  return values;
+}
+
+// Parse an ONIX 3.0 message into [{ recordReference, notificationType, isbn, values }]
+export function parseOnixMessage(xml, config) {
+  const root = toReferenceTags(parseXml(xml));
+  if (root.name !== 'ONIXMessage') {
+    throw new Error(`Not an ONIX message: root element is <${root.name}>`);
+  }
+  if (root.attributes.release && !root.attributes.release.startsWith('3.')) {
+    throw new Error(`ONIX release ${root.attributes.release} is not supported, only 3.0`);
+  }
+
+  return childElements(root, 'Product').map(product => ({
+    recordReference: childText(product, 'RecordReference'),
+    notificationType: childText(product, 'NotificationType'),
+    isbn: productIsbn(product),
+    values: readProduct(product, config)
+  }));
+}
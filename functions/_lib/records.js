@@ -0,0 +1,49 @@
+// functions/_lib/records.js - SQL for writing x_NN records, shared by the single and bulk handlers
+import { DATA_COLUMNS } from './tables.js';
+
+// INSERT for a new record; columnData is { x_NN: value } after mapInputFields.
+// Returns { query, values, columns } where columns are the data columns written.
+export function buildInsert(tableName, columnData, now) {
+  const columns = DATA_COLUMNS.filter(column => Object.prototype.hasOwnProperty.call(columnData, column));
+
+  if (columns.length === 0) {
+    throw new Error('At least one field (x_01 to x_20 or a mapped field name) is required');
+  }
+
+  // Timestamps are always set by the server
+  const allColumns = [...columns, 'created_at', 'updated_at'];
+  const values = [...columns.map(column => columnData[column]), now, now];
+
+  return {
+    query: `INSERT INTO ${tableName} (${allColumns.join(', ')}) VALUES (${allColumns.map(() => '?').join(', ')})`,
+    values,
+    columns
+  };
+}
+
+// UPDATE of the given columns, guarded by the row version that was checked,
+// so a concurrent write is not overwritten. Returns { query, values, columns }.
+export function buildUpdate(tableName, id, version, columnData, now) {
+  const columns = DATA_COLUMNS.filter(column => Object.prototype.hasOwnProperty.call(columnData, column));
+
+  if (columns.length === 0) {
+    throw new Error('At least one field (x_01 to x_20 or a mapped field name) is required for update');
+  }
+
+  const assignments = [...columns.map(column => `${column} = ?`), 'updated_at = ?', 'row_version = row_version + 1'];
+  const values = [...columns.map(column => columnData[column]), now, id, version];
+
+  return {
+    query: `UPDATE ${tableName} SET ${assignments.join(', ')} WHERE id_x = ? AND row_version = ? AND deleted_at IS NULL`,
+    values,
+    columns
+  };
+}
+
+// Soft delete: moves the record to the trash. Returns { query, values }.
+export function buildSoftDelete(tableName, id, version, now) {
+  return {
+    query: `UPDATE ${tableName} SET deleted_at = ?, updated_at = ?, row_version = row_version + 1 WHERE id_x = ? AND row_version = ? AND deleted_at IS NULL`,
+    values: [now, now, id, version]
+  };
+}
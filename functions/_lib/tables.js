@@ -0,0 +1,119 @@
+// functions/_lib/tables.js - Shared helpers for the dynamic x_01..x_20 tables
+
+// Data columns every dynamic table has
+export const DATA_COLUMNS = Array.from({ length: 20 }, (_, i) => `x_${String(i + 1).padStart(2, '0')}`);
+
+// Server-maintained timestamp columns (ISO 8601 UTC)
+export const TIMESTAMP_COLUMNS = ['created_at', 'updated_at'];
+
+// Per-row version counter used for ETag / If-Match
+export const VERSION_COLUMN = 'row_version';
+
+// Soft delete marker: rows with deleted_at set are in the trash
+export const DELETED_COLUMN = 'deleted_at';
+
+// Columns added after the first table layout, with their definitions for ALTER TABLE
+const ADDED_COLUMNS = {
+  created_at: 'TEXT',
+  updated_at: 'TEXT',
+  row_version: 'INTEGER NOT NULL DEFAULT 1',
+  deleted_at: 'TEXT'
+};
+
+// Tables already checked for the added columns in this isolate
+const upgradedTables = new Set();
+
+// Prefixes of SQLite, Cloudflare and our own bookkeeping tables
+export const RESERVED_TABLE_PREFIXES = ['sqlite_', '_cf_', '_sys_'];
+
+// Security function to validate table name
+export function isValidTableName(tableName) {
+  return /^[a-zA-Z_][a-zA-Z0-9_]*$/.test(tableName)
+    && tableName.length <= 50
+    && !RESERVED_TABLE_PREFIXES.some(prefix => tableName.toLowerCase().startsWith(prefix));
+}
+
+// Names of the dynamic tables (SQLite, Cloudflare and _sys_ tables are left out)
+export async function listTableNames(DB_PENERBIT) {
+  const { results } = await DB_PENERBIT.prepare(`
+    SELECT name FROM sqlite_master WHERE type='table' ORDER BY name
+  `).all();
+
+  return results.map(row => row.name).filter(isValidTableName);
+}
+
+// Check whether a table exists in the database
+export async function tableExists(DB_PENERBIT, tableName) {
+  const tableCheck = await DB_PENERBIT.prepare(`
+    SELECT name FROM sqlite_master WHERE type='table' AND name=?
+  `).bind(tableName).first();
+  
+  return !!tableCheck;
+}
+
+// Function to create table if not exists
+export async function createTableIfNotExists(DB_PENERBIT, tableName) {
+  const createTableQuery = `
+    CREATE TABLE IF NOT EXISTS ${tableName} (
+      id_x INTEGER PRIMARY KEY AUTOINCREMENT,
+      ${DATA_COLUMNS.map(column => `${column} TEXT`).join(',\n      ')},
+      ${Object.entries(ADDED_COLUMNS).map(([column, definition]) => `${column} ${definition}`).join(',\n      ')}
+    )
+  `;
+  
+  await DB_PENERBIT.prepare(createTableQuery).run();
+  upgradedTables.add(tableName);
+  console.log(`Table '${tableName}' created or already exists`);
+}
+
+// Add columns introduced after a table was created (timestamps, row version, soft delete)
+export async function upgradeTable(DB_PENERBIT, tableName) {
+  if (upgradedTables.has(tableName)) return;
+  
+  const { results } = await DB_PENERBIT.prepare(`PRAGMA table_info(${tableName})`).all();
+  const existing = results.map(column => column.name);
+  
+  for (const [column, definition] of Object.entries(ADDED_COLUMNS)) {
+    if (!existing.includes(column)) {
+      console.log(`Adding column '${column}' to table '${tableName}'`);
+      try {
+        await DB_PENERBIT.prepare(`ALTER TABLE ${tableName} ADD COLUMN ${column} ${definition}`).run();
+      } catch (error) {
+        // Another isolate upgrading the same table got there first
+        if (!String(error.message).includes('duplicate column name')) throw error;
+      }
+    }
+  }
+  upgradedTables.add(tableName);
+}
+
+// Current time in the format stored in created_at/updated_at
+export function nowTimestamp() {
+  return new Date().toISOString();
+}
+
+// Tables listed in the AUTO_CREATE_TABLES variable (comma separated) are created on first use
+export function autoCreateAllowed(env, tableName) {
+  return String(env.AUTO_CREATE_TABLES || '')
+    .split(',')
+    .map(name => name.trim())
+    .includes(tableName);
+}
+
+// Is the table there? Only allowlisted tables are created on demand; everything else must be
+// provisioned through POST /api/tables.
+export async function tableAvailable(env, tableName) {
+  if (await tableExists(env.DB_PENERBIT, tableName)) {
+    await upgradeTable(env.DB_PENERBIT, tableName);
+    return true;
+  }
+
+  if (autoCreateAllowed(env, tableName)) {
+    console.log(`Table '${tableName}' does not exist, creating from AUTO_CREATE_TABLES...`);
+    await createTableIfNotExists(env.DB_PENERBIT, tableName);
+    return true;
+  }
+
+  console.log(`Table '${tableName}' does not exist`);
+  return false;
+}
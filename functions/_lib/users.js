@@ -0,0 +1,187 @@
+// functions/_lib/users.js - Admin UI users, PBKDF2 password hashing and cookie sessions
+//
+// Roles: viewer (read), editor (read + write), admin (everything, including user and key management).
+// A user's "tables" map gives the role per table, with "*" for all tables:
+//   { "*": "viewer", "keuangan": "editor" }
+// Admins ignore the map.
+import { sha256Hex, randomHex } from './crypto.js';
+
+export const USERS_TABLE = '_sys_users';
+export const SESSIONS_TABLE = '_sys_sessions';
+export const SESSION_COOKIE = 'penerbit_session';
+export const ROLES = ['viewer', 'editor', 'admin'];
+
+// Passwords shorter than this are rejected
+export const MIN_PASSWORD_LENGTH = 10;
+
+// Workers cap PBKDF2 at 100000 iterations
+const PBKDF2_ITERATIONS = 100000;
+const SESSION_TTL_SECONDS = 8 * 60 * 60;
+
+// Created once per isolate instead of on every request
+let usersTablesReady = false;
+
+export async function ensureUsersTables(DB_PENERBIT) {
+  if (usersTablesReady) return;
+
+  await DB_PENERBIT.batch([
+    DB_PENERBIT.prepare(`
+      CREATE TABLE IF NOT EXISTS ${USERS_TABLE} (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL,
+        tables TEXT NOT NULL,
+        created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%SZ', 'now')),
+        disabled_at TEXT
+      )
+    `),
+    DB_PENERBIT.prepare(`
+      CREATE TABLE IF NOT EXISTS ${SESSIONS_TABLE} (
+        token_hash TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%SZ', 'now')),
+        expires_at TEXT NOT NULL
+      )
+    `)
+  ]);
+  usersTablesReady = true;
+}
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+async function pbkdf2(password, salt, iterations) {
+  const keyMaterial = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']
+  );
+  return crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, keyMaterial, 256);
+}
+
+// Stored format: pbkdf2$<iterations>$<salt base64>$<hash base64>
+export async function hashPassword(password) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const hash = await pbkdf2(password, salt, PBKDF2_ITERATIONS);
+  return `pbkdf2$${PBKDF2_ITERATIONS}$${toBase64(salt)}$${toBase64(hash)}`;
+}
+
+export async function verifyPassword(password, storedHash) {
+  const [scheme, iterations, salt, expected] = String(storedHash).split('$');
+  if (scheme !== 'pbkdf2') return false;
+
+  const actual = toBase64(await pbkdf2(password, fromBase64(salt), Number(iterations)));
+
+  // Compare without an early exit
+  let difference = actual.length ^ expected.length;
+  for (let i = 0; i < Math.min(actual.length, expected.length); i++) {
+    difference |= actual.charCodeAt(i) ^ expected.charCodeAt(i);
+  }
+  return difference === 0;
+}
+
+// Same cost as a real check, used when the username does not exist
+const DUMMY_HASH = `pbkdf2$${PBKDF2_ITERATIONS}$AAAAAAAAAAAAAAAAAAAAAA==$AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA=`;
+
+// Check role/tables input for create and update; returns the normalised tables map
+export function normaliseTables(role, tables) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`role must be one of: ${ROLES.join(', ')}`);
+  }
+  if (tables === undefined || tables === null) {
+    return role === 'admin' ? {} : { '*': role };
+  }
+  if (typeof tables !== 'object' || Array.isArray(tables)) {
+    throw new Error('tables must be an object of { table: role }');
+  }
+
+  for (const [table, tableRole] of Object.entries(tables)) {
+    if (table !== '*' && !/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(table)) {
+      throw new Error(`Invalid table name '${table}'`);
+    }
+    if (tableRole !== 'viewer' && tableRole !== 'editor') {
+      throw new Error(`Role for table '${table}' must be viewer or editor`);
+    }
+  }
+  return tables;
+}
+
+// Translate a user's role and tables map into API scopes
+export function scopesForUser(user) {
+  if (user.role === 'admin') return ['admin'];
+
+  const scopes = [];
+  for (const [table, tableRole] of Object.entries(user.tables)) {
+    scopes.push(`read:${table}`);
+    if (tableRole === 'editor') scopes.push(`write:${table}`);
+  }
+  return scopes;
+}
+
+// Check username/password; returns the user row or null
+export async function checkLogin(DB_PENERBIT, username, password) {
+  await ensureUsersTables(DB_PENERBIT);
+
+  const user = await DB_PENERBIT.prepare(`
+    SELECT id, username, password_hash, role, tables FROM ${USERS_TABLE}
+    WHERE username = ? AND disabled_at IS NULL
+  `).bind(username).first();
+
+  const valid = await verifyPassword(password, user ? user.password_hash : DUMMY_HASH);
+  if (!user || !valid) return null;
+
+  return { id: user.id, username: user.username, role: user.role, tables: JSON.parse(user.tables) };
+}
+
+// Create a session row and return the raw token for the cookie
+export async function createSession(DB_PENERBIT, userId) {
+  const token = randomHex(32);
+  const expiresAt = new Date(Date.now() + SESSION_TTL_SECONDS * 1000).toISOString();
+
+  await DB_PENERBIT.prepare(`
+    INSERT INTO ${SESSIONS_TABLE} (token_hash, user_id, expires_at) VALUES (?, ?, ?)
+  `).bind(await sha256Hex(token), userId, expiresAt).run();
+
+  return token;
+}
+
+export async function deleteSession(DB_PENERBIT, token) {
+  await ensureUsersTables(DB_PENERBIT);
+  await DB_PENERBIT.prepare(`DELETE FROM ${SESSIONS_TABLE} WHERE token_hash = ?`)
+    .bind(await sha256Hex(token)).run();
+}
+
+// Look up the user behind a session token; returns null when missing, expired or disabled
+export async function loadSessionUser(DB_PENERBIT, token) {
+  await ensureUsersTables(DB_PENERBIT);
+
+  const user = await DB_PENERBIT.prepare(`
+    SELECT u.id, u.username, u.role, u.tables
+    FROM ${SESSIONS_TABLE} s JOIN ${USERS_TABLE} u ON u.id = s.user_id
+    WHERE s.token_hash = ? AND s.expires_at > ? AND u.disabled_at IS NULL
+  `).bind(await sha256Hex(token), new Date().toISOString()).first();
+
+  if (!user) return null;
+  return { id: user.id, username: user.username, role: user.role, tables: JSON.parse(user.tables) };
+}
+
+export function readSessionCookie(request) {
+  const cookieHeader = request.headers.get('Cookie') || '';
+  for (const part of cookieHeader.split(';')) {
+    const [name, ...rest] = part.trim().split('=');
+    if (name === SESSION_COOKIE) return rest.join('=');
+  }
+  return null;
+}
+
+export function sessionCookie(token) {
+  return `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; Secure; SameSite=Strict; Max-Age=${SESSION_TTL_SECONDS}`;
+}
+
+export function clearSessionCookie() {
+  return `${SESSION_COOKIE}=; Path=/; HttpOnly; Secure; SameSite=Strict; Max-Age=0`;
+}
@@ -0,0 +1,301 @@
+// functions/_lib/validation.js - Declarative per-table validation rules for record writes
+import { DATA_COLUMNS } from './tables.js';
+import { resolveColumn } from './fields.js';
+import { parseIsbn, isbnProblem, findRecordsByIsbn } from './isbn.js';
+
+export const RULES_TABLE = '_sys_rules';
+
+// Applies to every table, with or without rules
+const MAX_VALUE_LENGTH = 65535;
+
+export const FIELD_TYPES = ['string', 'integer', 'decimal', 'date', 'email', 'url', 'enum', 'isbn'];
+const RULE_KEYS = ['required', 'type', 'minLength', 'maxLength', 'min', 'max', 'pattern', 'values'];
+
+// Thrown when a write does not pass validation; handlers turn it into a 422 response
+export class ValidationError extends Error {
+  constructor(errors) {
+    super(`Validation failed for ${errors.length} field(s)`);
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+// Created once per isolate instead of on every request
+let rulesTableReady = false;
+
+export async function ensureRulesTable(DB_PENERBIT) {
+  if (rulesTableReady) return;
+
+  await DB_PENERBIT.prepare(`
+    CREATE TABLE IF NOT EXISTS ${RULES_TABLE} (
+      table_name TEXT NOT NULL,
+      column_name TEXT NOT NULL,
+      rules TEXT NOT NULL,
+      PRIMARY KEY (table_name, column_name)
+    )
+  `).run();
+  rulesTableReady = true;
+}
+
+// Load rules for one table: { x_01: { required: true, type: 'string', ... }, ... }
+export async function loadRules(DB_PENERBIT, tableName) {
+  await ensureRulesTable(DB_PENERBIT);
+
+  const { results } = await DB_PENERBIT.prepare(`
+    SELECT column_name, rules FROM ${RULES_TABLE} WHERE table_name = ? ORDER BY column_name
+  `).bind(tableName).all();
+
+  const rules = {};
+  for (const row of results) {
+    rules[row.column_name] = JSON.parse(row.rules);
+  }
+  return rules;
+}
+
+// Check the shape of one column's rules before storing them
+function checkRuleDefinition(key, rule) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new Error(`Rules for '${key}' must be an object`);
+  }
+
+  for (const ruleKey of Object.keys(rule)) {
+    if (!RULE_KEYS.includes(ruleKey)) {
+      throw new Error(`Unknown rule '${ruleKey}' for '${key}'. Allowed: ${RULE_KEYS.join(', ')}`);
+    }
+  }
+
+  if (rule.required !== undefined && typeof rule.required !== 'boolean') {
+    throw new Error(`'required' for '${key}' must be true or false`);
+  }
+  if (rule.type !== undefined && !FIELD_TYPES.includes(rule.type)) {
+    throw new Error(`Invalid type '${rule.type}' for '${key}'. Allowed: ${FIELD_TYPES.join(', ')}`);
+  }
+  for (const numberKey of ['minLength', 'maxLength']) {
+    if (rule[numberKey] !== undefined && (!Number.isInteger(rule[numberKey]) || rule[numberKey] < 0)) {
+      throw new Error(`'${numberKey}' for '${key}' must be a non-negative integer`);
+    }
+  }
+  for (const numberKey of ['min', 'max']) {
+    if (rule[numberKey] !== undefined && typeof rule[numberKey] !== 'number') {
+      throw new Error(`'${numberKey}' for '${key}' must be a number`);
+    }
+  }
+  if (rule.pattern !== undefined) {
+    try {
+      new RegExp(rule.pattern);
+    } catch (error) {
+      throw new Error(`Invalid pattern for '${key}': ${error.message}`);
+    }
+  }
+  if (rule.values !== undefined && (!Array.isArray(rule.values) || rule.values.length === 0)) {
+    throw new Error(`'values' for '${key}' must be a non-empty array`);
+  }
+  if (rule.type === 'enum' && !rule.values) {
+    throw new Error(`Type 'enum' for '${key}' needs a 'values' list`);
+  }
+}
+
+// Replace all rules of a table; keys may be x_NN columns or mapped field names
+export async function saveRules(DB_PENERBIT, tableName, rules, fieldMap) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error('rules must be an object keyed by column or field name');
+  }
+
+  const rulesByColumn = {};
+  for (const [key, rule] of Object.entries(rules)) {
+    const column = resolveColumn(fieldMap, key);
+    if (!DATA_COLUMNS.includes(column)) {
+      throw new Error(`Unknown column or field '${key}'`);
+    }
+    if (rulesByColumn[column]) {
+      throw new Error(`Column '${column}' has rules defined more than once`);
+    }
+    checkRuleDefinition(key, rule);
+    rulesByColumn[column] = rule;
+  }
+
+  await ensureRulesTable(DB_PENERBIT);
+
+  const statements = [
+    DB_PENERBIT.prepare(`DELETE FROM ${RULES_TABLE} WHERE table_name = ?`).bind(tableName),
+    ...Object.entries(rulesByColumn).map(([column, rule]) => DB_PENERBIT.prepare(`
+      INSERT INTO ${RULES_TABLE} (table_name, column_name, rules) VALUES (?, ?, ?)
+    `).bind(tableName, column, JSON.stringify(rule)))
+  ];
+  await DB_PENERBIT.batch(statements);
+
+  return rulesByColumn;
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+}
+
+function isValidDate(text) {
+  const match = text.match(/^(\d{4})-(\d{2})-(\d{2})(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/);
+  if (!match) return false;
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+function isValidUrl(text) {
+  try {
+    const parsed = new URL(text);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+// Type check for a non-empty value; returns an error message or null
+function checkType(type, value, rule) {
+  const text = String(value);
+
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' ? null : 'must be a string';
+    case 'integer':
+      return /^-?\d+$/.test(text) ? null : 'must be a whole number';
+    case 'decimal':
+      return /^-?\d+(\.\d+)?$/.test(text) ? null : 'must be a number';
+    case 'date':
+      return isValidDate(text) ? null : 'must be a date in YYYY-MM-DD or ISO 8601 format';
+    case 'email':
+      return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text) ? null : 'must be a valid email address';
+    case 'url':
+      return isValidUrl(text) ? null : 'must be a valid http(s) URL';
+    case 'enum':
+      return rule.values.includes(value) ? null : `must be one of: ${rule.values.join(', ')}`;
+    case 'isbn':
+      return parseIsbn(text) ? null : isbnProblem(text);
+    default:
+      return null;
+  }
+}
+
+// Validate one value against its column rules; returns a list of messages
+function checkValue(value, rule, partial, present) {
+  const messages = [];
+
+  if (!present) {
+    if (rule.required && !partial) messages.push('is required');
+    return messages;
+  }
+
+  if (value !== null && typeof value === 'object') {
+    return ['must be a string, number or boolean, not an object or array'];
+  }
+  if (typeof value === 'string' && value.length > MAX_VALUE_LENGTH) {
+    return [`must be at most ${MAX_VALUE_LENGTH} characters`];
+  }
+
+  if (isEmpty(value)) {
+    if (rule.required) messages.push('is required');
+    return messages;
+  }
+
+  const text = String(value);
+
+  if (rule.type) {
+    const typeError = checkType(rule.type, value, rule);
+    if (typeError) messages.push(typeError);
+  }
+  if (rule.minLength !== undefined && text.length < rule.minLength) {
+    messages.push(`must be at least ${rule.minLength} characters`);
+  }
+  if (rule.maxLength !== undefined && text.length > rule.maxLength) {
+    messages.push(`must be at most ${rule.maxLength} characters`);
+  }
+  if (rule.min !== undefined && Number(text) < rule.min) {
+    messages.push(`must be at least ${rule.min}`);
+  }
+  if (rule.max !== undefined && Number(text) > rule.max) {
+    messages.push(`must be at most ${rule.max}`);
+  }
+  if (rule.pattern !== undefined && !new RegExp(rule.pattern).test(text)) {
+    messages.push(`does not match the required format`);
+  }
+  if (rule.values && rule.type !== 'enum' && !rule.values.includes(value)) {
+    messages.push(`must be one of: ${rule.values.join(', ')}`);
+  }
+
+  return messages;
+}
+
+// Columns of the 'isbn' type that are being written with a value
+function isbnColumns(columnData, rules) {
+  return DATA_COLUMNS.filter(column => rules[column] && rules[column].type === 'isbn'
+    && Object.prototype.hasOwnProperty.call(columnData, column) && !isEmpty(columnData[column]));
+}
+
+// Validate { x_NN: value } against the table's rules.
+// partial = true for updates: only the columns being written are checked.
+// rules can be passed in when validating many records of the same table.
+// ISBN columns are rewritten in columnData to the ISBN-13 without hyphens and must not be used
+// by another live record; recordId is the record being updated, which may keep its own ISBN.
+export async function validateRecord(DB_PENERBIT, tableName, columnData, { partial = false, fieldMap = null, rules = null, recordId = null } = {}) {
+  if (!rules) rules = await loadRules(DB_PENERBIT, tableName);
+  const errors = [];
+
+  for (const column of DATA_COLUMNS) {
+    const present = Object.prototype.hasOwnProperty.call(columnData, column);
+    const messages = checkValue(columnData[column], rules[column] || {}, partial, present);
+
+    for (const message of messages) {
+      const field = (fieldMap && fieldMap.byColumn[column]) || column;
+      errors.push({ field, column, message: `${field} ${message}` });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+
+  for (const column of isbnColumns(columnData, rules)) {
+    columnData[column] = parseIsbn(columnData[column]).isbn13;
+  }
+
+  const duplicates = await isbnDuplicateErrors(DB_PENERBIT, tableName, columnData, { rules, fieldMap, recordId });
+  if (duplicates.length > 0) {
+    throw new ValidationError(duplicates);
+  }
+}
+
+// Errors for valid ISBNs in columnData that another live record of the table already has.
+// Also used before restoring a record from the trash.
+export async function isbnDuplicateErrors(DB_PENERBIT, tableName, columnData, { rules, fieldMap = null, recordId = null }) {
+  const errors = [];
+
+  for (const column of isbnColumns(columnData, rules)) {
+    const parsed = parseIsbn(columnData[column]);
+    if (!parsed) continue;
+
+    const ids = (await findRecordsByIsbn(DB_PENERBIT, tableName, column, [parsed.isbn13])).get(parsed.isbn13) || [];
+    const others = ids.filter(id => id !== Number(recordId));
+    if (others.length > 0) {
+      const field = (fieldMap && fieldMap.byColumn[column]) || column;
+      errors.push({ field, column, message: `${field} ${parsed.isbn13} is already used by record ${others[0]}` });
+    }
+  }
+  return errors;
+}
+
+// Values of 'isbn' columns in validated data, to find duplicates within one batch: [{ column, isbn }]
+export function isbnValues(columnData, rules) {
+  return isbnColumns(columnData, rules).map(column => ({ column, isbn: columnData[column] }));
+}
+
+// Every table column with the 'isbn' type: [{ tableName, column }]
+export async function loadIsbnColumns(DB_PENERBIT) {
+  await ensureRulesTable(DB_PENERBIT);
+
+  const { results } = await DB_PENERBIT.prepare(`
+    SELECT table_name, column_name, rules FROM ${RULES_TABLE} ORDER BY table_name, column_name
+  `).all();
+
+  return results
+    .filter(row => JSON.parse(row.rules).type === 'isbn')
+    .map(row => ({ tableName: row.table_name, column: row.column_name }));
+}
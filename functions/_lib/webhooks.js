@@ -0,0 +1,349 @@
+// functions/_lib/webhooks.js - Outbound webhooks for record changes
+//
+// Subscriptions are per table and event. After a write, the contacts handlers queue one
+// delivery per subscriber in the delivery log and send them once the response is out
+// (context.waitUntil). Failed deliveries are retried with back-off by later writes or by
+// POST /api/webhooks/deliveries, and can be replayed by hand.
+import { loadFieldMap, mapOutputFields } from './fields.js';
+import { hmacSha256Hex, randomHex } from './crypto.js';
+
+export const WEBHOOKS_TABLE = '_sys_webhooks';
+export const DELIVERIES_TABLE = '_sys_webhook_deliveries';
+
+export const WEBHOOK_EVENTS = ['created', 'updated', 'deleted'];
+
+
+// Seconds to wait before each retry; a delivery is given up after the last one
+const RETRY_DELAYS_SECONDS = [30, 2 * 60, 10 * 60, 60 * 60, 6 * 60 * 60];
+export const MAX_ATTEMPTS = RETRY_DELAYS_SECONDS.length + 1;
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+// A sweep holds a delivery this long while sending it. If the sweep dies halfway, the
+// delivery is due again once the lease has run out.
+const SEND_LEASE_SECONDS = 60;
+
+// Workers limit outgoing requests; the rest stay pending for the next sweep
+const MAX_SENDS_PER_REQUEST = 20;
+
+// Response bodies and errors kept in the log
+const MAX_LOGGED_TEXT = 500;
+
+// D1 allows 100 bound parameters per statement
+const ID_CHUNK_SIZE = 90;
+
+// Created once per isolate instead of on every request
+let webhookTablesReady = false;
+
+export async function ensureWebhookTables(DB_PENERBIT) {
+  if (webhookTablesReady) return;
+
+  await DB_PENERBIT.batch([
+    DB_PENERBIT.prepare(`
+      CREATE TABLE IF NOT EXISTS ${WEBHOOKS_TABLE} (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        table_name TEXT NOT NULL,
+        url TEXT NOT NULL,
+        events TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        description TEXT,
+        active INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT NOT NULL,
+        created_by TEXT
+      )
+    `),
+    DB_PENERBIT.prepare(`
+      CREATE TABLE IF NOT EXISTS ${DELIVERIES_TABLE} (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        webhook_id INTEGER NOT NULL,
+        event_id TEXT NOT NULL,
+        event TEXT NOT NULL,
+        table_name TEXT NOT NULL,
+        record_id INTEGER,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        response_status INTEGER,
+        response_body TEXT,
+        last_error TEXT,
+        next_attempt_at TEXT,
+        created_at TEXT NOT NULL,
+        delivered_at TEXT
+      )
+    `),
+    DB_PENERBIT.prepare(`
+      CREATE INDEX IF NOT EXISTS ${DELIVERIES_TABLE}_due ON ${DELIVERIES_TABLE} (status, next_attempt_at)
+    `),
+    DB_PENERBIT.prepare(`
+      CREATE INDEX IF NOT EXISTS ${DELIVERIES_TABLE}_webhook ON ${DELIVERIES_TABLE} (webhook_id, id)
+    `)
+  ]);
+  webhookTablesReady = true;
+}
+
+// https only, except plain http to this machine for testing with a local receiver
+export function isValidWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+  if (parsed.protocol === 'https:') return true;
+  return parsed.protocol === 'http:' && ['localhost', '127.0.0.1', '[::1]'].includes(parsed.hostname);
+}
+
+// Check an events list from a request; returns it without repeats or throws
+export function checkWebhookEvents(events) {
+  if (!Array.isArray(events) || events.length === 0 || !events.every(event => WEBHOOK_EVENTS.includes(event))) {
+    throw new Error(`events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+  return [...new Set(events)];
+}
+
+export function generateWebhookSecret() {
+  return `whsec_${randomHex(24)}`;
+}
+
+// A subscription as shown by the API; the secret is only shown when it is created or rotated
+export function webhookView(row) {
+  return {
+    id: row.id,
+    table: row.table_name,
+    url: row.url,
+    events: JSON.parse(row.events),
+    description: row.description,
+    active: !!row.active,
+    created_at: row.created_at,
+    created_by: row.created_by
+  };
+}
+
+export async function loadWebhook(DB_PENERBIT, id) {
+  await ensureWebhookTables(DB_PENERBIT);
+  return DB_PENERBIT.prepare(`SELECT * FROM ${WEBHOOKS_TABLE} WHERE id = ?`).bind(id).first();
+}
+
+// A delivery as shown in the log
+export function deliveryView(row) {
+  return {
+    id: row.id,
+    webhook_id: row.webhook_id,
+    event_id: row.event_id,
+    event: row.event,
+    table: row.table_name,
+    record_id: row.record_id,
+    status: row.status,
+    attempts: row.attempts,
+    response_status: row.response_status,
+    response_body: row.response_body,
+    last_error: row.last_error,
+    next_attempt_at: row.next_attempt_at,
+    created_at: row.created_at,
+    delivered_at: row.delivered_at
+  };
+}
+
+// Receivers recompute this over "<X-Webhook-Timestamp>.<raw body>" with their secret
+export async function webhookSignature(secret, timestamp, body) {
+  return `sha256=${await hmacSha256Hex(secret, `${timestamp}.${body}`)}`;
+}
+
+function clip(text) {
+  return text && text.length > MAX_LOGGED_TEXT ? `${text.slice(0, MAX_LOGGED_TEXT)}...` : text;
+}
+
+// POST one delivery once and log the outcome. Any 2xx counts as delivered; otherwise the
+// delivery is rescheduled, or marked failed after MAX_ATTEMPTS or when retry is false (tests
+// and replays by hand). Returns the updated log row.
+export async function sendDelivery(DB_PENERBIT, delivery, webhook, { retry = true } = {}) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  let responseStatus = null;
+  let responseBody = null;
+  let error = null;
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'penerbit-lidan-webhooks',
+        'X-Webhook-Id': String(webhook.id),
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': await webhookSignature(webhook.secret, timestamp, delivery.payload)
+      },
+      body: delivery.payload,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    responseStatus = response.status;
+    responseBody = clip(await response.text());
+    if (!response.ok) error = `Receiver answered ${response.status}`;
+  } catch (fetchError) {
+    error = clip(fetchError.name === 'TimeoutError' ? `No answer within ${REQUEST_TIMEOUT_MS / 1000} seconds` : fetchError.message);
+  }
+
+  const attempts = delivery.attempts + 1;
+  const now = new Date();
+  let status = 'delivered';
+  let nextAttemptAt = null;
+  if (error) {
+    status = retry && attempts < MAX_ATTEMPTS ? 'pending' : 'failed';
+    if (status === 'pending') {
+      nextAttemptAt = new Date(now.getTime() + RETRY_DELAYS_SECONDS[attempts - 1] * 1000).toISOString();
+    }
+  }
+
+  await DB_PENERBIT.prepare(`
+    UPDATE ${DELIVERIES_TABLE}
+    SET status = ?, attempts = ?, response_status = ?, response_body = ?, last_error = ?, next_attempt_at = ?,
+        delivered_at = ?
+    WHERE id = ?
+  `).bind(
+    status, attempts, responseStatus, responseBody, error, nextAttemptAt,
+    status === 'delivered' ? now.toISOString() : null,
+    delivery.id
+  ).run();
+
+  if (error) {
+    console.log(`Webhook ${webhook.id} delivery ${delivery.id} attempt ${attempts} failed: ${error}`);
+  }
+  return {
+    ...delivery,
+    status,
+    attempts,
+    response_status: responseStatus,
+    response_body: responseBody,
+    last_error: error,
+    next_attempt_at: nextAttemptAt,
+    delivered_at: status === 'delivered' ? now.toISOString() : null
+  };
+}
+
+// Send pending deliveries that are due, oldest first. Deliveries of removed or paused
+// subscriptions are left alone. Each one is claimed before it is sent, so sweeps running
+// side by side never send the same delivery twice. Returns the number sent.
+export async function sendDueDeliveries(DB_PENERBIT, limit = MAX_SENDS_PER_REQUEST) {
+  await ensureWebhookTables(DB_PENERBIT);
+
+  const now = new Date();
+  const { results } = await DB_PENERBIT.prepare(`
+    SELECT d.*, w.url AS webhook_url, w.secret AS webhook_secret
+    FROM ${DELIVERIES_TABLE} d JOIN ${WEBHOOKS_TABLE} w ON w.id = d.webhook_id
+    WHERE d.status IN ('pending', 'sending') AND d.next_attempt_at <= ? AND w.active = 1
+    ORDER BY d.next_attempt_at, d.id
+    LIMIT ?
+  `).bind(now.toISOString(), limit).all();
+
+  let sent = 0;
+  for (const row of results) {
+    if (!(await claimDelivery(DB_PENERBIT, row, now))) continue;
+    await sendDelivery(DB_PENERBIT, row, { id: row.webhook_id, url: row.webhook_url, secret: row.webhook_secret });
+    sent++;
+  }
+  return sent;
+}
+
+// Mark a delivery as being sent by this request. The UPDATE only matches the row as it was
+// read and not while another request holds it, so when sweeps, replays and tests pick the
+// same delivery just one of them gets it. Send only when this returns true.
+export async function claimDelivery(DB_PENERBIT, row, now = new Date()) {
+  const leaseUntil = new Date(now.getTime() + SEND_LEASE_SECONDS * 1000).toISOString();
+  const result = await DB_PENERBIT.prepare(`
+    UPDATE ${DELIVERIES_TABLE} SET status = 'sending', next_attempt_at = ?
+    WHERE id = ? AND status = ? AND next_attempt_at IS ?
+      AND NOT (status = 'sending' AND next_attempt_at > ?)
+  `).bind(leaseUntil, row.id, row.status, row.next_attempt_at, now.toISOString()).run();
+  return result.meta.changes === 1;
+}
+
+// INSERT of a pending delivery that is due at once
+export function deliveryStatement(DB_PENERBIT, { webhookId, eventId, event, tableName, recordId = null, payload, now }) {
+  return DB_PENERBIT.prepare(`
+    INSERT INTO ${DELIVERIES_TABLE}
+      (webhook_id, event_id, event, table_name, record_id, payload, status, next_attempt_at, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, 'pending', ?, ?)
+  `).bind(webhookId, eventId, event, tableName, recordId, payload, now, now);
+}
+
+async function loadRows(DB_PENERBIT, tableName, ids) {
+  const rows = new Map();
+  for (let i = 0; i < ids.length; i += ID_CHUNK_SIZE) {
+    const chunk = ids.slice(i, i + ID_CHUNK_SIZE);
+    const { results } = await DB_PENERBIT.prepare(`
+      SELECT * FROM ${tableName} WHERE id_x IN (${chunk.map(() => '?').join(', ')})
+    `).bind(...chunk).all();
+    for (const row of results) rows.set(row.id_x, row);
+  }
+  return rows;
+}
+
+// Changes for dispatchWebhooks() from writePlanned() results; their statuses are the event names
+export function changesFromResults(results) {
+  return results
+    .filter(result => WEBHOOK_EVENTS.includes(result.status))
+    .map(result => ({ event: result.status, id: result.id_x }));
+}
+
+// Queue deliveries for written records and send them after the response.
+// changes: [{ event: 'created' | 'updated' | 'deleted', id: id_x }]
+// Never throws: a webhook problem must not turn a successful write into an error.
+export async function dispatchWebhooks(context, tableName, changes) {
+  const { DB_PENERBIT } = context.env;
+
+  try {
+    if (changes.length === 0) return;
+    await ensureWebhookTables(DB_PENERBIT);
+
+    const { results: webhooks } = await DB_PENERBIT.prepare(`
+      SELECT * FROM ${WEBHOOKS_TABLE} WHERE table_name = ? AND active = 1 ORDER BY id
+    `).bind(tableName).all();
+
+    const subscribed = changes.filter(change => webhooks.some(webhook => JSON.parse(webhook.events).includes(change.event)));
+    if (subscribed.length === 0) return;
+
+    const fieldMap = await loadFieldMap(DB_PENERBIT, tableName);
+    const rows = await loadRows(DB_PENERBIT, tableName, [...new Set(subscribed.map(change => Number(change.id)))]);
+    const now = new Date().toISOString();
+
+    const statements = [];
+    for (const change of subscribed) {
+      const row = rows.get(Number(change.id));
+      if (!row) continue;
+
+      // One event id per change, shared by all its deliveries, so receivers can de-duplicate
+      const eventId = randomHex(16);
+      const payload = JSON.stringify({
+        event_id: eventId,
+        event: change.event,
+        table: tableName,
+        id_x: row.id_x,
+        occurred_at: now,
+        record: mapOutputFields(row, fieldMap)
+      });
+
+      for (const webhook of webhooks) {
+        if (!JSON.parse(webhook.events).includes(change.event)) continue;
+        statements.push(deliveryStatement(DB_PENERBIT, {
+          webhookId: webhook.id, eventId, event: change.event, tableName, recordId: row.id_x, payload, now
+        }));
+      }
+    }
+    if (statements.length === 0) return;
+
+    await DB_PENERBIT.batch(statements);
+    console.log(`Queued ${statements.length} webhook deliveries for ${tableName}`);
+
+    // New deliveries are due now, so this sends them along with earlier retries
+    const sending = sendDueDeliveries(DB_PENERBIT).catch(error => console.error('Webhook delivery error:', error));
+    if (context.waitUntil) {
+      context.waitUntil(sending);
+    } else {
+      await sending;
+    }
+  } catch (error) {
+    console.error(`Webhook dispatch error on ${tableName}:`, error);
+  }
+}
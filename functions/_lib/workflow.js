@@ -0,0 +1,180 @@
+// functions/_lib/workflow.js - Per-table status workflows with allowed transitions
+//
+// A workflow owns one x_NN column. New records start in the initial state; afterwards the
+// column only changes through POST /api/contacts/[id]/transition, which checks the move.
+import { DATA_COLUMNS } from './tables.js';
+import { resolveColumn } from './fields.js';
+import { ValidationError } from './validation.js';
+
+export const WORKFLOWS_TABLE = '_sys_workflows';
+
+// Manuscript workflow, used by PUT /api/workflows with { "column": "...", "template": "manuscript" }
+export const WORKFLOW_TEMPLATES = {
+  manuscript: {
+    initial: 'submitted',
+    states: ['submitted', 'in_review', 'revision', 'accepted', 'editing', 'printed', 'rejected'],
+    transitions: {
+      submitted: ['in_review', 'rejected'],
+      in_review: ['revision', 'accepted', 'rejected'],
+      revision: ['in_review', 'rejected'],
+      accepted: ['editing'],
+      editing: ['printed'],
+      printed: [],
+      rejected: []
+    },
+    labels: {
+      submitted: 'Diajukan',
+      in_review: 'Direview',
+      revision: 'Revisi',
+      accepted: 'Diterima',
+      editing: 'Penyuntingan',
+      printed: 'Dicetak',
+      rejected: 'Ditolak'
+    }
+  }
+};
+
+// Created once per isolate instead of on every request
+let workflowsTableReady = false;
+
+export async function ensureWorkflowsTable(DB_PENERBIT) {
+  if (workflowsTableReady) return;
+
+  await DB_PENERBIT.prepare(`
+    CREATE TABLE IF NOT EXISTS ${WORKFLOWS_TABLE} (
+      table_name TEXT PRIMARY KEY,
+      config TEXT NOT NULL
+    )
+  `).run();
+  workflowsTableReady = true;
+}
+
+// Load the workflow of a table: { column, initial, states, transitions, labels } or null
+export async function loadWorkflow(DB_PENERBIT, tableName) {
+  await ensureWorkflowsTable(DB_PENERBIT);
+
+  const row = await DB_PENERBIT.prepare(`
+    SELECT config FROM ${WORKFLOWS_TABLE} WHERE table_name = ?
+  `).bind(tableName).first();
+
+  return row ? JSON.parse(row.config) : null;
+}
+
+// Check and store a workflow; column may be x_NN or a field name
+export async function saveWorkflow(DB_PENERBIT, tableName, config, fieldMap) {
+  if (!config || typeof config !== 'object') {
+    throw new Error('Send { column, initial, states, transitions } or { column, template }');
+  }
+
+  let definition = config;
+  if (config.template !== undefined) {
+    definition = WORKFLOW_TEMPLATES[config.template];
+    if (!definition) {
+      throw new Error(`Unknown template '${config.template}'. Available: ${Object.keys(WORKFLOW_TEMPLATES).join(', ')}`);
+    }
+  }
+
+  const column = resolveColumn(fieldMap, config.column);
+  if (!DATA_COLUMNS.includes(column)) {
+    throw new Error(`Unknown column or field '${config.column}' for the status`);
+  }
+
+  const { initial, states, transitions, labels = {} } = definition;
+  if (!Array.isArray(states) || states.length === 0) {
+    throw new Error('states must be a non-empty array');
+  }
+  for (const state of states) {
+    if (typeof state !== 'string' || !/^[a-z][a-z0-9_]{0,49}$/.test(state)) {
+      throw new Error(`Invalid state '${state}'. Use lower-case letters, digits and underscores`);
+    }
+  }
+  if (new Set(states).size !== states.length) {
+    throw new Error('states must not repeat');
+  }
+  if (!states.includes(initial)) {
+    throw new Error(`initial state '${initial}' is not in states`);
+  }
+  if (!transitions || typeof transitions !== 'object' || Array.isArray(transitions)) {
+    throw new Error('transitions must map each state to the states it may move to');
+  }
+
+  const checkedTransitions = {};
+  for (const state of states) {
+    const targets = transitions[state] || [];
+    if (!Array.isArray(targets)) {
+      throw new Error(`transitions for '${state}' must be an array`);
+    }
+    for (const target of targets) {
+      if (!states.includes(target)) {
+        throw new Error(`Transition '${state}' -> '${target}' goes to an unknown state`);
+      }
+    }
+    checkedTransitions[state] = [...new Set(targets)];
+  }
+  for (const state of Object.keys(transitions)) {
+    if (!states.includes(state)) {
+      throw new Error(`transitions has unknown state '${state}'`);
+    }
+  }
+
+  if (!labels || typeof labels !== 'object' || Array.isArray(labels)) {
+    throw new Error('labels must map states to display names');
+  }
+  const checkedLabels = {};
+  for (const [state, label] of Object.entries(labels)) {
+    if (!states.includes(state) || typeof label !== 'string') {
+      throw new Error(`Invalid label for '${state}'`);
+    }
+    checkedLabels[state] = label;
+  }
+
+  const workflow = { column, initial, states, transitions: checkedTransitions, labels: checkedLabels };
+  await ensureWorkflowsTable(DB_PENERBIT);
+  await DB_PENERBIT.prepare(`
+    INSERT INTO ${WORKFLOWS_TABLE} (table_name, config) VALUES (?, ?)
+    ON CONFLICT (table_name) DO UPDATE SET config = excluded.config
+  `).bind(tableName, JSON.stringify(workflow)).run();
+
+  return workflow;
+}
+
+export async function deleteWorkflow(DB_PENERBIT, tableName) {
+  await ensureWorkflowsTable(DB_PENERBIT);
+  const result = await DB_PENERBIT.prepare(`DELETE FROM ${WORKFLOWS_TABLE} WHERE table_name = ?`).bind(tableName).run();
+  return result.meta.changes > 0;
+}
+
+// States a record may move to from its current state
+export function allowedTransitions(workflow, state) {
+  return workflow.transitions[state] || [];
+}
+
+// Guard record writes against the status column. New records get the initial state (or must
+// send it); updates may only send the value the record already has, which is then left out.
+// Throws ValidationError; adjusts columnData in place.
+export function checkWorkflowWrite(workflow, columnData, { current = null, fieldMap = null } = {}) {
+  if (!workflow) return;
+
+  const { column } = workflow;
+  const field = (fieldMap && fieldMap.byColumn[column]) || column;
+  const present = Object.prototype.hasOwnProperty.call(columnData, column);
+  // Forms send '' for an empty status
+  const text = value => (value === null || value === undefined ? '' : String(value));
+
+  if (!current) {
+    if (present && text(columnData[column]) !== '' && columnData[column] !== workflow.initial) {
+      throw new ValidationError([{ field, column, message: `${field} of a new record must be '${workflow.initial}'` }]);
+    }
+    columnData[column] = workflow.initial;
+    return;
+  }
+
+  if (present && text(columnData[column]) !== text(current[column])) {
+    throw new ValidationError([{
+      field,
+      column,
+      message: `${field} can only be changed through POST /api/contacts/${current.id_x}/transition`
+    }]);
+  }
+  delete columnData[column];
+}
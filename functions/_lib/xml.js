@@ -0,0 +1,129 @@
+// functions/_lib/xml.js - Minimal XML writing and reading (Workers have no DOMParser)
+//
+// The reader builds a plain tree { name, attributes, children, text } and is meant for
+// data files such as ONIX: elements, attributes, text, CDATA and the standard entities.
+// Comments, processing instructions and the DOCTYPE are skipped; namespace prefixes are dropped.
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Element with escaped text content; empty values give no element at all
+export function xmlElement(name, value) {
+  if (value === null || value === undefined || String(value) === '') return '';
+  return `<${name}>${escapeXml(value)}</${name}>`;
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity] !== undefined ? ENTITIES[entity] : match;
+  });
+}
+
+function localName(name) {
+  const colon = name.indexOf(':');
+  return colon === -1 ? name : name.slice(colon + 1);
+}
+
+// Skip from position i past the given terminator; throws when it is missing
+function skipPast(xml, i, terminator, what) {
+  const end = xml.indexOf(terminator, i);
+  if (end === -1) throw new Error(`XML ends inside ${what}`);
+  return end + terminator.length;
+}
+
+// Parse an XML document into its root element
+export function parseXml(xml) {
+  const root = { name: null, attributes: {}, children: [], text: '' };
+  const stack = [root];
+  let i = xml.charCodeAt(0) === 0xFEFF ? 1 : 0;
+
+  while (i < xml.length) {
+    const current = stack[stack.length - 1];
+    const lt = xml.indexOf('<', i);
+
+    if (lt === -1 || lt > i) {
+      const text = xml.slice(i, lt === -1 ? xml.length : lt);
+      if (stack.length > 1) current.text += decodeEntities(text);
+      else if (text.trim() !== '') throw new Error('Text outside the root element');
+      if (lt === -1) break;
+      i = lt;
+      continue;
+    }
+
+    if (xml.startsWith('<!--', i)) {
+      i = skipPast(xml, i, '-->', 'a comment');
+    } else if (xml.startsWith('<![CDATA[', i)) {
+      const end = xml.indexOf(']]>', i);
+      if (end === -1) throw new Error('XML ends inside a CDATA section');
+      current.text += xml.slice(i + 9, end);
+      i = end + 3;
+    } else if (xml.startsWith('<?', i)) {
+      i = skipPast(xml, i, '?>', 'a processing instruction');
+    } else if (xml.startsWith('<!', i)) {
+      // DOCTYPE, possibly with an internal subset in [...]
+      const bracket = xml.indexOf('[', i);
+      const close = xml.indexOf('>', i);
+      if (close === -1) throw new Error('XML ends inside the DOCTYPE');
+      i = bracket !== -1 && bracket < close ? skipPast(xml, skipPast(xml, bracket, ']', 'the DOCTYPE'), '>', 'the DOCTYPE') : close + 1;
+    } else if (xml[i + 1] === '/') {
+      const end = skipPast(xml, i, '>', 'a closing tag');
+      const name = localName(xml.slice(i + 2, end - 1).trim());
+      if (stack.length === 1 || current.name !== name) {
+        throw new Error(`Unexpected closing tag </${name}>`);
+      }
+      stack.pop();
+      i = end;
+    } else {
+      const match = /^<([A-Za-z_][\w.:-]*)((?:\s+[\w.:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/.exec(xml.slice(i, i + 4096));
+      if (!match) throw new Error(`Invalid tag at position ${i}`);
+
+      const element = { name: localName(match[1]), attributes: {}, children: [], text: '' };
+      for (const [, name, , double, single] of match[2].matchAll(/([\w.:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+        element.attributes[localName(name)] = decodeEntities(double !== undefined ? double : single);
+      }
+
+      if (stack.length === 1 && root.children.length > 0) {
+        throw new Error('XML has more than one root element');
+      }
+      current.children.push(element);
+      if (!match[3]) stack.push(element);
+      i += match[0].length;
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`XML ends before </${stack[stack.length - 1].name}>`);
+  }
+  if (root.children.length === 0) {
+    throw new Error('XML has no root element');
+  }
+  return root.children[0];
+}
+
+// Child elements with the given name (any name when omitted)
+export function childElements(element, name) {
+  if (!element) return [];
+  return name ? element.children.filter(child => child.name === name) : element.children;
+}
+
+export function childElement(element, name) {
+  return childElements(element, name)[0] || null;
+}
+
+// Trimmed text of a child element, or null when it is missing or empty
+export function childText(element, name) {
+  const child = childElement(element, name);
+  const text = child ? child.text.trim() : '';
+  return text === '' ? null : text;
+}
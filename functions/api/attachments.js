@@ -0,0 +1,144 @@
+// functions/api/attachments.js - Read, replace and reset the attachment limits of a dynamic table
+import { isValidTableName } from '../_lib/tables.js';
+import { loadAttachmentSettings, saveAttachmentSettings, deleteAttachmentSettings } from '../_lib/attachments.js';
+import { authorize } from '../_lib/auth.js';
+
+// GET    /api/attachments?table=buku  -> { settings: { maxSize, maxFiles, types, custom } }
+// PUT    /api/attachments?table=buku  with
+//        { "maxSize": 5242880, "maxFiles": 3, "types": ["image/jpeg", "image/png", "application/pdf"] }
+//        Missing keys keep the defaults; "image/*" allows every image type.
+// DELETE /api/attachments?table=buku  back to the defaults
+// Files themselves are under /api/contacts/[id]/files.
+export async function onRequest(context) {
+  const { request, env } = context;
+  const { DB_PENERBIT } = env;
+  const method = request.method;
+  const url = new URL(request.url);
+
+  // Get table name from query parameter or header
+  const tableName = url.searchParams.get('table') || request.headers.get('X-Table-Name') || 'contacts';
+
+  // CORS headers
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Table-Name, Authorization, X-API-Key',
+  };
+
+  // Handle preflight
+  if (method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  // Validate table name (security check)
+  if (!isValidTableName(tableName)) {
+    return new Response(JSON.stringify({
+      error: 'Invalid table name. Only alphanumeric characters and underscores allowed.'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Check API key and scope
+  const auth = await authorize(context, method === 'GET' ? `read:${tableName}` : 'admin');
+  if (auth.error) {
+    return new Response(JSON.stringify({ error: auth.error }), {
+      status: auth.status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  console.log(`API ${method} request to /api/attachments with table: ${tableName}`);
+
+  try {
+    switch (method) {
+      case 'GET':
+        return await getSettings(DB_PENERBIT, tableName, corsHeaders);
+      case 'PUT':
+        return await putSettings(request, DB_PENERBIT, tableName, corsHeaders);
+      case 'DELETE':
+        return await resetSettings(DB_PENERBIT, tableName, corsHeaders);
+      default:
+        return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
+          status: 405,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+    }
+  } catch (error) {
+    console.error('Attachments API Error:', error);
+    return new Response(JSON.stringify({
+      error: error.message
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+}
+
+async function getSettings(DB_PENERBIT, tableName, corsHeaders) {
+  const settings = await loadAttachmentSettings(DB_PENERBIT, tableName);
+
+  return new Response(JSON.stringify({
+    success: true,
+    table: tableName,
+    settings
+  }), {
+    headers: { 'Content-Type': 'application/json', ...corsHeaders }
+  });
+}
+
+async function putSettings(request, DB_PENERBIT, tableName, corsHeaders) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return new Response(JSON.stringify({ error: 'Invalid JSON data' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  let settings;
+  try {
+    settings = await saveAttachmentSettings(DB_PENERBIT, tableName, body);
+  } catch (error) {
+    console.error('Save attachment settings error:', error);
+    return new Response(JSON.stringify({
+      error: `Failed to save attachment limits for table '${tableName}': ${error.message}`
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  console.log(`Attachment limits for '${tableName}' saved: ${settings.maxSize} bytes, ${settings.maxFiles} files`);
+
+  return new Response(JSON.stringify({
+    success: true,
+    table: tableName,
+    message: `Attachment limits saved for table '${tableName}'`,
+    settings
+  }), {
+    headers: { 'Content-Type': 'application/json', ...corsHeaders }
+  });
+}
+
+async function resetSettings(DB_PENERBIT, tableName, corsHeaders) {
+  if (!(await deleteAttachmentSettings(DB_PENERBIT, tableName))) {
+    return new Response(JSON.stringify({ error: `Table '${tableName}' uses the default attachment limits` }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  console.log(`Attachment limits for '${tableName}' reset to the defaults`);
+
+  return new Response(JSON.stringify({
+    success: true,
+    table: tableName,
+    message: `Attachment limits of table '${tableName}' reset to the defaults`
+  }), {
+    headers: { 'Content-Type': 'application/json', ...corsHeaders }
+  });
+}
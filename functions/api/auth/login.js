@@ -0,0 +1,71 @@
+// functions/api/auth/login.js - Log in with username and password, sets an HttpOnly session cookie
+import { checkLogin, createSession, scopesForUser, sessionCookie } from '../../_lib/users.js';
+
+export async function onRequest(context) {
+  const { request, env } = context;
+  const { DB_PENERBIT } = env;
+  const method = request.method;
+
+  if (method !== 'POST') {
+    return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
+      status: 405,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return new Response(JSON.stringify({ error: 'Invalid JSON data' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return new Response(JSON.stringify({ error: 'Body must be a JSON object with username and password' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  const username = typeof body.username === 'string' ? body.username.trim() : '';
+  const password = typeof body.password === 'string' ? body.password : '';
+
+  if (!username || !password) {
+    return new Response(JSON.stringify({ error: 'Username and password are required' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  try {
+    const user = await checkLogin(DB_PENERBIT, username, password);
+
+    if (!user) {
+      console.log(`Failed login for '${username}'`);
+      return new Response(JSON.stringify({ error: 'Invalid username or password' }), {
+        status: 401,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const token = await createSession(DB_PENERBIT, user.id);
+    console.log(`User '${user.username}' logged in`);
+
+    return new Response(JSON.stringify({
+      success: true,
+      user: { id: user.id, username: user.username, role: user.role, tables: user.tables },
+      scopes: scopesForUser(user)
+    }), {
+      headers: { 'Content-Type': 'application/json', 'Set-Cookie': sessionCookie(token) }
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
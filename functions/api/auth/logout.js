@@ -0,0 +1,23 @@
+// functions/api/auth/logout.js - End the current session and clear the cookie
+import { clearSessionCookie, deleteSession, readSessionCookie } from '../../_lib/users.js';
+
+export async function onRequest(context) {
+  const { request, env } = context;
+  const method = request.method;
+
+  if (method !== 'POST') {
+    return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
+      status: 405,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  const token = readSessionCookie(request);
+  if (token) {
+    await deleteSession(env.DB_PENERBIT, token);
+  }
+
+  return new Response(JSON.stringify({ success: true, message: 'Logged out' }), {
+    headers: { 'Content-Type': 'application/json', 'Set-Cookie': clearSessionCookie() }
+  });
+}
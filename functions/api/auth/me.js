@@ -0,0 +1,34 @@
+// functions/api/auth/me.js - Who is calling and what they may do (used by index2.html)
+import { authenticate } from '../../_lib/auth.js';
+
+export async function onRequest(context) {
+  const { request } = context;
+  const method = request.method;
+
+  if (method !== 'GET') {
+    return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
+      status: 405,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  const auth = await authenticate(context);
+  if (auth.error) {
+    return new Response(JSON.stringify({ error: auth.error }), {
+      status: auth.status,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  const { principal } = auth;
+
+  return new Response(JSON.stringify({
+    success: true,
+    type: principal.type,
+    name: principal.name,
+    role: principal.role || null,
+    scopes: principal.scopes
+  }), {
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
@@ -1,4 +1,14 @@
-// functions/api/contacts.js - Dynamic table version with auto-create
+// functions/api/contacts.js - Dynamic table version
+import { isValidTableName, tableAvailable, nowTimestamp } from '../_lib/tables.js';
+import { listRecords, parseFilterParams } from '../_lib/listing.js';
+import { loadFieldMap, mapInputFields, mapOutputFields, wantsNamedFields } from '../_lib/fields.js';
+import { validateRecord, ValidationError } from '../_lib/validation.js';
+import { authorize, scopeForMethod } from '../_lib/auth.js';
+import { ensureHistoryTable, historyStatement, dataSnapshot } from '../_lib/history.js';
+import { buildInsert } from '../_lib/records.js';
+import { loadWorkflow, checkWorkflowWrite } from '../_lib/workflow.js';
+import { dispatchWebhooks } from '../_lib/webhooks.js';
+
 export async function onRequest(context) {
   const { request, env } = context;
   const { DB_PENERBIT } = env;
@@ -12,7 +22,7 @@ export async function onRequest(context) {
   const corsHeaders = {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, X-Table-Name',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Table-Name, X-Field-Format, Authorization, X-API-Key',
   };
   
   // Handle preflight
@@ -30,15 +40,34 @@ export async function onRequest(context) {
     });
   }
   
+  // Check API key and scope
+  const auth = await authorize(context, scopeForMethod(method, tableName));
+  if (auth.error) {
+    return new Response(JSON.stringify({ error: auth.error }), {
+      status: auth.status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+  
+  // Unknown tables are not created implicitly
+  if (!(await tableAvailable(env, tableName))) {
+    return new Response(JSON.stringify({ 
+      error: `Table '${tableName}' does not exist` 
+    }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+  
   // Debug logging
   console.log(`API ${method} request to /api/contacts with table: ${tableName}`);
   
   try {
     switch (method) {
       case 'GET':
-        return await getContacts(DB_PENERBIT, tableName, corsHeaders);
+        return await getContacts(request, DB_PENERBIT, tableName, url, corsHeaders);
       case 'POST':
-        return await createContact(request, DB_PENERBIT, tableName, corsHeaders);
+        return await createContact(request, DB_PENERBIT, tableName, auth.principal, context, corsHeaders);
       default:
         return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), { 
           status: 405, 
@@ -46,6 +75,16 @@ export async function onRequest(context) {
         });
     }
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return new Response(JSON.stringify({ 
+        error: error.message,
+        errors: error.errors
+      }), {
+        status: 422,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+    
     console.error('API Error:', error);
     return new Response(JSON.stringify({ 
       error: error.message,
@@ -57,67 +96,34 @@ export async function onRequest(context) {
   }
 }
 
-// Security function to validate table name
-function isValidTableName(tableName) {
-  return /^[a-zA-Z_][a-zA-Z0-9_]*$/.test(tableName) && tableName.length <= 50;
-}
-
-// Function to create table if not exists
-async function createTableIfNotExists(DB_PENERBIT, tableName) {
-  const createTableQuery = `
-    CREATE TABLE IF NOT EXISTS ${tableName} (
-      id_x INTEGER PRIMARY KEY AUTOINCREMENT,
-      x_01 TEXT,
-      x_02 TEXT,
-      x_03 TEXT,
-      x_04 TEXT,
-      x_05 TEXT,
-      x_06 TEXT,
-      x_07 TEXT,
-      x_08 TEXT,
-      x_09 TEXT,
-      x_10 TEXT,
-      x_11 TEXT,
-      x_12 TEXT,
-      x_13 TEXT,
-      x_14 TEXT,
-      x_15 TEXT,
-      x_16 TEXT,
-      x_17 TEXT,
-      x_18 TEXT,
-      x_19 TEXT,
-      x_20 TEXT
-    )
-  `;
-  
-  await DB_PENERBIT.prepare(createTableQuery).run();
-  console.log(`Table '${tableName}' created or already exists`);
-}
-
-// GET all contacts - Dynamic table version with auto-create
-async function getContacts(DB_PENERBIT, tableName, corsHeaders) {
-  console.log(`Getting all data from table: ${tableName}...`);
+// GET all contacts - Dynamic table version, paginated, sortable and filterable
+async function getContacts(request, DB_PENERBIT, tableName, url, corsHeaders) {
+  console.log(`Getting data from table: ${tableName}...`);
   
   try {
-    // Check if table exists first
-    const tableCheck = await DB_PENERBIT.prepare(`
-      SELECT name FROM sqlite_master WHERE type='table' AND name=?
-    `).bind(tableName).first();
+    const params = url.searchParams;
+    const fieldMap = await loadFieldMap(DB_PENERBIT, tableName);
+    const filter = parseFilterParams(params, fieldMap, ['format']);
     
-    if (!tableCheck) {
-      console.log(`Table '${tableName}' does not exist, creating...`);
-      await createTableIfNotExists(DB_PENERBIT, tableName);
+    const page = await listRecords(DB_PENERBIT, tableName, {
+      limit: params.get('limit'),
+      offset: params.get('offset'),
+      cursor: params.get('cursor'),
+      sort: params.get('sort'),
+      filter,
+      fieldMap
+    });
+    
+    if (wantsNamedFields(request, url)) {
+      page.data = page.data.map(row => mapOutputFields(row, fieldMap));
     }
     
-    const query = `SELECT * FROM ${tableName} ORDER BY id_x DESC`;
-    const { results } = await DB_PENERBIT.prepare(query).all();
-    console.log(`Found ${results.length} records in ${tableName}`);
+    console.log(`Returning ${page.count} of ${page.total} records in ${tableName}`);
     
     return new Response(JSON.stringify({
       success: true,
       table: tableName,
-      count: results.length,
-      data: results
+      ...page
     }), {
       headers: { 'Content-Type': 'application/json', ...corsHeaders }
     });
@@ -132,8 +138,8 @@ async function getContacts(DB_PENERBIT, tableName, corsHeaders) {
   }
 }
 
-// POST create contact - Dynamic table version with auto-create
-async function createContact(request, DB_PENERBIT, tableName, corsHeaders) {
+// POST create contact - Dynamic table version
+async function createContact(request, DB_PENERBIT, tableName, principal, context, corsHeaders) {
   console.log(`Creating new record in table: ${tableName}...`);
   
   let requestData;
@@ -145,44 +151,37 @@ async function createContact(request, DB_PENERBIT, tableName, corsHeaders) {
   }
   
   try {
-    // Check if table exists first
-    const tableCheck = await DB_PENERBIT.prepare(`
-      SELECT name FROM sqlite_master WHERE type='table' AND name=?
-    `).bind(tableName).first();
-    
-    if (!tableCheck) {
-      console.log(`Table '${tableName}' does not exist, creating...`);
-      await createTableIfNotExists(DB_PENERBIT, tableName);
-    }
-    
-    // Extract data for x_01 to x_20 columns
-    const columns = [];
-    const values = [];
-    const placeholders = [];
+    // Accept field names from the table's field map as well as raw x_01..x_20 keys
+    const fieldMap = await loadFieldMap(DB_PENERBIT, tableName);
+    const columnData = mapInputFields(requestData, fieldMap);
+
+    // Tables with a workflow start new records in its initial state
+    checkWorkflowWrite(await loadWorkflow(DB_PENERBIT, tableName), columnData, { fieldMap });
     
-    // Generate x_01 to x_20 columns dynamically
-    for (let i = 1; i <= 20; i++) {
-      const colNum = i.toString().padStart(2, '0');
-      const colName = `x_${colNum}`;
-      
-      if (requestData.hasOwnProperty(colName)) {
-        columns.push(colName);
-        values.push(requestData[colName]);
-        placeholders.push('?');
-      }
-    }
+    // Enforce the table's validation rules (returns 422 with per-field errors)
+    await validateRecord(DB_PENERBIT, tableName, columnData, { fieldMap });
     
-    // Basic validation - require at least one field
-    if (columns.length === 0) {
-      throw new Error('At least one field (x_01 to x_20) is required');
-    }
-    
-    const query = `INSERT INTO ${tableName} (${columns.join(', ')}) VALUES (${placeholders.join(', ')})`;
+    // INSERT for the x_01 to x_20 columns plus server-set timestamps
+    const now = nowTimestamp();
+    const { query, values, columns } = buildInsert(tableName, columnData, now);
     console.log('Insert query:', query);
     console.log('Values:', values);
     
-    const result = await DB_PENERBIT.prepare(query).bind(...values).run();
+    // The record and its history row are written together
+    await ensureHistoryTable(DB_PENERBIT);
+    const [result] = await DB_PENERBIT.batch([
+      DB_PENERBIT.prepare(query).bind(...values),
+      historyStatement(DB_PENERBIT, {
+        tableName,
+        action: 'create',
+        after: dataSnapshot(columnData),
+        principal,
+        changedAt: now
+      })
+    ]);
     console.log('Insert result:', result);
+
+    await dispatchWebhooks(context, tableName, [{ event: 'created', id: result.meta.last_row_id }]);
     
     return new Response(JSON.stringify({ 
       success: true, 
@@ -190,11 +189,15 @@ async function createContact(request, DB_PENERBIT, tableName, corsHeaders) {
       id_x: result.meta.last_row_id,
       message: `Record created successfully in table '${tableName}'`,
       insertedFields: columns,
-      insertedData: requestData
+      created_at: now,
+      // Stored values, after normalisation such as ISBN-13
+      insertedData: mapOutputFields(columnData, fieldMap)
     }), {
       headers: { 'Content-Type': 'application/json', ...corsHeaders }
     });
   } catch (dbError) {
+    if (dbError instanceof ValidationError) throw dbError;
+    
     console.error('Database error:', dbError);
     throw new Error(`Failed to save record to table '${tableName}': ${dbError.message}`);
   }
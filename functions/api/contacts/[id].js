@@ -1,4 +1,16 @@
-// functions/api/contacts/[id].js - Dynamic table version with auto-create
+// functions/api/contacts/[id].js - Dynamic table version
+// DELETE moves the record to the trash; restore and purge live under /api/contacts/trash
+// Revisions and rollback: /api/contacts/[id]/history and /api/contacts/[id]/rollback
+import { isValidTableName, tableAvailable, nowTimestamp } from '../../_lib/tables.js';
+import { loadFieldMap, mapInputFields, mapOutputFields, wantsNamedFields } from '../../_lib/fields.js';
+import { validateRecord, ValidationError } from '../../_lib/validation.js';
+import { loadWorkflow, checkWorkflowWrite } from '../../_lib/workflow.js';
+import { authorize, scopeForMethod } from '../../_lib/auth.js';
+import { etagForVersion, ifMatchSatisfied } from '../../_lib/etag.js';
+import { ensureHistoryTable, historyStatement, changedColumns, dataSnapshot } from '../../_lib/history.js';
+import { buildUpdate, buildSoftDelete } from '../../_lib/records.js';
+import { dispatchWebhooks } from '../../_lib/webhooks.js';
+
 export async function onRequest(context) {
   const { request, env, params } = context;
   const method = request.method;
@@ -18,7 +30,8 @@ export async function onRequest(context) {
   const corsHeaders = {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, X-Table-Name',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Table-Name, X-Field-Format, Authorization, X-API-Key, If-Match',
+    'Access-Control-Expose-Headers': 'ETag',
   };
 
   // Handle preflight
@@ -46,6 +59,25 @@ export async function onRequest(context) {
     });
   }
 
+  // Check API key and scope
+  const auth = await authorize(context, scopeForMethod(method, tableName));
+  if (auth.error) {
+    return new Response(JSON.stringify({ error: auth.error }), {
+      status: auth.status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Unknown tables are not created implicitly
+  if (!(await tableAvailable(env, tableName))) {
+    return new Response(JSON.stringify({ 
+      error: `Table '${tableName}' does not exist` 
+    }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
   // Validate ID
   if (!id) {
     console.error('No ID provided');
@@ -57,11 +89,11 @@ export async function onRequest(context) {
 
   try {
     if (method === 'GET') {
-      return await handleGetSingle(env.DB_PENERBIT, tableName, id, corsHeaders);
+      return await handleGetSingle(env.DB_PENERBIT, tableName, id, wantsNamedFields(request, url), corsHeaders);
     } else if (method === 'PUT') {
-      return await handleUpdate(request, env.DB_PENERBIT, tableName, id, corsHeaders);
+      return await handleUpdate(request, env.DB_PENERBIT, tableName, id, auth.principal, context, corsHeaders);
     } else if (method === 'DELETE') {
-      return await handleDelete(env.DB_PENERBIT, tableName, id, corsHeaders);
+      return await handleDelete(request, env.DB_PENERBIT, tableName, id, wantsNamedFields(request, url), auth.principal, context, corsHeaders);
     } else {
       console.log('Method not allowed:', method);
       return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
@@ -81,59 +113,12 @@ export async function onRequest(context) {
   }
 }
 
-// Security function to validate table name
-function isValidTableName(tableName) {
-  return /^[a-zA-Z_][a-zA-Z0-9_]*$/.test(tableName) && tableName.length <= 50;
-}
-
-// Function to create table if not exists
-async function createTableIfNotExists(DB_PENERBIT, tableName) {
-  const createTableQuery = `
-    CREATE TABLE IF NOT EXISTS ${tableName} (
-      id_x INTEGER PRIMARY KEY AUTOINCREMENT,
-      x_01 TEXT,
-      x_02 TEXT,
-      x_03 TEXT,
-      x_04 TEXT,
-      x_05 TEXT,
-      x_06 TEXT,
-      x_07 TEXT,
-      x_08 TEXT,
-      x_09 TEXT,
-      x_10 TEXT,
-      x_11 TEXT,
-      x_12 TEXT,
-      x_13 TEXT,
-      x_14 TEXT,
-      x_15 TEXT,
-      x_16 TEXT,
-      x_17 TEXT,
-      x_18 TEXT,
-      x_19 TEXT,
-      x_20 TEXT
-    )
-  `;
-  
-  await DB_PENERBIT.prepare(createTableQuery).run();
-  console.log(`Table '${tableName}' created or already exists`);
-}
-
-// GET single record by id_x - Dynamic table version with auto-create
-async function handleGetSingle(DB_PENERBIT, tableName, id, corsHeaders) {
+// GET single record by id_x - Dynamic table version
+async function handleGetSingle(DB_PENERBIT, tableName, id, namedFields, corsHeaders) {
   console.log(`--- GET single record from ${tableName} with id_x ${id} ---`);
   
   try {
-    // Check if table exists first
-    const tableCheck = await DB_PENERBIT.prepare(`
-      SELECT name FROM sqlite_master WHERE type='table' AND name=?
-    `).bind(tableName).first();
-    
-    if (!tableCheck) {
-      console.log(`Table '${tableName}' does not exist, creating...`);
-      await createTableIfNotExists(DB_PENERBIT, tableName);
-    }
-    
-    const query = `SELECT * FROM ${tableName} WHERE id_x = ?`;
+    const query = `SELECT * FROM ${tableName} WHERE id_x = ? AND deleted_at IS NULL`;
     const result = await DB_PENERBIT.prepare(query).bind(id).first();
     console.log('Get single result:', result);
 
@@ -146,12 +131,14 @@ async function handleGetSingle(DB_PENERBIT, tableName, id, corsHeaders) {
       });
     }
 
+    const fieldMap = await loadFieldMap(DB_PENERBIT, tableName);
+    
     return new Response(JSON.stringify({ 
       success: true,
       table: tableName,
-      data: result
+      data: namedFields ? mapOutputFields(result, fieldMap) : result
     }), {
-      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      headers: { 'Content-Type': 'application/json', 'ETag': etagForVersion(result.row_version), ...corsHeaders }
     });
 
   } catch (error) {
@@ -166,21 +153,11 @@ async function handleGetSingle(DB_PENERBIT, tableName, id, corsHeaders) {
   }
 }
 
-// UPDATE record by id_x - Dynamic table version with auto-create
-async function handleUpdate(request, DB_PENERBIT, tableName, id, corsHeaders) {
+// UPDATE record by id_x - Dynamic table version
+async function handleUpdate(request, DB_PENERBIT, tableName, id, principal, context, corsHeaders) {
   console.log(`--- UPDATE record ${id} in table ${tableName} ---`);
   
   try {
-    // Check if table exists first
-    const tableCheck = await DB_PENERBIT.prepare(`
-      SELECT name FROM sqlite_master WHERE type='table' AND name=?
-    `).bind(tableName).first();
-    
-    if (!tableCheck) {
-      console.log(`Table '${tableName}' does not exist, creating...`);
-      await createTableIfNotExists(DB_PENERBIT, tableName);
-    }
-    
     // Get request body
     const contentType = request.headers.get('content-type');
     console.log('Content-Type:', contentType);
@@ -197,7 +174,7 @@ async function handleUpdate(request, DB_PENERBIT, tableName, id, corsHeaders) {
 
     // Check if record exists first using id_x
     console.log('Checking if record exists...');
-    const existsQuery = `SELECT id_x FROM ${tableName} WHERE id_x = ?`;
+    const existsQuery = `SELECT * FROM ${tableName} WHERE id_x = ? AND deleted_at IS NULL`;
     const existsResult = await DB_PENERBIT.prepare(existsQuery).bind(id).first();
     console.log('Exists check result:', existsResult);
 
@@ -210,49 +187,81 @@ async function handleUpdate(request, DB_PENERBIT, tableName, id, corsHeaders) {
       });
     }
 
-    // Build dynamic update query for x_01 to x_20 columns
-    const updateFields = [];
-    const updateValues = [];
-    
-    for (let i = 1; i <= 20; i++) {
-      const colNum = i.toString().padStart(2, '0');
-      const colName = `x_${colNum}`;
-      
-      if (data.hasOwnProperty(colName)) {
-        updateFields.push(`${colName} = ?`);
-        updateValues.push(data[colName]);
-      }
+    // Optimistic concurrency: If-Match must name the current version
+    if (!ifMatchSatisfied(request, existsResult.row_version)) {
+      return preconditionFailed(tableName, existsResult.row_version, corsHeaders);
     }
 
-    // Basic validation - require at least one field to update
-    if (updateFields.length === 0) {
-      throw new Error('At least one field (x_01 to x_20) is required for update');
-    }
+    // Accept field names from the table's field map as well as raw x_01..x_20 keys
+    const fieldMap = await loadFieldMap(DB_PENERBIT, tableName);
+    const columnData = mapInputFields(data, fieldMap);
+
+    // A workflow status only moves through the transition endpoint
+    checkWorkflowWrite(await loadWorkflow(DB_PENERBIT, tableName), columnData, { current: existsResult, fieldMap });
+
+    // Enforce the table's validation rules on the fields being changed
+    await validateRecord(DB_PENERBIT, tableName, columnData, { partial: true, fieldMap, recordId: id });
 
-    // Add id for WHERE clause
-    updateValues.push(id);
+    // Build the update for x_01 to x_20 columns; updated_at is always set by the server and
+    // the version we checked goes in the WHERE clause, so a concurrent write is not overwritten
+    const now = nowTimestamp();
+    const { query: updateQuery, values: updateValues, columns: updatedFields } = buildUpdate(tableName, id, existsResult.row_version, columnData, now);
 
     // Update record
     console.log('Updating record...');
-    const updateQuery = `UPDATE ${tableName} SET ${updateFields.join(', ')} WHERE id_x = ?`;
     console.log('Update query:', updateQuery);
     console.log('Update values:', updateValues);
     
-    const updateResult = await DB_PENERBIT.prepare(updateQuery).bind(...updateValues).run();
+    // The history row is only written when the guarded UPDATE matched
+    const { before, after } = changedColumns(existsResult, columnData);
+    await ensureHistoryTable(DB_PENERBIT);
+    const [updateResult] = await DB_PENERBIT.batch([
+      DB_PENERBIT.prepare(updateQuery).bind(...updateValues),
+      historyStatement(DB_PENERBIT, {
+        tableName,
+        recordId: existsResult.id_x,
+        action: 'update',
+        before,
+        after,
+        principal,
+        changedAt: now
+      })
+    ]);
     console.log('Update result:', updateResult);
 
+    if (!updateResult.meta.changes) {
+      const current = await DB_PENERBIT.prepare(`SELECT row_version FROM ${tableName} WHERE id_x = ?`).bind(id).first();
+      return preconditionFailed(tableName, current ? current.row_version : null, corsHeaders);
+    }
+    const newVersion = existsResult.row_version + 1;
+
+    await dispatchWebhooks(context, tableName, [{ event: 'updated', id: existsResult.id_x }]);
+
     return new Response(JSON.stringify({ 
       success: true,
       table: tableName,
       message: `Record updated successfully in table '${tableName}'`,
       changes: updateResult.changes,
-      updatedFields: updateFields.map(field => field.split(' = ')[0]),
-      updatedData: data
+      updatedFields,
+      updated_at: now,
+      row_version: newVersion,
+      // Stored values, after normalisation such as ISBN-13
+      updatedData: mapOutputFields(columnData, fieldMap)
     }), {
-      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      headers: { 'Content-Type': 'application/json', 'ETag': etagForVersion(newVersion), ...corsHeaders }
     });
 
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return new Response(JSON.stringify({ 
+        error: error.message,
+        errors: error.errors
+      }), {
+        status: 422,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
     console.error('Update error:', error);
     return new Response(JSON.stringify({ 
       error: `Update failed in table '${tableName}': ${error.message}`,
@@ -264,24 +273,14 @@ async function handleUpdate(request, DB_PENERBIT, tableName, id, corsHeaders) {
   }
 }
 
-// DELETE record by id_x - Dynamic table version with auto-create
-async function handleDelete(DB_PENERBIT, tableName, id, corsHeaders) {
+// DELETE record by id_x - soft delete, the row stays in the table with deleted_at set
+async function handleDelete(request, DB_PENERBIT, tableName, id, namedFields, principal, context, corsHeaders) {
   console.log(`--- DELETE record ${id} from table ${tableName} ---`);
   
   try {
-    // Check if table exists first
-    const tableCheck = await DB_PENERBIT.prepare(`
-      SELECT name FROM sqlite_master WHERE type='table' AND name=?
-    `).bind(tableName).first();
-    
-    if (!tableCheck) {
-      console.log(`Table '${tableName}' does not exist, creating...`);
-      await createTableIfNotExists(DB_PENERBIT, tableName);
-    }
-    
     // Check if record exists first using id_x
     console.log('Checking if record exists...');
-    const existsQuery = `SELECT id_x, x_01, x_02, x_03 FROM ${tableName} WHERE id_x = ?`;
+    const existsQuery = `SELECT * FROM ${tableName} WHERE id_x = ? AND deleted_at IS NULL`;
     const existsResult = await DB_PENERBIT.prepare(existsQuery).bind(id).first();
     console.log('Exists check result:', existsResult);
 
@@ -294,18 +293,43 @@ async function handleDelete(DB_PENERBIT, tableName, id, corsHeaders) {
       });
     }
 
-    // Delete record using id_x
+    // Optimistic concurrency: If-Match must name the current version
+    if (!ifMatchSatisfied(request, existsResult.row_version)) {
+      return preconditionFailed(tableName, existsResult.row_version, corsHeaders);
+    }
+
+    // Move the record to the trash
     console.log('Deleting record...');
-    const deleteQuery = `DELETE FROM ${tableName} WHERE id_x = ?`;
-    const deleteResult = await DB_PENERBIT.prepare(deleteQuery).bind(id).run();
+    const now = nowTimestamp();
+    const { query: deleteQuery, values: deleteValues } = buildSoftDelete(tableName, id, existsResult.row_version, now);
+    await ensureHistoryTable(DB_PENERBIT);
+    const [deleteResult] = await DB_PENERBIT.batch([
+      DB_PENERBIT.prepare(deleteQuery).bind(...deleteValues),
+      historyStatement(DB_PENERBIT, {
+        tableName,
+        recordId: existsResult.id_x,
+        action: 'delete',
+        before: dataSnapshot(existsResult),
+        principal,
+        changedAt: now
+      })
+    ]);
     console.log('Delete result:', deleteResult);
 
+    if (!deleteResult.meta.changes) {
+      const current = await DB_PENERBIT.prepare(`SELECT row_version FROM ${tableName} WHERE id_x = ?`).bind(id).first();
+      return preconditionFailed(tableName, current ? current.row_version : null, corsHeaders);
+    }
+
+    await dispatchWebhooks(context, tableName, [{ event: 'deleted', id: existsResult.id_x }]);
+
     return new Response(JSON.stringify({ 
       success: true,
       table: tableName,
-      message: `Record deleted successfully from table '${tableName}'`,
+      message: `Record moved to the trash in table '${tableName}'`,
       changes: deleteResult.changes,
-      deletedRecord: existsResult
+      deleted_at: now,
+      deletedRecord: namedFields ? mapOutputFields(existsResult, await loadFieldMap(DB_PENERBIT, tableName)) : existsResult
     }), {
       headers: { 'Content-Type': 'application/json', ...corsHeaders }
     });
@@ -320,4 +344,20 @@ async function handleDelete(DB_PENERBIT, tableName, id, corsHeaders) {
       headers: { 'Content-Type': 'application/json', ...corsHeaders }
     });
   }
+}
+
+// 412 when the record changed since the client read it
+function preconditionFailed(tableName, currentVersion, corsHeaders) {
+  console.log(`Version conflict in table ${tableName}, current version ${currentVersion}`);
+  return new Response(JSON.stringify({ 
+    error: `Record in table '${tableName}' was changed by someone else`,
+    currentVersion
+  }), {
+    status: 412,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(currentVersion !== null ? { 'ETag': etagForVersion(currentVersion) } : {}),
+      ...corsHeaders
+    }
+  });
 }
\ No newline at end of file
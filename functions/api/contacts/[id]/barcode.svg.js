@@ -0,0 +1,170 @@
+// functions/api/contacts/[id]/barcode.svg.js - EAN-13 barcode of a book record's ISBN
+import { DATA_COLUMNS, isValidTableName, tableAvailable } from '../../../_lib/tables.js';
+import { loadFieldMap, resolveColumn } from '../../../_lib/fields.js';
+import { authorize } from '../../../_lib/auth.js';
+import { loadRules } from '../../../_lib/validation.js';
+import { loadOnixConfig } from '../../../_lib/onix.js';
+import { parseIsbn, isbnProblem } from '../../../_lib/isbn.js';
+import { ean13Svg } from '../../../_lib/barcode.js';
+
+// GET /api/contacts/12/barcode.svg?table=buku
+// GET /api/contacts/12/barcode.svg?table=buku&addon=90000&column=isbn&scale=1.2&download=1
+// Reads the record's ISBN (ISBN-10 is converted) and returns a print-ready SVG sized in mm,
+// with the digits under the bars and "ISBN ..." above them.
+//   column  - ISBN column or field name; by default the column with the 'isbn' rule type,
+//             else the isbn column of the ONIX mapping
+//   addon   - 5-digit price add-on (e.g. 90000 for "no suggested price")
+//   scale   - magnification 0.8 to 2.0 (1.0 = 0.33 mm bars)
+//   download=1 sends it as an attachment
+export async function onRequest(context) {
+  const { request, env, params } = context;
+  const { DB_PENERBIT } = env;
+  const method = request.method;
+  const id = params.id;
+  const url = new URL(request.url);
+
+  // Get table name from query parameter or header
+  const tableName = url.searchParams.get('table') || request.headers.get('X-Table-Name') || 'contacts';
+
+  // CORS headers
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Table-Name, Authorization, X-API-Key',
+  };
+
+  // Handle preflight
+  if (method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  if (method !== 'GET') {
+    return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
+      status: 405,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Validate table name (security check)
+  if (!isValidTableName(tableName)) {
+    return new Response(JSON.stringify({
+      error: 'Invalid table name. Only alphanumeric characters and underscores allowed.'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Check API key and scope
+  const auth = await authorize(context, `read:${tableName}`);
+  if (auth.error) {
+    return new Response(JSON.stringify({ error: auth.error }), {
+      status: auth.status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Unknown tables are not created implicitly
+  if (!(await tableAvailable(env, tableName))) {
+    return new Response(JSON.stringify({
+      error: `Table '${tableName}' does not exist`
+    }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  if (!/^\d+$/.test(id)) {
+    return new Response(JSON.stringify({ error: 'Record ID must be a number' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  const scale = url.searchParams.has('scale') ? Number(url.searchParams.get('scale')) : 1;
+  const addon = url.searchParams.get('addon') || null;
+  if (!(scale >= 0.8 && scale <= 2)) {
+    return new Response(JSON.stringify({ error: 'scale must be between 0.8 and 2.0' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+  if (addon !== null && !/^\d{5}$/.test(addon)) {
+    return new Response(JSON.stringify({ error: 'addon must be 5 digits' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  console.log(`API GET request to /api/contacts/${id}/barcode.svg with table: ${tableName}`);
+
+  try {
+    const fieldMap = await loadFieldMap(DB_PENERBIT, tableName);
+    const column = await isbnColumnFor(DB_PENERBIT, tableName, url.searchParams.get('column'), fieldMap);
+
+    const record = await DB_PENERBIT.prepare(`
+      SELECT id_x, ${column} AS isbn FROM ${tableName} WHERE id_x = ? AND deleted_at IS NULL
+    `).bind(id).first();
+
+    if (!record) {
+      return new Response(JSON.stringify({
+        error: `Record not found in table '${tableName}'`
+      }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    const field = fieldMap.byColumn[column] || column;
+    const parsed = parseIsbn(record.isbn);
+    if (!parsed) {
+      return new Response(JSON.stringify({
+        error: record.isbn === null || record.isbn === ''
+          ? `Record ${id} has no ${field}`
+          : `${field} '${record.isbn}' of record ${id} ${isbnProblem(record.isbn)}`
+      }), {
+        status: 422,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    const svg = ean13Svg(parsed.isbn13, { addon, label: `ISBN ${parsed.isbn13}`, magnification: scale });
+
+    const headers = { 'Content-Type': 'image/svg+xml; charset=utf-8', ...corsHeaders };
+    if (url.searchParams.get('download') === '1') {
+      headers['Content-Disposition'] = `attachment; filename="${parsed.isbn13}${addon ? `-${addon}` : ''}.svg"`;
+    }
+    return new Response(svg, { headers });
+  } catch (error) {
+    console.error(`Barcode error on ${tableName}:`, error);
+    return new Response(JSON.stringify({
+      error: `Failed to draw barcode for table '${tableName}': ${error.message}`
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+}
+
+// The column holding the ISBN: the one asked for, the 'isbn' rule type, or the ONIX mapping
+async function isbnColumnFor(DB_PENERBIT, tableName, requested, fieldMap) {
+  if (requested) {
+    const column = resolveColumn(fieldMap, requested);
+    if (!DATA_COLUMNS.includes(column)) {
+      throw new Error(`Unknown column or field '${requested}'`);
+    }
+    return column;
+  }
+
+  const rules = await loadRules(DB_PENERBIT, tableName);
+  const typed = DATA_COLUMNS.filter(column => rules[column] && rules[column].type === 'isbn');
+  if (typed.length === 1) return typed[0];
+  if (typed.length > 1) {
+    throw new Error(`Table has several ISBN columns (${typed.join(', ')}); choose one with ?column=`);
+  }
+
+  const onix = await loadOnixConfig(DB_PENERBIT, tableName);
+  if (onix && onix.columns.isbn) return onix.columns.isbn;
+
+  throw new Error('No ISBN column: give the column a rule with type isbn, or pass ?column=');
+}
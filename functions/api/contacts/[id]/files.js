@@ -0,0 +1,279 @@
+// functions/api/contacts/[id]/files.js - List and upload the attachments of a record
+import { isValidTableName, tableAvailable } from '../../../_lib/tables.js';
+import { authorize, scopeForMethod } from '../../../_lib/auth.js';
+import {
+  ATTACHMENTS_TABLE, MAX_UPLOAD_BYTES, MAX_FILES_PER_UPLOAD, SNIFF_BYTES, attachmentBucket, loadAttachmentSettings,
+  listAttachments, attachmentView, baseContentType, typeAllowed, contentMatchesType, safeFileName, attachmentKey
+} from '../../../_lib/attachments.js';
+
+// GET  /api/contacts/12/files?table=buku  -> { data: [{ id, file_name, content_type, size, label, url }], limits }
+// POST /api/contacts/12/files?table=buku  multipart/form-data with one or more "file" parts and
+//      an optional "label" (e.g. cover, naskah, kontrak) -> 201 with the stored attachments
+// Size, count and MIME type limits come from /api/attachments; the file content must match its
+// declared type. All files of one upload are stored or none are; an upload is at most
+// MAX_UPLOAD_BYTES and MAX_FILES_PER_UPLOAD files.
+// Download or delete one file at /api/contacts/12/files/[fileId].
+export async function onRequest(context) {
+  const { request, env, params } = context;
+  const { DB_PENERBIT } = env;
+  const method = request.method;
+  const id = params.id;
+  const url = new URL(request.url);
+
+  // Get table name from query parameter or header
+  const tableName = url.searchParams.get('table') || request.headers.get('X-Table-Name') || 'contacts';
+
+  // CORS headers
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Table-Name, Authorization, X-API-Key',
+  };
+
+  // Handle preflight
+  if (method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  if (method !== 'GET' && method !== 'POST') {
+    return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
+      status: 405,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Validate table name (security check)
+  if (!isValidTableName(tableName)) {
+    return new Response(JSON.stringify({
+      error: 'Invalid table name. Only alphanumeric characters and underscores allowed.'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Check API key and scope
+  const auth = await authorize(context, scopeForMethod(method, tableName));
+  if (auth.error) {
+    return new Response(JSON.stringify({ error: auth.error }), {
+      status: auth.status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Unknown tables are not created implicitly
+  if (!(await tableAvailable(env, tableName))) {
+    return new Response(JSON.stringify({
+      error: `Table '${tableName}' does not exist`
+    }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  if (!/^\d+$/.test(id)) {
+    return new Response(JSON.stringify({ error: 'Record ID must be a number' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  console.log(`API ${method} request to /api/contacts/${id}/files with table: ${tableName}`);
+
+  try {
+    // Files of trashed records can still be listed, but not added to
+    const record = await DB_PENERBIT.prepare(`
+      SELECT id_x, deleted_at FROM ${tableName} WHERE id_x = ?
+    `).bind(id).first();
+
+    if (!record || (method === 'POST' && record.deleted_at)) {
+      return new Response(JSON.stringify({
+        error: `Record not found in table '${tableName}'`
+      }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    const settings = await loadAttachmentSettings(DB_PENERBIT, tableName);
+
+    if (method === 'GET') {
+      const rows = await listAttachments(DB_PENERBIT, tableName, record.id_x);
+      return new Response(JSON.stringify({
+        success: true,
+        table: tableName,
+        id_x: record.id_x,
+        count: rows.length,
+        limits: { maxSize: settings.maxSize, maxFiles: settings.maxFiles, types: settings.types },
+        data: rows.map(attachmentView)
+      }), {
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    return await uploadFiles(request, env, tableName, record, settings, auth.principal, corsHeaders);
+  } catch (error) {
+    console.error(`Attachment error on ${tableName}:`, error);
+    return new Response(JSON.stringify({
+      error: `Attachment request failed on table '${tableName}': ${error.message}`
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+}
+
+async function uploadFiles(request, env, tableName, record, settings, principal, corsHeaders) {
+  const { DB_PENERBIT } = env;
+
+  const bucket = attachmentBucket(env);
+  if (!bucket) {
+    return new Response(JSON.stringify({ error: 'File storage (BUCKET_PENERBIT) is not configured' }), {
+      status: 503,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Refused before the body is read into memory
+  const contentLength = Number(request.headers.get('Content-Length'));
+  if (contentLength > MAX_UPLOAD_BYTES) {
+    return new Response(JSON.stringify({ error: `An upload may be at most ${MAX_UPLOAD_BYTES} bytes; send the files in parts` }), {
+      status: 413,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  let form;
+  try {
+    if (!(request.headers.get('Content-Type') || '').includes('multipart/form-data')) throw new Error('not multipart');
+    form = await request.formData();
+  } catch (error) {
+    return new Response(JSON.stringify({ error: 'Send the files as multipart/form-data in "file" fields' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  const files = form.getAll('file').filter(file => typeof file !== 'string');
+  const label = typeof form.get('label') === 'string' ? form.get('label').trim() : '';
+
+  if (files.length === 0) {
+    return new Response(JSON.stringify({ error: 'No file in the "file" field' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+  if (files.length > MAX_FILES_PER_UPLOAD) {
+    return new Response(JSON.stringify({ error: `At most ${MAX_FILES_PER_UPLOAD} files per upload` }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+  if (label.length > 50) {
+    return new Response(JSON.stringify({ error: 'label must be at most 50 characters' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Checked early to spare the upload; the INSERT below checks again
+  const existing = await listAttachments(DB_PENERBIT, tableName, record.id_x);
+  if (existing.length + files.length > settings.maxFiles) {
+    return tooManyFiles(record, settings, existing.length, corsHeaders);
+  }
+
+  // Check every file before storing any. Only the first bytes are read; the files are
+  // handed to the bucket as they are, without another copy in memory.
+  const uploads = [];
+  const errors = [];
+  for (const file of files) {
+    const fileName = safeFileName(file.name);
+    const contentType = baseContentType(file.type) || 'application/octet-stream';
+    const head = new Uint8Array(await file.slice(0, SNIFF_BYTES).arrayBuffer());
+
+    if (file.size === 0) {
+      errors.push({ file: fileName, message: `${fileName} is empty` });
+    } else if (file.size > settings.maxSize) {
+      errors.push({ file: fileName, message: `${fileName} is larger than ${settings.maxSize} bytes` });
+    } else if (!typeAllowed(settings, contentType)) {
+      errors.push({ file: fileName, message: `${fileName} has type ${contentType}; allowed: ${settings.types.join(', ')}` });
+    } else if (!contentMatchesType(head, contentType)) {
+      errors.push({ file: fileName, message: `${fileName} is not a valid ${contentType} file` });
+    } else {
+      uploads.push({ file, fileName, contentType, key: attachmentKey(tableName, record.id_x, fileName) });
+    }
+  }
+
+  if (errors.length > 0) {
+    return new Response(JSON.stringify({
+      error: `${errors.length} file(s) were rejected, nothing was stored`,
+      errors
+    }), {
+      status: 422,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  const now = new Date().toISOString();
+  let insertResult;
+  try {
+    for (const upload of uploads) {
+      await bucket.put(upload.key, upload.file, {
+        httpMetadata: { contentType: upload.contentType },
+        customMetadata: { table: tableName, record: String(record.id_x), fileName: upload.fileName }
+      });
+    }
+
+    // One statement, so the files only go in together and only while the record has room
+    // for all of them, also when uploads to the same record run side by side
+    insertResult = await DB_PENERBIT.prepare(`
+      WITH new_files (object_key, file_name, content_type, size) AS (
+        VALUES ${uploads.map(() => '(?, ?, ?, ?)').join(', ')}
+      )
+      INSERT INTO ${ATTACHMENTS_TABLE}
+        (table_name, record_id, object_key, file_name, content_type, size, label, uploaded_at, uploaded_by)
+      SELECT ?, ?, object_key, file_name, content_type, size, ?, ?, ? FROM new_files
+      WHERE (SELECT COUNT(*) FROM ${ATTACHMENTS_TABLE} WHERE table_name = ? AND record_id = ?) + ? <= ?
+    `).bind(
+      ...uploads.flatMap(upload => [upload.key, upload.fileName, upload.contentType, upload.file.size]),
+      tableName, record.id_x, label || null, now, principal.name,
+      tableName, record.id_x, uploads.length, settings.maxFiles
+    ).run();
+  } catch (error) {
+    // Do not leave objects behind that no row points to
+    await bucket.delete(uploads.map(upload => upload.key));
+    throw error;
+  }
+
+  if (!insertResult.meta.changes) {
+    await bucket.delete(uploads.map(upload => upload.key));
+    const current = await listAttachments(DB_PENERBIT, tableName, record.id_x);
+    return tooManyFiles(record, settings, current.length, corsHeaders);
+  }
+
+  const { results } = await DB_PENERBIT.prepare(`
+    SELECT * FROM ${ATTACHMENTS_TABLE} WHERE object_key IN (${uploads.map(() => '?').join(', ')}) ORDER BY id
+  `).bind(...uploads.map(upload => upload.key)).all();
+
+  console.log(`Stored ${results.length} files for record ${record.id_x} in ${tableName}`);
+
+  return new Response(JSON.stringify({
+    success: true,
+    table: tableName,
+    id_x: record.id_x,
+    message: `${results.length} file(s) attached to record ${record.id_x}`,
+    data: results.map(attachmentView)
+  }), {
+    status: 201,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders }
+  });
+}
+
+function tooManyFiles(record, settings, count, corsHeaders) {
+  return new Response(JSON.stringify({
+    error: `Record ${record.id_x} may have at most ${settings.maxFiles} files; it has ${count}`
+  }), {
+    status: 409,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders }
+  });
+}
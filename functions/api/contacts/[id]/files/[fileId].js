@@ -0,0 +1,196 @@
+// functions/api/contacts/[id]/files/[fileId].js - Download or delete one attachment of a record
+import { isValidTableName, tableAvailable } from '../../../../_lib/tables.js';
+import { authorize, scopeForMethod } from '../../../../_lib/auth.js';
+import { ATTACHMENTS_TABLE, ensureAttachmentTables, attachmentBucket, attachmentView, removeAttachmentObjects } from '../../../../_lib/attachments.js';
+
+// Shown in the browser; everything else is always downloaded
+const INLINE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'application/pdf'];
+
+// GET    /api/contacts/12/files/5?table=buku             -> the file with its own Content-Type
+// GET    /api/contacts/12/files/5?table=buku&download=1  -> same, as an attachment download
+// DELETE /api/contacts/12/files/5?table=buku             -> removes the file from storage
+export async function onRequest(context) {
+  const { request, env, params } = context;
+  const { DB_PENERBIT } = env;
+  const method = request.method;
+  const id = params.id;
+  const fileId = params.fileId;
+  const url = new URL(request.url);
+
+  // Get table name from query parameter or header
+  const tableName = url.searchParams.get('table') || request.headers.get('X-Table-Name') || 'contacts';
+
+  // CORS headers
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Table-Name, Authorization, X-API-Key, If-None-Match',
+    'Access-Control-Expose-Headers': 'ETag, Content-Disposition',
+  };
+
+  // Handle preflight
+  if (method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  if (method !== 'GET' && method !== 'DELETE') {
+    return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
+      status: 405,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Validate table name (security check)
+  if (!isValidTableName(tableName)) {
+    return new Response(JSON.stringify({
+      error: 'Invalid table name. Only alphanumeric characters and underscores allowed.'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Check API key and scope
+  const auth = await authorize(context, scopeForMethod(method, tableName));
+  if (auth.error) {
+    return new Response(JSON.stringify({ error: auth.error }), {
+      status: auth.status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Unknown tables are not created implicitly
+  if (!(await tableAvailable(env, tableName))) {
+    return new Response(JSON.stringify({
+      error: `Table '${tableName}' does not exist`
+    }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  if (!/^\d+$/.test(id) || !/^\d+$/.test(fileId)) {
+    return new Response(JSON.stringify({ error: 'Record ID and file ID must be numbers' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  console.log(`API ${method} request to /api/contacts/${id}/files/${fileId} with table: ${tableName}`);
+
+  try {
+    await ensureAttachmentTables(DB_PENERBIT);
+
+    const attachment = await DB_PENERBIT.prepare(`
+      SELECT * FROM ${ATTACHMENTS_TABLE} WHERE id = ? AND table_name = ? AND record_id = ?
+    `).bind(fileId, tableName, id).first();
+
+    if (!attachment) {
+      return new Response(JSON.stringify({
+        error: `File ${fileId} not found on record ${id} of table '${tableName}'`
+      }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    const bucket = attachmentBucket(env);
+    if (!bucket) {
+      return new Response(JSON.stringify({ error: 'File storage (BUCKET_PENERBIT) is not configured' }), {
+        status: 503,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    if (method === 'GET') {
+      return await downloadFile(request, url, bucket, attachment, corsHeaders);
+    }
+
+    // Files of trashed records stay until the record is purged or restored
+    const record = await DB_PENERBIT.prepare(`
+      SELECT id_x FROM ${tableName} WHERE id_x = ? AND deleted_at IS NULL
+    `).bind(id).first();
+
+    if (!record) {
+      return new Response(JSON.stringify({
+        error: `Record not found in table '${tableName}'`
+      }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    // The row goes first, so a failed removal leaves an unlisted object rather than a dead entry
+    const deleteResult = await DB_PENERBIT.prepare(`DELETE FROM ${ATTACHMENTS_TABLE} WHERE id = ?`).bind(attachment.id).run();
+    if (!deleteResult.meta.changes) {
+      return new Response(JSON.stringify({
+        error: `File ${fileId} not found on record ${id} of table '${tableName}'`
+      }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+    await removeAttachmentObjects(env, tableName, [attachment.object_key]);
+
+    console.log(`File ${attachment.id} (${attachment.file_name}) removed from record ${id} in ${tableName}`);
+
+    return new Response(JSON.stringify({
+      success: true,
+      table: tableName,
+      message: `File '${attachment.file_name}' deleted`,
+      deletedFile: attachmentView(attachment)
+    }), {
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  } catch (error) {
+    console.error(`Attachment error on ${tableName}:`, error);
+    return new Response(JSON.stringify({
+      error: `Attachment request failed on table '${tableName}': ${error.message}`
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+}
+
+// RFC 6266 header with an ASCII fallback for old clients
+function contentDisposition(disposition, fileName) {
+  const ascii = fileName.replace(/[^\x20-\x7e]/g, '_').replace(/[\\"]/g, '_');
+  return `${disposition}; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+}
+
+async function downloadFile(request, url, bucket, attachment, corsHeaders) {
+  // Objects are never overwritten, so the row id and key identify the content
+  const etag = `"${attachment.id}-${attachment.object_key.split('/').pop().split('-')[0]}"`;
+  const headers = {
+    'ETag': etag,
+    'Cache-Control': 'private, max-age=3600',
+    'X-Content-Type-Options': 'nosniff',
+    ...corsHeaders
+  };
+
+  const ifNoneMatch = request.headers.get('If-None-Match');
+  if (ifNoneMatch && ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, '')).includes(etag)) {
+    return new Response(null, { status: 304, headers });
+  }
+
+  const object = await bucket.get(attachment.object_key);
+  if (!object) {
+    console.error(`Object ${attachment.object_key} of file ${attachment.id} is missing from the bucket`);
+    return new Response(JSON.stringify({ error: `File '${attachment.file_name}' is missing from storage` }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  const inline = INLINE_TYPES.includes(attachment.content_type) && url.searchParams.get('download') !== '1';
+
+  return new Response(object.body, {
+    headers: {
+      'Content-Type': attachment.content_type,
+      'Content-Length': String(attachment.size),
+      'Content-Disposition': contentDisposition(inline ? 'inline' : 'attachment', attachment.file_name),
+      ...headers
+    }
+  });
+}
@@ -0,0 +1,108 @@
+// functions/api/contacts/[id]/history.js - Change history of one record
+import { isValidTableName, tableAvailable } from '../../../_lib/tables.js';
+import { loadFieldMap, wantsNamedFields } from '../../../_lib/fields.js';
+import { authorize } from '../../../_lib/auth.js';
+import { loadHistory } from '../../../_lib/history.js';
+
+// GET /api/contacts/12/history?table=buku
+//   -> { data: [{ revision, action, before, after, changed_at, changed_by, changed_by_type, rollback_of }] }
+// Newest revision first; before/after only hold the x_NN columns that changed.
+// Also works for records in the trash or purged ones.
+export async function onRequest(context) {
+  const { request, env, params } = context;
+  const { DB_PENERBIT } = env;
+  const method = request.method;
+  const id = params.id;
+  const url = new URL(request.url);
+
+  // Get table name from query parameter or header
+  const tableName = url.searchParams.get('table') || request.headers.get('X-Table-Name') || 'contacts';
+
+  // CORS headers
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Table-Name, X-Field-Format, Authorization, X-API-Key',
+  };
+
+  // Handle preflight
+  if (method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  if (method !== 'GET') {
+    return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
+      status: 405,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Validate table name (security check)
+  if (!isValidTableName(tableName)) {
+    return new Response(JSON.stringify({
+      error: 'Invalid table name. Only alphanumeric characters and underscores allowed.'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Check API key and scope
+  const auth = await authorize(context, `read:${tableName}`);
+  if (auth.error) {
+    return new Response(JSON.stringify({ error: auth.error }), {
+      status: auth.status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Unknown tables are not created implicitly
+  if (!(await tableAvailable(env, tableName))) {
+    return new Response(JSON.stringify({
+      error: `Table '${tableName}' does not exist`
+    }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  if (!/^\d+$/.test(id)) {
+    return new Response(JSON.stringify({ error: 'Record ID must be a number' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  console.log(`API GET request to /api/contacts/${id}/history with table: ${tableName}`);
+
+  try {
+    let history = await loadHistory(DB_PENERBIT, tableName, Number(id));
+
+    // Rename x_NN keys inside before/after when named fields are asked for
+    if (wantsNamedFields(request, url)) {
+      const fieldMap = await loadFieldMap(DB_PENERBIT, tableName);
+      const rename = values => values && Object.fromEntries(
+        Object.entries(values).map(([column, value]) => [fieldMap.byColumn[column] || column, value])
+      );
+      history = history.map(entry => ({ ...entry, before: rename(entry.before), after: rename(entry.after) }));
+    }
+
+    return new Response(JSON.stringify({
+      success: true,
+      table: tableName,
+      id_x: Number(id),
+      count: history.length,
+      data: history
+    }), {
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  } catch (error) {
+    console.error(`History error on ${tableName}:`, error);
+    return new Response(JSON.stringify({
+      error: `Failed to load history from table '${tableName}': ${error.message}`
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+}
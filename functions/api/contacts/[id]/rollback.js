@@ -0,0 +1,229 @@
+// functions/api/contacts/[id]/rollback.js - Restore a record to an earlier revision
+import { isValidTableName, tableAvailable, nowTimestamp } from '../../../_lib/tables.js';
+import { authorize } from '../../../_lib/auth.js';
+import { etagForVersion, ifMatchSatisfied } from '../../../_lib/etag.js';
+import { ensureHistoryTable, historyStatement, valuesAtRevision } from '../../../_lib/history.js';
+import { loadFieldMap } from '../../../_lib/fields.js';
+import { loadRules, isbnDuplicateErrors } from '../../../_lib/validation.js';
+import { loadWorkflow } from '../../../_lib/workflow.js';
+import { dispatchWebhooks } from '../../../_lib/webhooks.js';
+
+// POST /api/contacts/12/rollback?table=buku  { "revision": 345 }
+// Puts the x_NN values back to what they were right after that revision. The rollback is
+// written as a new revision, so it can itself be rolled back. Validation rules are not
+// re-applied: the old values were accepted when they were written. An old ISBN that another
+// record uses by now is refused with 409, and so is a different workflow status.
+export async function onRequest(context) {
+  const { request, env, params } = context;
+  const { DB_PENERBIT } = env;
+  const method = request.method;
+  const id = params.id;
+  const url = new URL(request.url);
+
+  // Get table name from query parameter or header
+  const tableName = url.searchParams.get('table') || request.headers.get('X-Table-Name') || 'contacts';
+
+  // CORS headers
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Table-Name, Authorization, X-API-Key, If-Match',
+    'Access-Control-Expose-Headers': 'ETag',
+  };
+
+  // Handle preflight
+  if (method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  if (method !== 'POST') {
+    return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
+      status: 405,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Validate table name (security check)
+  if (!isValidTableName(tableName)) {
+    return new Response(JSON.stringify({
+      error: 'Invalid table name. Only alphanumeric characters and underscores allowed.'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Check API key and scope
+  const auth = await authorize(context, `write:${tableName}`);
+  if (auth.error) {
+    return new Response(JSON.stringify({ error: auth.error }), {
+      status: auth.status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Unknown tables are not created implicitly
+  if (!(await tableAvailable(env, tableName))) {
+    return new Response(JSON.stringify({
+      error: `Table '${tableName}' does not exist`
+    }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return new Response(JSON.stringify({ error: 'Invalid JSON data' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return new Response(JSON.stringify({ error: 'Invalid JSON data' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  const revision = body.revision;
+  if (!Number.isInteger(revision) || revision < 1) {
+    return new Response(JSON.stringify({ error: 'revision must be a revision number from the history' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  console.log(`API POST request to /api/contacts/${id}/rollback with table: ${tableName}, revision ${revision}`);
+
+  try {
+    const existsResult = await DB_PENERBIT.prepare(`
+      SELECT * FROM ${tableName} WHERE id_x = ? AND deleted_at IS NULL
+    `).bind(id).first();
+
+    if (!existsResult) {
+      return new Response(JSON.stringify({
+        error: `Record not found in table '${tableName}'. Records in the trash must be restored first.`
+      }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    if (!ifMatchSatisfied(request, existsResult.row_version)) {
+      return new Response(JSON.stringify({
+        error: `Record in table '${tableName}' was changed by someone else`,
+        currentVersion: existsResult.row_version
+      }), {
+        status: 412,
+        headers: { 'Content-Type': 'application/json', 'ETag': etagForVersion(existsResult.row_version), ...corsHeaders }
+      });
+    }
+
+    const values = await valuesAtRevision(DB_PENERBIT, tableName, existsResult.id_x, revision, existsResult);
+    if (!values) {
+      return new Response(JSON.stringify({
+        error: `Revision ${revision} does not belong to record ${id} in table '${tableName}'`
+      }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    const columns = Object.keys(values);
+    if (columns.length === 0) {
+      return new Response(JSON.stringify({
+        success: true,
+        table: tableName,
+        message: `Record already matches revision ${revision}`,
+        changedFields: [],
+        row_version: existsResult.row_version
+      }), {
+        headers: { 'Content-Type': 'application/json', 'ETag': etagForVersion(existsResult.row_version), ...corsHeaders }
+      });
+    }
+
+    // The status of a workflow only moves through its transitions
+    const workflow = await loadWorkflow(DB_PENERBIT, tableName);
+    if (workflow && columns.includes(workflow.column)) {
+      return new Response(JSON.stringify({
+        error: `Revision ${revision} has a different status; change it with POST /api/contacts/${id}/transition`
+      }), {
+        status: 409,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    const fieldMap = await loadFieldMap(DB_PENERBIT, tableName);
+    const rules = await loadRules(DB_PENERBIT, tableName);
+    const duplicates = await isbnDuplicateErrors(DB_PENERBIT, tableName, values, { rules, fieldMap, recordId: existsResult.id_x });
+    if (duplicates.length > 0) {
+      return new Response(JSON.stringify({
+        error: `Record cannot be rolled back in table '${tableName}': ${duplicates.map(duplicate => duplicate.message).join('; ')}`,
+        errors: duplicates
+      }), {
+        status: 409,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    const now = nowTimestamp();
+    const before = Object.fromEntries(columns.map(column => [column, existsResult[column]]));
+    await ensureHistoryTable(DB_PENERBIT);
+    const [updateResult, historyResult] = await DB_PENERBIT.batch([
+      DB_PENERBIT.prepare(`
+        UPDATE ${tableName} SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = ?, row_version = row_version + 1
+        WHERE id_x = ? AND row_version = ? AND deleted_at IS NULL
+      `).bind(...columns.map(column => values[column]), now, id, existsResult.row_version),
+      historyStatement(DB_PENERBIT, {
+        tableName,
+        recordId: existsResult.id_x,
+        action: 'rollback',
+        before,
+        after: values,
+        principal: auth.principal,
+        changedAt: now,
+        rollbackOf: revision
+      })
+    ]);
+
+    if (!updateResult.meta.changes) {
+      return new Response(JSON.stringify({
+        error: `Record in table '${tableName}' was changed by someone else`
+      }), {
+        status: 412,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    const newVersion = existsResult.row_version + 1;
+    const newRevision = historyResult.meta.last_row_id;
+    await dispatchWebhooks(context, tableName, [{ event: 'updated', id: existsResult.id_x }]);
+
+    console.log(`Record ${id} in ${tableName} rolled back to revision ${revision}`);
+
+    return new Response(JSON.stringify({
+      success: true,
+      table: tableName,
+      message: `Record rolled back to revision ${revision}`,
+      revision: newRevision,
+      changedFields: columns,
+      updated_at: now,
+      row_version: newVersion,
+      data: values
+    }), {
+      headers: { 'Content-Type': 'application/json', 'ETag': etagForVersion(newVersion), ...corsHeaders }
+    });
+  } catch (error) {
+    console.error(`Rollback error on ${tableName}:`, error);
+    return new Response(JSON.stringify({
+      error: `Rollback failed in table '${tableName}': ${error.message}`
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+}
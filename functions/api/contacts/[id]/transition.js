@@ -0,0 +1,272 @@
+// functions/api/contacts/[id]/transition.js - Move a record through its table's workflow
+import { isValidTableName, tableAvailable, nowTimestamp } from '../../../_lib/tables.js';
+import { loadFieldMap } from '../../../_lib/fields.js';
+import { authorize, hasScope } from '../../../_lib/auth.js';
+import { etagForVersion, ifMatchSatisfied } from '../../../_lib/etag.js';
+import { ensureHistoryTable, historyStatement, changedColumns, loadHistory } from '../../../_lib/history.js';
+import { loadWorkflow, allowedTransitions } from '../../../_lib/workflow.js';
+import { dispatchWebhooks } from '../../../_lib/webhooks.js';
+
+// GET  /api/contacts/12/transition?table=naskah
+//   -> { status, label, allowed: [{ state, label }], moves: [{ from, to, changed_at, changed_by }] }
+// POST /api/contacts/12/transition?table=naskah  { "to": "in_review" }
+//   Only moves listed in the workflow are accepted (409 otherwise). Each move is written to the
+//   record's history with who made it and when. Honours If-Match like PUT.
+//   { "to": "...", "force": true } lets an admin set any state, e.g. to clean up old free-text values.
+export async function onRequest(context) {
+  const { request, env, params } = context;
+  const { DB_PENERBIT } = env;
+  const method = request.method;
+  const id = params.id;
+  const url = new URL(request.url);
+
+  // Get table name from query parameter or header
+  const tableName = url.searchParams.get('table') || request.headers.get('X-Table-Name') || 'contacts';
+
+  // CORS headers
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Table-Name, Authorization, X-API-Key, If-Match',
+    'Access-Control-Expose-Headers': 'ETag',
+  };
+
+  // Handle preflight
+  if (method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  if (method !== 'GET' && method !== 'POST') {
+    return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
+      status: 405,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Validate table name (security check)
+  if (!isValidTableName(tableName)) {
+    return new Response(JSON.stringify({
+      error: 'Invalid table name. Only alphanumeric characters and underscores allowed.'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Check API key and scope
+  const auth = await authorize(context, method === 'GET' ? `read:${tableName}` : `write:${tableName}`);
+  if (auth.error) {
+    return new Response(JSON.stringify({ error: auth.error }), {
+      status: auth.status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Unknown tables are not created implicitly
+  if (!(await tableAvailable(env, tableName))) {
+    return new Response(JSON.stringify({
+      error: `Table '${tableName}' does not exist`
+    }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  if (!/^\d+$/.test(id)) {
+    return new Response(JSON.stringify({ error: 'Record ID must be a number' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  const workflow = await loadWorkflow(DB_PENERBIT, tableName);
+  if (!workflow) {
+    return new Response(JSON.stringify({
+      error: `Table '${tableName}' has no workflow. Set one with PUT /api/workflows?table=${tableName}`
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  console.log(`API ${method} request to /api/contacts/${id}/transition with table: ${tableName}`);
+
+  try {
+    const record = await DB_PENERBIT.prepare(`
+      SELECT * FROM ${tableName} WHERE id_x = ? AND deleted_at IS NULL
+    `).bind(id).first();
+
+    if (!record) {
+      return new Response(JSON.stringify({
+        error: `Record not found in table '${tableName}'`
+      }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    if (method === 'GET') {
+      return await getTransitions(DB_PENERBIT, tableName, record, workflow, corsHeaders);
+    }
+    return await postTransition(request, DB_PENERBIT, tableName, record, workflow, auth.principal, context, corsHeaders);
+  } catch (error) {
+    console.error(`Transition error on ${tableName}:`, error);
+    return new Response(JSON.stringify({
+      error: `Transition failed in table '${tableName}': ${error.message}`
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+}
+
+function stateInfo(workflow, state) {
+  return { state, label: workflow.labels[state] || state };
+}
+
+async function getTransitions(DB_PENERBIT, tableName, record, workflow, corsHeaders) {
+  const { column } = workflow;
+  const status = record[column];
+
+  // Past moves, oldest first
+  const moves = (await loadHistory(DB_PENERBIT, tableName, record.id_x))
+    .filter(entry => entry.action === 'transition')
+    .reverse()
+    .map(entry => ({
+      revision: entry.revision,
+      from: entry.before ? entry.before[column] : null,
+      to: entry.after ? entry.after[column] : null,
+      changed_at: entry.changed_at,
+      changed_by: entry.changed_by,
+      changed_by_type: entry.changed_by_type
+    }));
+
+  return new Response(JSON.stringify({
+    success: true,
+    table: tableName,
+    id_x: record.id_x,
+    column,
+    status,
+    label: status === null ? null : stateInfo(workflow, status).label,
+    known: workflow.states.includes(status),
+    allowed: allowedTransitions(workflow, status).map(state => stateInfo(workflow, state)),
+    moves
+  }), {
+    headers: { 'Content-Type': 'application/json', 'ETag': etagForVersion(record.row_version), ...corsHeaders }
+  });
+}
+
+async function postTransition(request, DB_PENERBIT, tableName, record, workflow, principal, context, corsHeaders) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return new Response(JSON.stringify({ error: 'Invalid JSON data' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return new Response(JSON.stringify({ error: 'Invalid JSON data' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  const { column } = workflow;
+  const from = record[column];
+  const to = body.to;
+  const force = body.force === true;
+
+  if (!workflow.states.includes(to)) {
+    return new Response(JSON.stringify({
+      error: `'${to}' is not a state of this workflow. States: ${workflow.states.join(', ')}`
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  if (force && !hasScope(principal.scopes, 'admin')) {
+    return new Response(JSON.stringify({ error: "You do not have the 'admin' permission" }), {
+      status: 403,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  if (!force && !allowedTransitions(workflow, from).includes(to)) {
+    const allowed = allowedTransitions(workflow, from);
+    const hint = workflow.states.includes(from) ? '' : ` ('${from}' is not a workflow state; an admin can set one with "force": true)`;
+    return new Response(JSON.stringify({
+      error: `Cannot move from '${from}' to '${to}'. Allowed: ${allowed.length > 0 ? allowed.join(', ') : 'none'}${hint}`,
+      status: from,
+      allowed
+    }), {
+      status: 409,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  if (!ifMatchSatisfied(request, record.row_version)) {
+    return new Response(JSON.stringify({
+      error: `Record in table '${tableName}' was changed by someone else`,
+      currentVersion: record.row_version
+    }), {
+      status: 412,
+      headers: { 'Content-Type': 'application/json', 'ETag': etagForVersion(record.row_version), ...corsHeaders }
+    });
+  }
+
+  const now = nowTimestamp();
+  await ensureHistoryTable(DB_PENERBIT);
+  const [updateResult, historyResult] = await DB_PENERBIT.batch([
+    DB_PENERBIT.prepare(`
+      UPDATE ${tableName} SET ${column} = ?, updated_at = ?, row_version = row_version + 1
+      WHERE id_x = ? AND row_version = ? AND deleted_at IS NULL
+    `).bind(to, now, record.id_x, record.row_version),
+    historyStatement(DB_PENERBIT, {
+      tableName,
+      recordId: record.id_x,
+      action: 'transition',
+      ...changedColumns(record, { [column]: to }),
+      principal,
+      changedAt: now
+    })
+  ]);
+
+  if (!updateResult.meta.changes) {
+    return new Response(JSON.stringify({
+      error: `Record in table '${tableName}' was changed by someone else`
+    }), {
+      status: 412,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  const newVersion = record.row_version + 1;
+  const revision = historyResult.meta.last_row_id;
+  console.log(`Record ${record.id_x} in ${tableName} moved from '${from}' to '${to}'${force ? ' (forced)' : ''}`);
+
+  await dispatchWebhooks(context, tableName, [{ event: 'updated', id: record.id_x }]);
+
+  const fieldMap = await loadFieldMap(DB_PENERBIT, tableName);
+
+  return new Response(JSON.stringify({
+    success: true,
+    table: tableName,
+    message: `Record moved from '${from}' to '${to}'`,
+    id_x: record.id_x,
+    field: fieldMap.byColumn[column] || column,
+    from,
+    to,
+    label: stateInfo(workflow, to).label,
+    forced: force,
+    revision,
+    updated_at: now,
+    row_version: newVersion,
+    allowed: allowedTransitions(workflow, to).map(state => stateInfo(workflow, state))
+  }), {
+    headers: { 'Content-Type': 'application/json', 'ETag': etagForVersion(newVersion), ...corsHeaders }
+  });
+}
@@ -0,0 +1,108 @@
+// functions/api/contacts/aggregate.js - Grouped counts, sums and averages of a dynamic table
+import { isValidTableName, tableAvailable } from '../../_lib/tables.js';
+import { parseFilterParams } from '../../_lib/listing.js';
+import { loadFieldMap } from '../../_lib/fields.js';
+import { authorize } from '../../_lib/auth.js';
+import { aggregateRecords } from '../../_lib/aggregate.js';
+
+// GET /api/contacts/aggregate?table=penjualan&group=created_at:month&metrics=count,sum:x_07
+// GET /api/contacts/aggregate?table=naskah&group=status,genre&metrics=count&sort=-count
+// GET /api/contacts/aggregate?table=penjualan&group=x_02&metrics=sum:jumlah,avg:harga&x_05[gte]=2025-01-01
+//   -> { groups: ["x_02"], metrics: ["sum:jumlah", "avg:harga"],
+//        rows: [{ "x_02": "Gramedia", "sum:jumlah": 120, "avg:harga": 85000 }], totals: {...} }
+// group:   up to 3 columns or field names; dates as column:day, column:month or column:year
+// metrics: count, sum:<col>, avg:<col>, min:<col>, max:<col> (default count)
+// sort:    one group or metric, - for descending (default: by the groups)
+// Takes the same filters as GET /api/contacts; records in the trash are not counted.
+export async function onRequest(context) {
+  const { request, env } = context;
+  const { DB_PENERBIT } = env;
+  const method = request.method;
+  const url = new URL(request.url);
+
+  // Get table name from query parameter or header
+  const tableName = url.searchParams.get('table') || request.headers.get('X-Table-Name') || 'contacts';
+
+  // CORS headers
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Table-Name, Authorization, X-API-Key',
+  };
+
+  // Handle preflight
+  if (method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  if (method !== 'GET') {
+    return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
+      status: 405,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Validate table name (security check)
+  if (!isValidTableName(tableName)) {
+    return new Response(JSON.stringify({
+      error: 'Invalid table name. Only alphanumeric characters and underscores allowed.'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Check API key and scope
+  const auth = await authorize(context, `read:${tableName}`);
+  if (auth.error) {
+    return new Response(JSON.stringify({ error: auth.error }), {
+      status: auth.status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Unknown tables are not created implicitly
+  if (!(await tableAvailable(env, tableName))) {
+    return new Response(JSON.stringify({
+      error: `Table '${tableName}' does not exist`
+    }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  console.log(`API GET request to /api/contacts/aggregate with table: ${tableName}`);
+
+  try {
+    const params = url.searchParams;
+    const fieldMap = await loadFieldMap(DB_PENERBIT, tableName);
+
+    const report = await aggregateRecords(DB_PENERBIT, tableName, {
+      group: params.get('group'),
+      metrics: params.get('metrics'),
+      sort: params.get('sort'),
+      limit: params.get('limit'),
+      filter: parseFilterParams(params, fieldMap, ['group', 'metrics']),
+      fieldMap
+    });
+
+    console.log(`Returning ${report.rows.length} groups of ${tableName}`);
+
+    return new Response(JSON.stringify({
+      success: true,
+      table: tableName,
+      count: report.rows.length,
+      ...report
+    }), {
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  } catch (error) {
+    console.error(`Aggregate error on ${tableName}:`, error);
+    return new Response(JSON.stringify({
+      error: `Failed to aggregate table '${tableName}': ${error.message}`
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+}
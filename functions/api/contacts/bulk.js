@@ -0,0 +1,182 @@
+// functions/api/contacts/bulk.js - Create, update and delete many records of one table in one transaction
+import { isValidTableName, tableAvailable, nowTimestamp } from '../../_lib/tables.js';
+import { loadFieldMap } from '../../_lib/fields.js';
+import { authorize } from '../../_lib/auth.js';
+import { planOperations, writePlanned, bulkResult, WriteConflictError } from '../../_lib/bulk.js';
+import { dispatchWebhooks, changesFromResults } from '../../_lib/webhooks.js';
+
+// Each operation becomes one write, its history row and a version guard in the same batch
+const MAX_OPERATIONS = 200;
+
+// POST /api/contacts/bulk?table=buku
+// {
+//   "dryRun": false,
+//   "operations": [
+//     { "op": "create", "data": { "judul": "...", "x_02": "..." } },
+//     { "op": "update", "id": 12, "data": { "x_03": "..." }, "version": 4 },
+//     { "op": "delete", "id": 13 }
+//   ]
+// }
+// All operations are checked first (field names, validation rules, record exists, optional
+// version). If any fails nothing is written and the response is 422 with a result per item.
+// Otherwise everything is written in one D1 batch, which commits or rolls back as a whole;
+// a record changed by someone else in between rolls it back with a 409 naming the conflicts.
+// dryRun: true runs the checks only. Deletes move records to the trash like DELETE /api/contacts/[id].
+export async function onRequest(context) {
+  const { request, env } = context;
+  const { DB_PENERBIT } = env;
+  const method = request.method;
+  const url = new URL(request.url);
+
+  // Get table name from query parameter or header
+  const tableName = url.searchParams.get('table') || request.headers.get('X-Table-Name') || 'contacts';
+
+  // CORS headers
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Table-Name, Authorization, X-API-Key',
+  };
+
+  // Handle preflight
+  if (method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  if (method !== 'POST') {
+    return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
+      status: 405,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Validate table name (security check)
+  if (!isValidTableName(tableName)) {
+    return new Response(JSON.stringify({
+      error: 'Invalid table name. Only alphanumeric characters and underscores allowed.'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Check API key and scope
+  const auth = await authorize(context, `write:${tableName}`);
+  if (auth.error) {
+    return new Response(JSON.stringify({ error: auth.error }), {
+      status: auth.status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Unknown tables are not created implicitly
+  if (!(await tableAvailable(env, tableName))) {
+    return new Response(JSON.stringify({
+      error: `Table '${tableName}' does not exist`
+    }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return new Response(JSON.stringify({ error: 'Invalid JSON data' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return new Response(JSON.stringify({ error: 'Invalid JSON data' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  const operations = body.operations;
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return new Response(JSON.stringify({ error: 'operations must be a non-empty array' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+  if (operations.length > MAX_OPERATIONS) {
+    return new Response(JSON.stringify({ error: `At most ${MAX_OPERATIONS} operations per request` }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  const dryRun = body.dryRun === true;
+  console.log(`API POST request to /api/contacts/bulk with table: ${tableName}, ${operations.length} operations${dryRun ? ' (dry run)' : ''}`);
+
+  try {
+    const fieldMap = await loadFieldMap(DB_PENERBIT, tableName);
+    const now = nowTimestamp();
+    const planned = await planOperations(DB_PENERBIT, tableName, operations, { fieldMap, now });
+
+    const failed = planned.filter(item => item.error);
+    if (failed.length > 0) {
+      return new Response(JSON.stringify({
+        success: false,
+        table: tableName,
+        error: `${failed.length} of ${planned.length} operation(s) failed, nothing was written`,
+        results: planned.map(item => bulkResult(item, 'ok'))
+      }), {
+        status: 422,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    if (dryRun) {
+      return new Response(JSON.stringify({
+        success: true,
+        table: tableName,
+        dryRun: true,
+        message: `All ${planned.length} operation(s) passed, nothing was written`,
+        results: planned.map(item => bulkResult(item, 'ok'))
+      }), {
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    let results;
+    try {
+      results = await writePlanned(DB_PENERBIT, tableName, planned, auth.principal, now);
+    } catch (error) {
+      if (!(error instanceof WriteConflictError)) throw error;
+      return new Response(JSON.stringify({
+        success: false,
+        table: tableName,
+        error: `${error.message}, nothing was written`,
+        results: planned.map(item => bulkResult(item, 'ok'))
+      }), {
+        status: 409,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+    await dispatchWebhooks(context, tableName, changesFromResults(results));
+
+    console.log(`Bulk write on ${tableName} done: ${results.length} operations`);
+
+    return new Response(JSON.stringify({
+      success: true,
+      table: tableName,
+      message: `${results.length} operation(s) written to table '${tableName}'`,
+      results
+    }), {
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  } catch (error) {
+    console.error(`Bulk error on ${tableName}:`, error);
+    return new Response(JSON.stringify({
+      error: `Bulk write failed on table '${tableName}', nothing was written: ${error.message}`
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+}
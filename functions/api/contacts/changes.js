@@ -0,0 +1,110 @@
+// functions/api/contacts/changes.js - Change feed of a dynamic table for offline and mobile sync
+import { isValidTableName, tableAvailable } from '../../_lib/tables.js';
+import { loadFieldMap, mapOutputFields, wantsNamedFields } from '../../_lib/fields.js';
+import { parseLimit } from '../../_lib/listing.js';
+import { authorize } from '../../_lib/auth.js';
+import { readChanges } from '../../_lib/changes.js';
+
+// GET /api/contacts/changes?table=buku&limit=200            -> start: all live records, page by page
+// GET /api/contacts/changes?table=buku&since=<cursor>       -> what changed after the cursor
+//   { phase: "snapshot" | "changes", cursor: "...", hasMore: true,
+//     data: [{ op: "upsert", id_x: 12, seq: 881, action: "update", changed_at, changed_by, record: {...} },
+//            { op: "delete", id_x: 13, seq: 882, action: "delete", changed_at, changed_by, record: null }] }
+// Store the cursor after applying a page and pass it as ?since= next time; keep going while
+// hasMore is true. "upsert" carries the whole current record, "delete" is a tombstone for a
+// record that went to the trash or was removed. Add &format=named for field names.
+export async function onRequest(context) {
+  const { request, env } = context;
+  const { DB_PENERBIT } = env;
+  const method = request.method;
+  const url = new URL(request.url);
+
+  // Get table name from query parameter or header
+  const tableName = url.searchParams.get('table') || request.headers.get('X-Table-Name') || 'contacts';
+
+  // CORS headers
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Table-Name, X-Field-Format, Authorization, X-API-Key',
+  };
+
+  // Handle preflight
+  if (method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  if (method !== 'GET') {
+    return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
+      status: 405,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Validate table name (security check)
+  if (!isValidTableName(tableName)) {
+    return new Response(JSON.stringify({
+      error: 'Invalid table name. Only alphanumeric characters and underscores allowed.'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Check API key and scope
+  const auth = await authorize(context, `read:${tableName}`);
+  if (auth.error) {
+    return new Response(JSON.stringify({ error: auth.error }), {
+      status: auth.status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Unknown tables are not created implicitly
+  if (!(await tableAvailable(env, tableName))) {
+    return new Response(JSON.stringify({
+      error: `Table '${tableName}' does not exist`
+    }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  console.log(`API GET request to /api/contacts/changes with table: ${tableName}`);
+
+  let page;
+  try {
+    const limit = parseLimit(url.searchParams.get('limit'));
+    page = await readChanges(DB_PENERBIT, tableName, url.searchParams.get('since') || null, limit);
+
+    if (wantsNamedFields(request, url)) {
+      const fieldMap = await loadFieldMap(DB_PENERBIT, tableName);
+      for (const change of page.changes) {
+        change.record = mapOutputFields(change.record, fieldMap);
+      }
+    }
+  } catch (error) {
+    console.error(`Change feed error on ${tableName}:`, error);
+    return new Response(JSON.stringify({
+      error: `Failed to read changes of table '${tableName}': ${error.message}`
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  console.log(`Returning ${page.changes.length} ${page.phase} entries of ${tableName}`);
+
+  // A cached page would hold back newer changes
+  return new Response(JSON.stringify({
+    success: true,
+    table: tableName,
+    phase: page.phase,
+    count: page.changes.length,
+    cursor: page.cursor,
+    hasMore: page.hasMore,
+    data: page.changes
+  }), {
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...corsHeaders }
+  });
+}
@@ -0,0 +1,103 @@
+// functions/api/contacts/distinct.js - Distinct values of a column with usage counts, for autocomplete
+import { isValidTableName, tableAvailable } from '../../_lib/tables.js';
+import { parseFilterParams } from '../../_lib/listing.js';
+import { loadFieldMap } from '../../_lib/fields.js';
+import { authorize } from '../../_lib/auth.js';
+import { distinctValues } from '../../_lib/aggregate.js';
+
+// GET /api/contacts/distinct?table=buku&column=x_03             -> most used values first
+// GET /api/contacts/distinct?table=buku&column=penulis&q=pra&limit=10
+//   -> { column: "x_04", data: [{ "value": "Pramoedya Ananta Toer", "count": 12 }], truncated: false }
+// q matches the start of the value, ignoring case. limit defaults to 20 (max 100).
+// Takes the same filters as GET /api/contacts; records in the trash are not counted.
+export async function onRequest(context) {
+  const { request, env } = context;
+  const { DB_PENERBIT } = env;
+  const method = request.method;
+  const url = new URL(request.url);
+
+  // Get table name from query parameter or header
+  const tableName = url.searchParams.get('table') || request.headers.get('X-Table-Name') || 'contacts';
+
+  // CORS headers
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Table-Name, Authorization, X-API-Key',
+  };
+
+  // Handle preflight
+  if (method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  if (method !== 'GET') {
+    return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
+      status: 405,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Validate table name (security check)
+  if (!isValidTableName(tableName)) {
+    return new Response(JSON.stringify({
+      error: 'Invalid table name. Only alphanumeric characters and underscores allowed.'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Check API key and scope
+  const auth = await authorize(context, `read:${tableName}`);
+  if (auth.error) {
+    return new Response(JSON.stringify({ error: auth.error }), {
+      status: auth.status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Unknown tables are not created implicitly
+  if (!(await tableAvailable(env, tableName))) {
+    return new Response(JSON.stringify({
+      error: `Table '${tableName}' does not exist`
+    }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  console.log(`API GET request to /api/contacts/distinct with table: ${tableName}`);
+
+  try {
+    const params = url.searchParams;
+    const fieldMap = await loadFieldMap(DB_PENERBIT, tableName);
+
+    const result = await distinctValues(DB_PENERBIT, tableName, {
+      column: params.get('column'),
+      q: params.get('q'),
+      limit: params.get('limit'),
+      filter: parseFilterParams(params, fieldMap, ['column', 'q']),
+      fieldMap
+    });
+
+    return new Response(JSON.stringify({
+      success: true,
+      table: tableName,
+      column: result.column,
+      count: result.values.length,
+      truncated: result.truncated,
+      data: result.values
+    }), {
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  } catch (error) {
+    console.error(`Distinct values error on ${tableName}:`, error);
+    return new Response(JSON.stringify({
+      error: `Failed to get values from table '${tableName}': ${error.message}`
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+}
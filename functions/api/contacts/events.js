@@ -0,0 +1,92 @@
+// functions/api/contacts/events.js - Live record changes of a dynamic table as Server-Sent Events
+import { isValidTableName, tableAvailable } from '../../_lib/tables.js';
+import { authorize } from '../../_lib/auth.js';
+import { liveStartId, liveStream } from '../../_lib/live.js';
+
+// GET /api/contacts/events?table=buku   (Accept: text/event-stream)
+//   event: created | updated | deleted
+//   id:    feed position, sent back by EventSource as Last-Event-ID when it reconnects
+//   data:  { "id_x": 12, "action": "update", "changed_at": "...", "changed_by": "rina", "record": {...} }
+// "record" is the current x_NN row, null for deleted. Browsers can subscribe with
+// new EventSource('/api/contacts/events?table=buku') and their login cookie.
+export async function onRequest(context) {
+  const { request, env } = context;
+  const { DB_PENERBIT } = env;
+  const method = request.method;
+  const url = new URL(request.url);
+
+  // Get table name from query parameter or header
+  const tableName = url.searchParams.get('table') || request.headers.get('X-Table-Name') || 'contacts';
+
+  // CORS headers
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Table-Name, Authorization, X-API-Key, Last-Event-ID',
+  };
+
+  // Handle preflight
+  if (method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  if (method !== 'GET') {
+    return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
+      status: 405,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Validate table name (security check)
+  if (!isValidTableName(tableName)) {
+    return new Response(JSON.stringify({
+      error: 'Invalid table name. Only alphanumeric characters and underscores allowed.'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Check API key and scope
+  const auth = await authorize(context, `read:${tableName}`);
+  if (auth.error) {
+    return new Response(JSON.stringify({ error: auth.error }), {
+      status: auth.status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Unknown tables are not created implicitly
+  if (!(await tableAvailable(env, tableName))) {
+    return new Response(JSON.stringify({
+      error: `Table '${tableName}' does not exist`
+    }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  console.log(`API GET request to /api/contacts/events with table: ${tableName} by ${auth.principal.name}`);
+
+  try {
+    const startId = await liveStartId(DB_PENERBIT, request);
+    const stream = liveStream(context, tableName, startId);
+
+    return new Response(stream, {
+      headers: {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-store',
+        'X-Accel-Buffering': 'no',
+        ...corsHeaders
+      }
+    });
+  } catch (error) {
+    console.error(`Live events error on ${tableName}:`, error);
+    return new Response(JSON.stringify({
+      error: `Failed to open the event stream of table '${tableName}': ${error.message}`
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+}
@@ -0,0 +1,112 @@
+// functions/api/contacts/export.js - Download a dynamic table as CSV
+import { DATA_COLUMNS, TIMESTAMP_COLUMNS, isValidTableName, tableAvailable } from '../../_lib/tables.js';
+import { listAllRecords, parseFilterParams } from '../../_lib/listing.js';
+import { loadFieldMap, wantsNamedFields } from '../../_lib/fields.js';
+import { authorize } from '../../_lib/auth.js';
+import { CSV_DELIMITERS, toCsv } from '../../_lib/csv.js';
+
+// GET /api/contacts/export?table=buku                    -> buku-2025-01-31.csv
+// GET /api/contacts/export?table=buku&x_03=Gramedia&sort=x_01&format=named&delimiter=;
+// Takes the same filters and sort as GET /api/contacts. format=named uses field names as
+// headers; delimiter is ',' (default) or ';' for Excel with Indonesian regional settings.
+export async function onRequest(context) {
+  const { request, env } = context;
+  const { DB_PENERBIT } = env;
+  const method = request.method;
+  const url = new URL(request.url);
+
+  // Get table name from query parameter or header
+  const tableName = url.searchParams.get('table') || request.headers.get('X-Table-Name') || 'contacts';
+
+  // CORS headers
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Table-Name, X-Field-Format, Authorization, X-API-Key',
+    'Access-Control-Expose-Headers': 'Content-Disposition',
+  };
+
+  // Handle preflight
+  if (method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  if (method !== 'GET') {
+    return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
+      status: 405,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Validate table name (security check)
+  if (!isValidTableName(tableName)) {
+    return new Response(JSON.stringify({
+      error: 'Invalid table name. Only alphanumeric characters and underscores allowed.'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Check API key and scope
+  const auth = await authorize(context, `read:${tableName}`);
+  if (auth.error) {
+    return new Response(JSON.stringify({ error: auth.error }), {
+      status: auth.status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Unknown tables are not created implicitly
+  if (!(await tableAvailable(env, tableName))) {
+    return new Response(JSON.stringify({
+      error: `Table '${tableName}' does not exist`
+    }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  const delimiter = url.searchParams.get('delimiter') || ',';
+  if (!CSV_DELIMITERS.includes(delimiter)) {
+    return new Response(JSON.stringify({ error: `delimiter must be one of: ${CSV_DELIMITERS.join(' ')}` }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  console.log(`API GET request to /api/contacts/export with table: ${tableName}`);
+
+  try {
+    const params = url.searchParams;
+    const fieldMap = await loadFieldMap(DB_PENERBIT, tableName);
+    const filter = parseFilterParams(params, fieldMap, ['format', 'delimiter']);
+
+    const rows = await listAllRecords(DB_PENERBIT, tableName, { sort: params.get('sort'), filter, fieldMap });
+
+    const namedFields = wantsNamedFields(request, url);
+    const columns = ['id_x', ...DATA_COLUMNS, ...TIMESTAMP_COLUMNS].map(column => ({
+      key: column,
+      header: namedFields ? (fieldMap.byColumn[column] || column) : column
+    }));
+
+    const fileName = `${tableName}-${new Date().toISOString().slice(0, 10)}.csv`;
+    console.log(`Exporting ${rows.length} rows from ${tableName} as ${fileName}`);
+
+    return new Response(toCsv(rows, columns, delimiter), {
+      headers: {
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${fileName}"`,
+        ...corsHeaders
+      }
+    });
+  } catch (error) {
+    console.error(`Export error on ${tableName}:`, error);
+    return new Response(JSON.stringify({
+      error: `Export failed on table '${tableName}': ${error.message}`
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+}
@@ -0,0 +1,292 @@
+// functions/api/contacts/import.js - Load CSV rows into a dynamic table
+import { DATA_COLUMNS, isValidTableName, tableAvailable, nowTimestamp } from '../../_lib/tables.js';
+import { loadFieldMap, resolveColumn } from '../../_lib/fields.js';
+import { authorize } from '../../_lib/auth.js';
+import { CSV_DELIMITERS, detectDelimiter, parseCsv, unescapeCell } from '../../_lib/csv.js';
+import { planOperations, writePlanned, WriteConflictError } from '../../_lib/bulk.js';
+import { dispatchWebhooks, changesFromResults } from '../../_lib/webhooks.js';
+
+// One D1 batch per import; split bigger files
+const MAX_IMPORT_ROWS = 1000;
+
+// Rows shown in the dry-run preview
+const PREVIEW_ROWS = 10;
+
+// POST /api/contacts/import?table=buku
+// {
+//   "csv": "Judul;Penulis\r\n...",
+//   "mapping": { "Judul": "x_01", "Penulis": "penulis", "Catatan": null },
+//   "delimiter": ";",
+//   "dryRun": true
+// }
+// Headers without a mapping entry are matched to x_NN columns and field names (ignoring case);
+// map a header to null to skip it. A column mapped to id_x updates that record instead of
+// creating one; rows that would not change anything are skipped. Empty cells are stored as NULL.
+// dryRun: true only reports what would happen and the row-level errors.
+// All rows are written in one batch: if any row fails, nothing is imported.
+export async function onRequest(context) {
+  const { request, env } = context;
+  const { DB_PENERBIT } = env;
+  const method = request.method;
+  const url = new URL(request.url);
+
+  // Get table name from query parameter or header
+  const tableName = url.searchParams.get('table') || request.headers.get('X-Table-Name') || 'contacts';
+
+  // CORS headers
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Table-Name, Authorization, X-API-Key',
+  };
+
+  // Handle preflight
+  if (method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  if (method !== 'POST') {
+    return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
+      status: 405,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Validate table name (security check)
+  if (!isValidTableName(tableName)) {
+    return new Response(JSON.stringify({
+      error: 'Invalid table name. Only alphanumeric characters and underscores allowed.'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Check API key and scope
+  const auth = await authorize(context, `write:${tableName}`);
+  if (auth.error) {
+    return new Response(JSON.stringify({ error: auth.error }), {
+      status: auth.status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Unknown tables are not created implicitly
+  if (!(await tableAvailable(env, tableName))) {
+    return new Response(JSON.stringify({
+      error: `Table '${tableName}' does not exist`
+    }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return new Response(JSON.stringify({ error: 'Invalid JSON data' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return new Response(JSON.stringify({ error: 'Invalid JSON data' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  if (typeof body.csv !== 'string' || body.csv.trim() === '') {
+    return new Response(JSON.stringify({ error: 'csv must be the CSV file contents as a string' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  const delimiter = body.delimiter || detectDelimiter(body.csv);
+  if (!CSV_DELIMITERS.includes(delimiter)) {
+    return new Response(JSON.stringify({ error: `delimiter must be one of: ${CSV_DELIMITERS.join(' ')}` }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  const dryRun = body.dryRun === true;
+  console.log(`API POST request to /api/contacts/import with table: ${tableName}${dryRun ? ' (dry run)' : ''}`);
+
+  try {
+    const [headerRow, ...dataRows] = parseCsv(body.csv, delimiter);
+    if (!headerRow || dataRows.length === 0) {
+      throw new Error('CSV needs a header row and at least one data row');
+    }
+    if (dataRows.length > MAX_IMPORT_ROWS) {
+      throw new Error(`CSV has ${dataRows.length} rows, the maximum per import is ${MAX_IMPORT_ROWS}. Split the file.`);
+    }
+
+    const headers = headerRow.map(header => header.trim());
+    const fieldMap = await loadFieldMap(DB_PENERBIT, tableName);
+    const mapping = resolveMapping(headers, body.mapping || {}, fieldMap);
+
+    // Turn rows into bulk operations; all-empty rows are skipped
+    const operations = [];
+    const rowNumbers = [];
+    const rowErrors = [];
+
+    dataRows.forEach((cells, i) => {
+      const rowNumber = i + 2;
+      if (cells.length > headers.length) {
+        rowErrors.push({ row: rowNumber, status: 'error', error: `Row has ${cells.length} cells, the header has ${headers.length}` });
+        return;
+      }
+
+      const data = {};
+      let id = null;
+      headers.forEach((header, column) => {
+        const target = mapping[header];
+        const value = unescapeCell(cells[column] || '');
+        // Empty cells are stored as NULL, the same as columns that were never filled in
+        if (target === 'id_x') id = value.trim();
+        else if (target) data[target] = value === '' ? null : value;
+      });
+
+      if (!id && Object.values(data).every(value => value === null)) return;
+
+      operations.push(id ? { op: 'update', id, data } : { op: 'create', data });
+      rowNumbers.push(rowNumber);
+    });
+
+    const now = nowTimestamp();
+    const planned = await planOperations(DB_PENERBIT, tableName, operations, { fieldMap, now, skipUnchanged: true });
+
+    for (const item of planned) {
+      if (!item.error) continue;
+      rowErrors.push({ row: rowNumbers[item.index], op: item.op, id_x: item.id, status: 'error', error: item.error, errors: item.errors });
+    }
+    rowErrors.sort((a, b) => a.row - b.row);
+
+    const summary = {
+      rows: operations.length,
+      create: planned.filter(item => item.op === 'create').length,
+      update: planned.filter(item => item.op === 'update' && !item.unchanged).length,
+      unchanged: planned.filter(item => item.unchanged).length
+    };
+
+    if (rowErrors.length > 0) {
+      return new Response(JSON.stringify({
+        success: false,
+        table: tableName,
+        dryRun,
+        error: `${rowErrors.length} row(s) have errors, nothing was imported`,
+        delimiter,
+        mapping,
+        summary,
+        errors: rowErrors
+      }), {
+        status: 422,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    if (dryRun) {
+      return new Response(JSON.stringify({
+        success: true,
+        table: tableName,
+        dryRun: true,
+        message: `${operations.length} row(s) are ready to import, nothing was written yet`,
+        delimiter,
+        mapping,
+        summary,
+        preview: planned.filter(item => !item.unchanged).slice(0, PREVIEW_ROWS).map(item => ({
+          row: rowNumbers[item.index],
+          op: item.op,
+          id_x: item.id,
+          data: item.columnData
+        })),
+        errors: []
+      }), {
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    let results;
+    try {
+      results = await writePlanned(DB_PENERBIT, tableName, planned, auth.principal, now);
+    } catch (error) {
+      if (!(error instanceof WriteConflictError)) throw error;
+      return new Response(JSON.stringify({
+        success: false,
+        table: tableName,
+        dryRun,
+        error: `${error.message}, nothing was imported`,
+        delimiter,
+        mapping,
+        summary,
+        errors: error.items.map(item => ({ row: rowNumbers[item.index], op: item.op, id_x: item.id, status: 'conflict', error: item.error }))
+      }), {
+        status: 409,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+    await dispatchWebhooks(context, tableName, changesFromResults(results));
+    console.log(`Imported ${results.length} rows into ${tableName}`);
+
+    return new Response(JSON.stringify({
+      success: true,
+      table: tableName,
+      dryRun: false,
+      message: `${results.length} row(s) imported into table '${tableName}'`,
+      delimiter,
+      mapping,
+      summary,
+      results: results.map(result => ({ row: rowNumbers[result.index], ...result }))
+    }), {
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  } catch (error) {
+    console.error(`Import error on ${tableName}:`, error);
+    return new Response(JSON.stringify({
+      error: `Import failed on table '${tableName}', nothing was written: ${error.message}`
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+}
+
+// Decide the target of every CSV header: an x_NN column, 'id_x' or null (skipped)
+function resolveMapping(headers, requested, fieldMap) {
+  const mapping = {};
+  const used = new Map();
+
+  // Case-insensitive lookup of x_NN, id_x and field names
+  const byLowerName = new Map([...DATA_COLUMNS, 'id_x'].map(column => [column, column]));
+  for (const [name, column] of Object.entries(fieldMap.byName)) {
+    byLowerName.set(name.toLowerCase(), column);
+  }
+
+  for (const header of headers) {
+    if (Object.prototype.hasOwnProperty.call(mapping, header)) {
+      throw new Error(`Header '${header}' appears more than once`);
+    }
+
+    let target;
+    if (Object.prototype.hasOwnProperty.call(requested, header)) {
+      target = requested[header] ? resolveColumn(fieldMap, requested[header]) : null;
+      if (target && target !== 'id_x' && !DATA_COLUMNS.includes(target)) {
+        throw new Error(`Mapping for '${header}' must be id_x, x_01..x_20, a field name or null`);
+      }
+    } else {
+      target = byLowerName.get(header.toLowerCase()) || null;
+    }
+
+    if (target && used.has(target)) {
+      throw new Error(`Headers '${used.get(target)}' and '${header}' both map to ${target}`);
+    }
+    if (target) used.set(target, header);
+    mapping[header] = target;
+  }
+
+  return mapping;
+}
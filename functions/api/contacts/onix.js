@@ -0,0 +1,328 @@
+// functions/api/contacts/onix.js - ONIX 3.0 feed and import for a books table
+import { isValidTableName, tableAvailable, nowTimestamp } from '../../_lib/tables.js';
+import { listAllRecords, parseFilterParams } from '../../_lib/listing.js';
+import { loadFieldMap } from '../../_lib/fields.js';
+import { authorize } from '../../_lib/auth.js';
+import { loadOnixConfig, buildOnixMessage, parseOnixMessage } from '../../_lib/onix.js';
+import { findRecordsByIsbn } from '../../_lib/isbn.js';
+import { planOperations, writePlanned, WriteConflictError } from '../../_lib/bulk.js';
+import { dispatchWebhooks, changesFromResults } from '../../_lib/webhooks.js';
+
+// Same limit as the CSV import
+const MAX_IMPORT_PRODUCTS = 1000;
+
+// ONIX notification type for "delete this product"
+const NOTIFICATION_DELETE = '05';
+
+// GET  /api/contacts/onix?table=buku                  -> buku-onix-2025-01-31.xml
+//      Takes the same filters and sort as GET /api/contacts. Rows without a valid ISBN are
+//      left out; their count is in the X-Onix-Skipped header.
+// POST /api/contacts/onix?table=buku&dryRun=true      with the ONIX file as the body
+//      (application/xml), or JSON { "xml": "...", "dryRun": true }
+//      Products are matched to records on ISBN: known ISBNs update the record, new ones create
+//      one, notification type 05 moves the record to the trash. Only the fields a product
+//      carries are written. All products are written in one batch: if any fails, nothing is.
+// The column mapping comes from /api/onix.
+export async function onRequest(context) {
+  const { request, env } = context;
+  const { DB_PENERBIT } = env;
+  const method = request.method;
+  const url = new URL(request.url);
+
+  // Get table name from query parameter or header
+  const tableName = url.searchParams.get('table') || request.headers.get('X-Table-Name') || 'contacts';
+
+  // CORS headers
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Table-Name, Authorization, X-API-Key',
+    'Access-Control-Expose-Headers': 'Content-Disposition, X-Onix-Skipped',
+  };
+
+  // Handle preflight
+  if (method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  if (method !== 'GET' && method !== 'POST') {
+    return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
+      status: 405,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Validate table name (security check)
+  if (!isValidTableName(tableName)) {
+    return new Response(JSON.stringify({
+      error: 'Invalid table name. Only alphanumeric characters and underscores allowed.'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Check API key and scope
+  const auth = await authorize(context, method === 'GET' ? `read:${tableName}` : `write:${tableName}`);
+  if (auth.error) {
+    return new Response(JSON.stringify({ error: auth.error }), {
+      status: auth.status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Unknown tables are not created implicitly
+  if (!(await tableAvailable(env, tableName))) {
+    return new Response(JSON.stringify({
+      error: `Table '${tableName}' does not exist`
+    }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  const config = await loadOnixConfig(DB_PENERBIT, tableName);
+  if (!config) {
+    return new Response(JSON.stringify({
+      error: `No ONIX mapping for table '${tableName}'. Set it with PUT /api/onix?table=${tableName}`
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  console.log(`API ${method} request to /api/contacts/onix with table: ${tableName}`);
+
+  if (method === 'GET') {
+    return exportOnix(request, url, DB_PENERBIT, tableName, config, corsHeaders);
+  }
+  return importOnix(request, url, DB_PENERBIT, tableName, config, auth.principal, context, corsHeaders);
+}
+
+async function exportOnix(request, url, DB_PENERBIT, tableName, config, corsHeaders) {
+  try {
+    const params = url.searchParams;
+    const fieldMap = await loadFieldMap(DB_PENERBIT, tableName);
+    const filter = parseFilterParams(params, fieldMap);
+
+    const rows = await listAllRecords(DB_PENERBIT, tableName, { sort: params.get('sort'), filter, fieldMap });
+
+    const { xml, exported, skipped } = buildOnixMessage(rows, config, {
+      recordPrefix: `${url.hostname}.${tableName}`,
+      sentAt: new Date().toISOString()
+    });
+
+    const fileName = `${tableName}-onix-${new Date().toISOString().slice(0, 10)}.xml`;
+    console.log(`Exporting ${exported} products from ${tableName} as ${fileName}, ${skipped} rows without ISBN skipped`);
+
+    return new Response(xml, {
+      headers: {
+        'Content-Type': 'application/xml; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${fileName}"`,
+        'X-Onix-Skipped': String(skipped),
+        ...corsHeaders
+      }
+    });
+  } catch (error) {
+    console.error(`ONIX export error on ${tableName}:`, error);
+    return new Response(JSON.stringify({
+      error: `ONIX export failed on table '${tableName}': ${error.message}`
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+}
+
+async function importOnix(request, url, DB_PENERBIT, tableName, config, principal, context, corsHeaders) {
+  let xml;
+  let dryRun = url.searchParams.get('dryRun') === 'true';
+
+  if ((request.headers.get('Content-Type') || '').includes('application/json')) {
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return new Response(JSON.stringify({ error: 'Invalid JSON data' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return new Response(JSON.stringify({ error: 'Invalid JSON data' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    xml = body.xml;
+    dryRun = dryRun || body.dryRun === true;
+  } else {
+    xml = await request.text();
+  }
+
+  if (typeof xml !== 'string' || xml.trim() === '') {
+    return new Response(JSON.stringify({ error: 'Send the ONIX file as the request body or as { "xml": "..." }' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  try {
+    const products = parseOnixMessage(xml, config);
+    if (products.length === 0) {
+      throw new Error('The ONIX message has no <Product> elements');
+    }
+    if (products.length > MAX_IMPORT_PRODUCTS) {
+      throw new Error(`The ONIX message has ${products.length} products, the maximum per import is ${MAX_IMPORT_PRODUCTS}. Split the file.`);
+    }
+
+    const { columns } = config;
+    const matches = await findRecordsByIsbn(DB_PENERBIT, tableName, columns.isbn, products.map(product => product.isbn));
+
+    // Turn products into bulk operations keyed by their position in the file
+    const operations = [];
+    const productNumbers = [];
+    const productErrors = [];
+    const seenIsbns = new Set();
+    let skipped = 0;
+
+    products.forEach((product, i) => {
+      const number = i + 1;
+      const reference = { product: number, recordReference: product.recordReference, isbn: product.isbn };
+
+      if (!product.isbn) {
+        productErrors.push({ ...reference, status: 'error', error: 'Product has no ISBN (ProductIDType 15, 03 or 02)' });
+        return;
+      }
+      if (seenIsbns.has(product.isbn)) {
+        productErrors.push({ ...reference, status: 'error', error: `ISBN ${product.isbn} appears more than once in this file` });
+        return;
+      }
+      seenIsbns.add(product.isbn);
+
+      const ids = matches.get(product.isbn) || [];
+      if (ids.length > 1) {
+        productErrors.push({ ...reference, status: 'error', error: `ISBN ${product.isbn} matches ${ids.length} records (${ids.join(', ')})` });
+        return;
+      }
+
+      if (product.notificationType === NOTIFICATION_DELETE) {
+        // Deleting a product we do not have is nothing to do
+        if (ids.length === 0) {
+          skipped++;
+          return;
+        }
+        operations.push({ op: 'delete', id: ids[0] });
+        productNumbers.push(reference);
+        return;
+      }
+
+      const data = {};
+      for (const [field, value] of Object.entries(product.values)) {
+        if (columns[field]) data[columns[field]] = value;
+      }
+
+      if (ids.length === 0) {
+        data[columns.isbn] = product.isbn;
+        operations.push({ op: 'create', data });
+      } else {
+        operations.push({ op: 'update', id: ids[0], data });
+      }
+      productNumbers.push(reference);
+    });
+
+    const fieldMap = await loadFieldMap(DB_PENERBIT, tableName);
+    const now = nowTimestamp();
+    const planned = await planOperations(DB_PENERBIT, tableName, operations, { fieldMap, now, skipUnchanged: true });
+
+    for (const item of planned) {
+      if (!item.error) continue;
+      productErrors.push({ ...productNumbers[item.index], op: item.op, id_x: item.id, status: 'error', error: item.error, errors: item.errors });
+    }
+    productErrors.sort((a, b) => a.product - b.product);
+
+    const summary = {
+      products: products.length,
+      create: planned.filter(item => item.op === 'create').length,
+      update: planned.filter(item => item.op === 'update' && !item.unchanged).length,
+      delete: planned.filter(item => item.op === 'delete').length,
+      unchanged: planned.filter(item => item.unchanged).length,
+      skipped
+    };
+
+    if (productErrors.length > 0) {
+      return new Response(JSON.stringify({
+        success: false,
+        table: tableName,
+        dryRun,
+        error: `${productErrors.length} product(s) have errors, nothing was imported`,
+        summary,
+        errors: productErrors
+      }), {
+        status: 422,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    if (dryRun) {
+      return new Response(JSON.stringify({
+        success: true,
+        table: tableName,
+        dryRun: true,
+        message: `${operations.length} product(s) are ready to import, nothing was written yet`,
+        summary,
+        results: planned.map(item => ({
+          ...productNumbers[item.index],
+          op: item.op,
+          id_x: item.id,
+          status: item.unchanged ? 'unchanged' : 'ok',
+          data: item.columnData
+        })),
+        errors: []
+      }), {
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    let results;
+    try {
+      results = await writePlanned(DB_PENERBIT, tableName, planned, principal, now);
+    } catch (error) {
+      if (!(error instanceof WriteConflictError)) throw error;
+      return new Response(JSON.stringify({
+        success: false,
+        table: tableName,
+        dryRun,
+        error: `${error.message}, nothing was imported`,
+        summary,
+        errors: error.items.map(item => ({ ...productNumbers[item.index], op: item.op, id_x: item.id, status: 'conflict', error: item.error }))
+      }), {
+        status: 409,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+    await dispatchWebhooks(context, tableName, changesFromResults(results));
+    console.log(`Imported ${results.length} ONIX products into ${tableName}`);
+
+    return new Response(JSON.stringify({
+      success: true,
+      table: tableName,
+      dryRun: false,
+      message: `${results.length} product(s) imported into table '${tableName}'`,
+      summary,
+      results: results.map(result => ({ ...productNumbers[result.index], ...result }))
+    }), {
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  } catch (error) {
+    console.error(`ONIX import error on ${tableName}:`, error);
+    return new Response(JSON.stringify({
+      error: `ONIX import failed on table '${tableName}', nothing was written: ${error.message}`
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+}
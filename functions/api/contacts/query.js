@@ -0,0 +1,109 @@
+// functions/api/contacts/query.js - Filtered list for filters too long for a query string
+import { isValidTableName, tableAvailable } from '../../_lib/tables.js';
+import { listRecords } from '../../_lib/listing.js';
+import { loadFieldMap, mapOutputFields, wantsNamedFields } from '../../_lib/fields.js';
+import { authorize } from '../../_lib/auth.js';
+
+// POST body: { "filter": {...}, "sort": "x_03,-id_x", "limit": 50, "cursor": "...", "offset": 0 }
+// Filter format: { "and": [...] } / { "or": [...] } / { "field": "x_01", "op": "contains", "value": "abc" }
+export async function onRequest(context) {
+  const { request, env } = context;
+  const { DB_PENERBIT } = env;
+  const method = request.method;
+  const url = new URL(request.url);
+
+  // Get table name from query parameter or header
+  const tableName = url.searchParams.get('table') || request.headers.get('X-Table-Name') || 'contacts';
+
+  // CORS headers
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Table-Name, X-Field-Format, Authorization, X-API-Key',
+  };
+
+  // Handle preflight
+  if (method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  if (method !== 'POST') {
+    return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
+      status: 405,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Validate table name (security check)
+  if (!isValidTableName(tableName)) {
+    return new Response(JSON.stringify({
+      error: 'Invalid table name. Only alphanumeric characters and underscores allowed.'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Check API key and scope
+  const auth = await authorize(context, `read:${tableName}`);
+  if (auth.error) {
+    return new Response(JSON.stringify({ error: auth.error }), {
+      status: auth.status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Unknown tables are not created implicitly
+  if (!(await tableAvailable(env, tableName))) {
+    return new Response(JSON.stringify({
+      error: `Table '${tableName}' does not exist`
+    }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  console.log(`API POST request to /api/contacts/query with table: ${tableName}`);
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return new Response(JSON.stringify({ error: 'Invalid JSON data' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  try {
+    const fieldMap = await loadFieldMap(DB_PENERBIT, tableName);
+    const page = await listRecords(DB_PENERBIT, tableName, {
+      limit: body.limit,
+      offset: body.offset,
+      cursor: body.cursor,
+      sort: body.sort,
+      filter: body.filter,
+      fieldMap
+    });
+
+    if (wantsNamedFields(request, url)) {
+      page.data = page.data.map(row => mapOutputFields(row, fieldMap));
+    }
+
+    return new Response(JSON.stringify({
+      success: true,
+      table: tableName,
+      ...page
+    }), {
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  } catch (error) {
+    console.error(`Query error on ${tableName}:`, error);
+    return new Response(JSON.stringify({
+      error: `Query failed on table '${tableName}': ${error.message}`
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+}
@@ -0,0 +1,102 @@
+// functions/api/contacts/trash.js - List the soft-deleted records of a dynamic table
+import { isValidTableName, tableAvailable } from '../../_lib/tables.js';
+import { listRecords, parseFilterParams } from '../../_lib/listing.js';
+import { loadFieldMap, mapOutputFields, wantsNamedFields } from '../../_lib/fields.js';
+import { authorize } from '../../_lib/auth.js';
+
+// GET    /api/contacts/trash?table=buku               -> deleted records, newest deletion first
+// POST   /api/contacts/trash/12/restore?table=buku    -> put a record back
+// DELETE /api/contacts/trash/12?table=buku            -> remove a record for good
+// Takes the same limit, cursor, sort and filter parameters as GET /api/contacts.
+export async function onRequest(context) {
+  const { request, env } = context;
+  const { DB_PENERBIT } = env;
+  const method = request.method;
+  const url = new URL(request.url);
+
+  // Get table name from query parameter or header
+  const tableName = url.searchParams.get('table') || request.headers.get('X-Table-Name') || 'contacts';
+
+  // CORS headers
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Table-Name, X-Field-Format, Authorization, X-API-Key',
+  };
+
+  // Handle preflight
+  if (method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  if (method !== 'GET') {
+    return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
+      status: 405,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Validate table name (security check)
+  if (!isValidTableName(tableName)) {
+    return new Response(JSON.stringify({
+      error: 'Invalid table name. Only alphanumeric characters and underscores allowed.'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Check API key and scope
+  const auth = await authorize(context, `read:${tableName}`);
+  if (auth.error) {
+    return new Response(JSON.stringify({ error: auth.error }), {
+      status: auth.status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Unknown tables are not created implicitly
+  if (!(await tableAvailable(env, tableName))) {
+    return new Response(JSON.stringify({
+      error: `Table '${tableName}' does not exist`
+    }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  console.log(`API GET request to /api/contacts/trash with table: ${tableName}`);
+
+  try {
+    const fieldMap = await loadFieldMap(DB_PENERBIT, tableName);
+    const page = await listRecords(DB_PENERBIT, tableName, {
+      limit: url.searchParams.get('limit'),
+      offset: url.searchParams.get('offset'),
+      cursor: url.searchParams.get('cursor'),
+      sort: url.searchParams.get('sort') || '-deleted_at',
+      filter: parseFilterParams(url.searchParams, fieldMap, ['format']),
+      fieldMap,
+      trash: true
+    });
+
+    if (wantsNamedFields(request, url)) {
+      page.data = page.data.map(row => mapOutputFields(row, fieldMap));
+    }
+
+    return new Response(JSON.stringify({
+      success: true,
+      table: tableName,
+      ...page
+    }), {
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  } catch (error) {
+    console.error(`Trash list error on ${tableName}:`, error);
+    return new Response(JSON.stringify({
+      error: `Failed to list trash of table '${tableName}': ${error.message}`
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+}
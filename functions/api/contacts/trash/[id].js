@@ -0,0 +1,143 @@
+// functions/api/contacts/trash/[id].js - Permanently remove one record from the trash
+import { isValidTableName, tableAvailable } from '../../../_lib/tables.js';
+import { authorize } from '../../../_lib/auth.js';
+import { etagForVersion, ifMatchSatisfied } from '../../../_lib/etag.js';
+import { ensureHistoryTable, historyStatement, dataSnapshot } from '../../../_lib/history.js';
+import { ensureAttachmentTables, attachmentKeysStatement, attachmentRowsDeleteStatement, removeAttachmentObjects } from '../../../_lib/attachments.js';
+
+// DELETE /api/contacts/trash/12?table=buku -> hard delete; only records already in the trash.
+// The record's attached files are removed as well.
+export async function onRequest(context) {
+  const { request, env, params } = context;
+  const { DB_PENERBIT } = env;
+  const method = request.method;
+  const id = params.id;
+  const url = new URL(request.url);
+
+  // Get table name from query parameter or header
+  const tableName = url.searchParams.get('table') || request.headers.get('X-Table-Name') || 'contacts';
+
+  // CORS headers
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Table-Name, Authorization, X-API-Key, If-Match',
+  };
+
+  // Handle preflight
+  if (method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  if (method !== 'DELETE') {
+    return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
+      status: 405,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Validate table name (security check)
+  if (!isValidTableName(tableName)) {
+    return new Response(JSON.stringify({
+      error: 'Invalid table name. Only alphanumeric characters and underscores allowed.'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Check API key and scope
+  const auth = await authorize(context, `write:${tableName}`);
+  if (auth.error) {
+    return new Response(JSON.stringify({ error: auth.error }), {
+      status: auth.status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Unknown tables are not created implicitly
+  if (!(await tableAvailable(env, tableName))) {
+    return new Response(JSON.stringify({
+      error: `Table '${tableName}' does not exist`
+    }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  console.log(`API DELETE request to /api/contacts/trash/${id} with table: ${tableName}`);
+
+  try {
+    const existsResult = await DB_PENERBIT.prepare(`
+      SELECT * FROM ${tableName} WHERE id_x = ? AND deleted_at IS NOT NULL
+    `).bind(id).first();
+
+    if (!existsResult) {
+      return new Response(JSON.stringify({
+        error: `Record not found in the trash of table '${tableName}'`
+      }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    if (!ifMatchSatisfied(request, existsResult.row_version)) {
+      return new Response(JSON.stringify({
+        error: `Record in table '${tableName}' was changed by someone else`,
+        currentVersion: existsResult.row_version
+      }), {
+        status: 412,
+        headers: { 'Content-Type': 'application/json', 'ETag': etagForVersion(existsResult.row_version), ...corsHeaders }
+      });
+    }
+
+    await ensureHistoryTable(DB_PENERBIT);
+    await ensureAttachmentTables(DB_PENERBIT);
+    const [keysResult, deleteResult] = await DB_PENERBIT.batch([
+      attachmentKeysStatement(DB_PENERBIT, tableName, existsResult.id_x),
+      DB_PENERBIT.prepare(`
+        DELETE FROM ${tableName} WHERE id_x = ? AND deleted_at IS NOT NULL
+      `).bind(id),
+      historyStatement(DB_PENERBIT, {
+        tableName,
+        recordId: existsResult.id_x,
+        action: 'purge',
+        before: dataSnapshot(existsResult),
+        principal: auth.principal
+      }),
+      attachmentRowsDeleteStatement(DB_PENERBIT, tableName, existsResult.id_x)
+    ]);
+
+    // Restored or purged by someone else in the meantime
+    if (!deleteResult.meta.changes) {
+      return new Response(JSON.stringify({
+        error: `Record not found in the trash of table '${tableName}'`
+      }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    // Files go once the record is gone; ones that cannot be removed are logged
+    await removeAttachmentObjects(env, tableName, keysResult.results.map(row => row.object_key));
+    console.log(`Record ${id} purged from ${tableName}`);
+
+    return new Response(JSON.stringify({
+      success: true,
+      table: tableName,
+      message: `Record permanently deleted from table '${tableName}'`,
+      changes: deleteResult.meta.changes,
+      deletedRecord: existsResult
+    }), {
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  } catch (error) {
+    console.error(`Purge error on ${tableName}:`, error);
+    return new Response(JSON.stringify({
+      error: `Purge failed in table '${tableName}': ${error.message}`
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+}
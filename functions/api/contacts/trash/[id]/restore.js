@@ -0,0 +1,160 @@
+// functions/api/contacts/trash/[id]/restore.js - Put a soft-deleted record back
+import { isValidTableName, tableAvailable, nowTimestamp } from '../../../../_lib/tables.js';
+import { authorize } from '../../../../_lib/auth.js';
+import { etagForVersion, ifMatchSatisfied } from '../../../../_lib/etag.js';
+import { ensureHistoryTable, historyStatement } from '../../../../_lib/history.js';
+import { loadFieldMap } from '../../../../_lib/fields.js';
+import { loadRules, isbnDuplicateErrors } from '../../../../_lib/validation.js';
+import { dispatchWebhooks } from '../../../../_lib/webhooks.js';
+
+// POST /api/contacts/trash/12/restore?table=buku -> clears deleted_at, the record is listed again
+export async function onRequest(context) {
+  const { request, env, params } = context;
+  const { DB_PENERBIT } = env;
+  const method = request.method;
+  const id = params.id;
+  const url = new URL(request.url);
+
+  // Get table name from query parameter or header
+  const tableName = url.searchParams.get('table') || request.headers.get('X-Table-Name') || 'contacts';
+
+  // CORS headers
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Table-Name, Authorization, X-API-Key, If-Match',
+    'Access-Control-Expose-Headers': 'ETag',
+  };
+
+  // Handle preflight
+  if (method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  if (method !== 'POST') {
+    return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
+      status: 405,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Validate table name (security check)
+  if (!isValidTableName(tableName)) {
+    return new Response(JSON.stringify({
+      error: 'Invalid table name. Only alphanumeric characters and underscores allowed.'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Check API key and scope
+  const auth = await authorize(context, `write:${tableName}`);
+  if (auth.error) {
+    return new Response(JSON.stringify({ error: auth.error }), {
+      status: auth.status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Unknown tables are not created implicitly
+  if (!(await tableAvailable(env, tableName))) {
+    return new Response(JSON.stringify({
+      error: `Table '${tableName}' does not exist`
+    }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  console.log(`API POST request to /api/contacts/trash/${id}/restore with table: ${tableName}`);
+
+  try {
+    const existsResult = await DB_PENERBIT.prepare(`
+      SELECT * FROM ${tableName} WHERE id_x = ? AND deleted_at IS NOT NULL
+    `).bind(id).first();
+
+    if (!existsResult) {
+      return new Response(JSON.stringify({
+        error: `Record not found in the trash of table '${tableName}'`
+      }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    if (!ifMatchSatisfied(request, existsResult.row_version)) {
+      return new Response(JSON.stringify({
+        error: `Record in table '${tableName}' was changed by someone else`,
+        currentVersion: existsResult.row_version
+      }), {
+        status: 412,
+        headers: { 'Content-Type': 'application/json', 'ETag': etagForVersion(existsResult.row_version), ...corsHeaders }
+      });
+    }
+
+    // Another record may have taken its ISBN while it was in the trash
+    const fieldMap = await loadFieldMap(DB_PENERBIT, tableName);
+    const rules = await loadRules(DB_PENERBIT, tableName);
+    const duplicates = await isbnDuplicateErrors(DB_PENERBIT, tableName, existsResult, { rules, fieldMap, recordId: existsResult.id_x });
+    if (duplicates.length > 0) {
+      return new Response(JSON.stringify({
+        error: `Record cannot be restored in table '${tableName}': ${duplicates.map(duplicate => duplicate.message).join('; ')}`,
+        errors: duplicates
+      }), {
+        status: 409,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    const now = nowTimestamp();
+    await ensureHistoryTable(DB_PENERBIT);
+    const [restoreResult] = await DB_PENERBIT.batch([
+      DB_PENERBIT.prepare(`
+        UPDATE ${tableName} SET deleted_at = NULL, updated_at = ?, row_version = row_version + 1
+        WHERE id_x = ? AND row_version = ? AND deleted_at IS NOT NULL
+      `).bind(now, id, existsResult.row_version),
+      historyStatement(DB_PENERBIT, {
+        tableName,
+        recordId: existsResult.id_x,
+        action: 'restore',
+        principal: auth.principal,
+        changedAt: now
+      })
+    ]);
+
+    if (!restoreResult.meta.changes) {
+      return new Response(JSON.stringify({
+        error: `Record in table '${tableName}' was changed by someone else`
+      }), {
+        status: 412,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    const newVersion = existsResult.row_version + 1;
+    console.log(`Record ${id} restored in ${tableName}`);
+
+    // Subscribers see the record come back as a new one
+    await dispatchWebhooks(context, tableName, [{ event: 'created', id: existsResult.id_x }]);
+
+    return new Response(JSON.stringify({
+      success: true,
+      table: tableName,
+      message: `Record restored in table '${tableName}'`,
+      id_x: existsResult.id_x,
+      updated_at: now,
+      row_version: newVersion
+    }), {
+      headers: { 'Content-Type': 'application/json', 'ETag': etagForVersion(newVersion), ...corsHeaders }
+    });
+  } catch (error) {
+    console.error(`Restore error on ${tableName}:`, error);
+    return new Response(JSON.stringify({
+      error: `Restore failed in table '${tableName}': ${error.message}`
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+}
@@ -0,0 +1,119 @@
+// functions/api/fields.js - Read and replace the field name map of a dynamic table
+import { isValidTableName } from '../_lib/tables.js';
+import { loadFieldMap, saveFieldMap } from '../_lib/fields.js';
+import { authorize } from '../_lib/auth.js';
+
+// GET /api/fields?table=buku  -> { fields: [{ column: 'x_01', name: 'judul' }, ...] }
+// PUT /api/fields?table=buku  with the same { fields: [...] } body replaces the whole map
+export async function onRequest(context) {
+  const { request, env } = context;
+  const { DB_PENERBIT } = env;
+  const method = request.method;
+  const url = new URL(request.url);
+
+  // Get table name from query parameter or header
+  const tableName = url.searchParams.get('table') || request.headers.get('X-Table-Name') || 'contacts';
+
+  // CORS headers
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Table-Name, Authorization, X-API-Key',
+  };
+
+  // Handle preflight
+  if (method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  // Validate table name (security check)
+  if (!isValidTableName(tableName)) {
+    return new Response(JSON.stringify({
+      error: 'Invalid table name. Only alphanumeric characters and underscores allowed.'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Check API key and scope
+  const auth = await authorize(context, method === 'GET' ? `read:${tableName}` : 'admin');
+  if (auth.error) {
+    return new Response(JSON.stringify({ error: auth.error }), {
+      status: auth.status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  console.log(`API ${method} request to /api/fields with table: ${tableName}`);
+
+  try {
+    switch (method) {
+      case 'GET':
+        return await getFields(DB_PENERBIT, tableName, corsHeaders);
+      case 'PUT':
+        return await putFields(request, DB_PENERBIT, tableName, corsHeaders);
+      default:
+        return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
+          status: 405,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+    }
+  } catch (error) {
+    console.error('Fields API Error:', error);
+    return new Response(JSON.stringify({
+      error: error.message
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+}
+
+async function getFields(DB_PENERBIT, tableName, corsHeaders) {
+  const fieldMap = await loadFieldMap(DB_PENERBIT, tableName);
+  const fields = Object.entries(fieldMap.byColumn).map(([column, name]) => ({ column, name }));
+
+  return new Response(JSON.stringify({
+    success: true,
+    table: tableName,
+    fields
+  }), {
+    headers: { 'Content-Type': 'application/json', ...corsHeaders }
+  });
+}
+
+async function putFields(request, DB_PENERBIT, tableName, corsHeaders) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return new Response(JSON.stringify({ error: 'Invalid JSON data' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  try {
+    await saveFieldMap(DB_PENERBIT, tableName, body.fields);
+  } catch (error) {
+    console.error('Save field map error:', error);
+    return new Response(JSON.stringify({
+      error: `Failed to save field map for table '${tableName}': ${error.message}`
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  console.log(`Field map for '${tableName}' saved with ${body.fields.length} fields`);
+
+  return new Response(JSON.stringify({
+    success: true,
+    table: tableName,
+    message: `Field map saved for table '${tableName}'`,
+    fields: body.fields.map(field => ({ column: field.column, name: field.name }))
+  }), {
+    headers: { 'Content-Type': 'application/json', ...corsHeaders }
+  });
+}
@@ -0,0 +1,229 @@
+// functions/api/forms/[form].js - Public contact and manuscript enquiry forms for the website
+import { nowTimestamp, tableAvailable } from '../../_lib/tables.js';
+import { validateRecord, ValidationError } from '../../_lib/validation.js';
+import { ensureHistoryTable, historyStatement, dataSnapshot } from '../../_lib/history.js';
+import { buildInsert } from '../../_lib/records.js';
+import { loadWorkflow, checkWorkflowWrite } from '../../_lib/workflow.js';
+import { dispatchWebhooks } from '../../_lib/webhooks.js';
+import {
+  PUBLIC_FORMS, HONEYPOT_FIELD, MIN_FILL_SECONDS, formRules, describeForm, formColumnData, formFieldMap,
+  formSecret, issueFormToken, checkFormToken, hashIp, contentHash, checkSubmission, submissionStatement,
+  linkSubmissionStatement, isReplayError, REPLAY_REJECTION, pruneSubmissionsStatement
+} from '../../_lib/forms.js';
+
+// GET  /api/forms/contact      -> { form, fields, token, honeypot, minSeconds }
+// POST /api/forms/contact      { "nama": "...", "email": "...", "pesan": "...", "token": "...", "website": "" }
+//      JSON or a regular form post (application/x-www-form-urlencoded or multipart/form-data).
+// No login needed; this is the only way anonymous visitors can write. Submissions land in the
+// form's table (pesan_kontak, naskah_masuk), which staff read through /api/contacts as usual.
+// An admin creates that table first; until then the form answers 503.
+// Spam checks: the token from GET must be at least a few seconds old and is used once, the
+// honeypot field must stay empty (bots get a normal-looking reply, nothing is stored), a few
+// submissions per IP per 10 minutes (429 with Retry-After), and the same email and text are
+// only accepted once a day (409).
+export async function onRequest(context) {
+  const { request, env, params } = context;
+  const { DB_PENERBIT } = env;
+  const method = request.method;
+  const formName = params.form;
+
+  // CORS headers; the forms are embedded in the public website
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Expose-Headers': 'Retry-After',
+  };
+
+  // Handle preflight
+  if (method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  if (method !== 'GET' && method !== 'POST') {
+    return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
+      status: 405,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  const form = Object.prototype.hasOwnProperty.call(PUBLIC_FORMS, formName) ? PUBLIC_FORMS[formName] : null;
+  if (!form) {
+    return new Response(JSON.stringify({
+      error: `Unknown form '${formName}'. Available: ${Object.keys(PUBLIC_FORMS).join(', ')}`
+    }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  const secret = formSecret(env);
+  if (!secret) {
+    console.error('Public forms need FORM_SECRET to sign tokens: wrangler pages secret put FORM_SECRET');
+    return new Response(JSON.stringify({ error: 'Forms are not configured on this server' }), {
+      status: 503,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Anonymous requests never create tables
+  if (!(await tableAvailable(env, form.table))) {
+    console.error(`Form ${formName} needs table '${form.table}'; create it with POST /api/tables`);
+    return new Response(JSON.stringify({ error: 'This form is not available at the moment' }), {
+      status: 503,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  console.log(`API ${method} request to /api/forms/${formName}`);
+
+  if (method === 'GET') {
+    // Tokens must not be shared between visitors through a cache
+    return new Response(JSON.stringify({
+      success: true,
+      form: formName,
+      fields: describeForm(form),
+      token: await issueFormToken(secret, formName),
+      honeypot: HONEYPOT_FIELD,
+      minSeconds: MIN_FILL_SECONDS
+    }), {
+      headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...corsHeaders }
+    });
+  }
+
+  try {
+    return await submitForm(request, DB_PENERBIT, formName, form, secret, context, corsHeaders);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return new Response(JSON.stringify({
+        error: error.message,
+        errors: error.errors
+      }), {
+        status: 422,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    console.error(`Form submission error on ${formName}:`, error);
+    return new Response(JSON.stringify({
+      error: 'Your message could not be saved. Please try again later.'
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+}
+
+// JSON object or form post as a plain object of strings
+async function readBody(request) {
+  const contentType = request.headers.get('Content-Type') || '';
+
+  if (contentType.includes('application/x-www-form-urlencoded') || contentType.includes('multipart/form-data')) {
+    const body = {};
+    for (const [name, value] of (await request.formData()).entries()) {
+      if (typeof value === 'string') body[name] = value;
+    }
+    return body;
+  }
+
+  const body = await request.json();
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new Error('not an object');
+  }
+  return body;
+}
+
+function rejection(result, corsHeaders) {
+  const headers = { 'Content-Type': 'application/json', ...corsHeaders };
+  if (result.retryAfter) headers['Retry-After'] = String(result.retryAfter);
+
+  return new Response(JSON.stringify({ error: result.error }), { status: result.status, headers });
+}
+
+async function submitForm(request, DB_PENERBIT, formName, form, secret, context, corsHeaders) {
+  let body;
+  try {
+    body = await readBody(request);
+  } catch (error) {
+    return new Response(JSON.stringify({ error: 'Send the form as JSON or as a regular form post' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  const now = Date.now();
+  const token = await checkFormToken(secret, formName, body.token, now);
+  if (token.error) return rejection(token, corsHeaders);
+
+  const ipHash = await hashIp(secret, request.headers.get('CF-Connecting-IP'));
+  const thanks = { success: true, form: formName, message: 'Thank you, your message has been received' };
+
+  // Bots get the same answer as people so they do not learn to skip the field
+  const honeypot = body[HONEYPOT_FIELD];
+  if (typeof honeypot === 'string' ? honeypot.trim() !== '' : honeypot !== undefined && honeypot !== null) {
+    const limited = await checkSubmission(DB_PENERBIT, { nonce: token.nonce, ipHash, now });
+    if (limited) return rejection(limited, corsHeaders);
+
+    console.log(`Honeypot filled on form ${formName}, submission dropped`);
+    try {
+      await DB_PENERBIT.batch([
+        submissionStatement(DB_PENERBIT, { formName, nonce: token.nonce, ipHash, outcome: 'honeypot', now }),
+        pruneSubmissionsStatement(DB_PENERBIT, now)
+      ]);
+    } catch (error) {
+      if (!isReplayError(error)) throw error;
+      return rejection(REPLAY_REJECTION, corsHeaders);
+    }
+    return new Response(JSON.stringify(thanks), {
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  const { columnData, errors } = formColumnData(form, body);
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+
+  const fieldMap = await formFieldMap(DB_PENERBIT, form);
+  // The form's fixed schema applies, whatever rules staff set on the table
+  await validateRecord(DB_PENERBIT, form.table, columnData, { fieldMap, rules: formRules(form) });
+  checkWorkflowWrite(await loadWorkflow(DB_PENERBIT, form.table), columnData, { fieldMap });
+
+  const hash = await contentHash(form, formName, columnData);
+  const rejected = await checkSubmission(DB_PENERBIT, { nonce: token.nonce, ipHash, hash, now });
+  if (rejected) return rejection(rejected, corsHeaders);
+
+  // One batch, the token first: a concurrent replay of the same token fails on it and
+  // rolls back its record and history row too
+  const createdAt = nowTimestamp();
+  const { query, values } = buildInsert(form.table, columnData, createdAt);
+  await ensureHistoryTable(DB_PENERBIT);
+
+  let results;
+  try {
+    results = await DB_PENERBIT.batch([
+      submissionStatement(DB_PENERBIT, { formName, nonce: token.nonce, ipHash, hash, outcome: 'stored', now }),
+      DB_PENERBIT.prepare(query).bind(...values),
+      linkSubmissionStatement(DB_PENERBIT, token.nonce),
+      historyStatement(DB_PENERBIT, {
+        tableName: form.table,
+        action: 'create',
+        after: dataSnapshot(columnData),
+        principal: { type: 'public', name: `form:${formName}` },
+        changedAt: createdAt
+      }),
+      pruneSubmissionsStatement(DB_PENERBIT, now)
+    ]);
+  } catch (error) {
+    if (!isReplayError(error)) throw error;
+    return rejection(REPLAY_REJECTION, corsHeaders);
+  }
+  const recordId = results[1].meta.last_row_id;
+
+  await dispatchWebhooks(context, form.table, [{ event: 'created', id: recordId }]);
+
+  console.log(`Form ${formName} stored as record ${recordId} in ${form.table}`);
+  return new Response(JSON.stringify(thanks), {
+    headers: { 'Content-Type': 'application/json', ...corsHeaders }
+  });
+}
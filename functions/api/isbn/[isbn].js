@@ -0,0 +1,123 @@
+// functions/api/isbn/[isbn].js - Find book records by ISBN across tables
+import { tableExists } from '../../_lib/tables.js';
+import { loadFieldMap, mapOutputFields, wantsNamedFields } from '../../_lib/fields.js';
+import { authenticate, hasScope } from '../../_lib/auth.js';
+import { loadIsbnColumns } from '../../_lib/validation.js';
+import { normalizeIsbn, parseIsbn, isbnProblem, normalizedIsbnSql } from '../../_lib/isbn.js';
+
+// GET /api/isbn/978-602-291-000-1          -> every table with an 'isbn' column the caller can read
+// GET /api/isbn/6022910001?table=buku      -> only that table
+// { isbn: { input, isbn13, isbn10 }, data: [{ table, column, field, record }] }
+// ISBN-10 and ISBN-13 find the same book; hyphens and spaces are ignored. 404 when no live
+// record has it. Columns get the 'isbn' type through /api/rules.
+export async function onRequest(context) {
+  const { request, env, params } = context;
+  const { DB_PENERBIT } = env;
+  const method = request.method;
+  const url = new URL(request.url);
+  const input = params.isbn;
+
+  // CORS headers
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Field-Format, Authorization, X-API-Key',
+  };
+
+  // Handle preflight
+  if (method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  if (method !== 'GET') {
+    return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
+      status: 405,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Results are filtered by the caller's read scopes
+  const auth = await authenticate(context);
+  if (auth.error) {
+    return new Response(JSON.stringify({ error: auth.error }), {
+      status: auth.status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  const parsed = parseIsbn(input);
+  if (!parsed) {
+    return new Response(JSON.stringify({
+      error: `'${input}' ${isbnProblem(input)}`
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  console.log(`API GET request to /api/isbn/${input} by ${auth.principal.name}`);
+
+  try {
+    const onlyTable = url.searchParams.get('table');
+    const columns = (await loadIsbnColumns(DB_PENERBIT))
+      .filter(({ tableName }) => !onlyTable || tableName === onlyTable)
+      .filter(({ tableName }) => hasScope(auth.principal.scopes, `read:${tableName}`));
+
+    const namedFields = wantsNamedFields(request, url);
+    const forms = [parsed.isbn13, parsed.isbn10].filter(Boolean);
+    const data = [];
+    const searchedTables = [];
+
+    for (const { tableName, column } of columns) {
+      if (!(await tableExists(DB_PENERBIT, tableName))) continue;
+      if (!searchedTables.includes(tableName)) searchedTables.push(tableName);
+
+      const { results } = await DB_PENERBIT.prepare(`
+        SELECT * FROM ${tableName}
+        WHERE ${normalizedIsbnSql(column)} IN (${forms.map(() => '?').join(', ')}) AND deleted_at IS NULL
+        ORDER BY id_x
+      `).bind(...forms).all();
+      if (results.length === 0) continue;
+
+      const fieldMap = await loadFieldMap(DB_PENERBIT, tableName);
+      for (const row of results) {
+        data.push({
+          table: tableName,
+          column,
+          field: fieldMap.byColumn[column] || column,
+          record: namedFields ? mapOutputFields(row, fieldMap) : row
+        });
+      }
+    }
+
+    const isbn = { input, normalized: normalizeIsbn(input), ...parsed };
+
+    if (data.length === 0) {
+      return new Response(JSON.stringify({
+        error: `No record with ISBN ${parsed.isbn13}`,
+        isbn,
+        searchedTables
+      }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    return new Response(JSON.stringify({
+      success: true,
+      isbn,
+      searchedTables,
+      data
+    }), {
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  } catch (error) {
+    console.error('ISBN lookup error:', error);
+    return new Response(JSON.stringify({
+      error: `ISBN lookup failed: ${error.message}`
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+}
@@ -0,0 +1,135 @@
+// functions/api/keys.js - Issue and list API keys (admin scope required)
+import { API_KEYS_TABLE, authorize, ensureApiKeysTable, generateApiKey, isValidScope } from '../_lib/auth.js';
+import { sha256Hex } from '../_lib/crypto.js';
+
+// GET  /api/keys  -> list keys (never the key itself)
+// POST /api/keys  { "name": "toko-online", "scopes": ["read:buku", "write:pesanan"] }
+//                 -> returns the new key once; only its hash is stored
+export async function onRequest(context) {
+  const { request, env } = context;
+  const { DB_PENERBIT } = env;
+  const method = request.method;
+
+  // CORS headers
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key',
+  };
+
+  // Handle preflight
+  if (method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  // Check API key and scope
+  const auth = await authorize(context, 'admin');
+  if (auth.error) {
+    return new Response(JSON.stringify({ error: auth.error }), {
+      status: auth.status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  console.log(`API ${method} request to /api/keys by ${auth.principal.name}`);
+
+  try {
+    await ensureApiKeysTable(DB_PENERBIT);
+
+    switch (method) {
+      case 'GET':
+        return await listKeys(DB_PENERBIT, corsHeaders);
+      case 'POST':
+        return await issueKey(request, DB_PENERBIT, corsHeaders);
+      default:
+        return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
+          status: 405,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+    }
+  } catch (error) {
+    console.error('Keys API Error:', error);
+    return new Response(JSON.stringify({
+      error: error.message
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+}
+
+async function listKeys(DB_PENERBIT, corsHeaders) {
+  const { results } = await DB_PENERBIT.prepare(`
+    SELECT id, name, key_prefix, scopes, created_at, last_used_at, revoked_at
+    FROM ${API_KEYS_TABLE} ORDER BY id DESC
+  `).all();
+
+  const keys = results.map(row => ({ ...row, scopes: JSON.parse(row.scopes) }));
+
+  return new Response(JSON.stringify({
+    success: true,
+    count: keys.length,
+    data: keys
+  }), {
+    headers: { 'Content-Type': 'application/json', ...corsHeaders }
+  });
+}
+
+async function issueKey(request, DB_PENERBIT, corsHeaders) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return new Response(JSON.stringify({ error: 'Invalid JSON data' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return new Response(JSON.stringify({ error: 'Invalid JSON data' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  const scopes = body.scopes;
+
+  if (!name || name.length > 100) {
+    return new Response(JSON.stringify({ error: 'name is required (max 100 characters)' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(isValidScope)) {
+    return new Response(JSON.stringify({
+      error: 'scopes must be a non-empty array of admin, read:<table>, write:<table>, read:* or write:*'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  const apiKey = generateApiKey();
+  const keyHash = await sha256Hex(apiKey);
+
+  const result = await DB_PENERBIT.prepare(`
+    INSERT INTO ${API_KEYS_TABLE} (name, key_prefix, key_hash, scopes) VALUES (?, ?, ?, ?)
+  `).bind(name, apiKey.slice(0, 10), keyHash, JSON.stringify([...new Set(scopes)])).run();
+
+  console.log(`API key '${name}' issued with scopes ${scopes.join(', ')}`);
+
+  return new Response(JSON.stringify({
+    success: true,
+    id: result.meta.last_row_id,
+    name,
+    scopes: [...new Set(scopes)],
+    key: apiKey,
+    message: 'Store this key now; it cannot be shown again'
+  }), {
+    status: 201,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders }
+  });
+}
@@ -0,0 +1,71 @@
+// functions/api/keys/[id].js - Revoke an API key (admin scope required)
+import { API_KEYS_TABLE, authorize, ensureApiKeysTable } from '../../_lib/auth.js';
+
+export async function onRequest(context) {
+  const { request, env, params } = context;
+  const { DB_PENERBIT } = env;
+  const method = request.method;
+  const id = params.id;
+
+  // CORS headers
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key',
+  };
+
+  // Handle preflight
+  if (method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  // Check API key and scope
+  const auth = await authorize(context, 'admin');
+  if (auth.error) {
+    return new Response(JSON.stringify({ error: auth.error }), {
+      status: auth.status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  if (method !== 'DELETE') {
+    return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
+      status: 405,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  try {
+    await ensureApiKeysTable(DB_PENERBIT);
+
+    const result = await DB_PENERBIT.prepare(`
+      UPDATE ${API_KEYS_TABLE} SET revoked_at = strftime('%Y-%m-%dT%H:%M:%SZ', 'now')
+      WHERE id = ? AND revoked_at IS NULL
+    `).bind(id).run();
+
+    if (!result.meta.changes) {
+      return new Response(JSON.stringify({ error: 'API key not found or already revoked' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    console.log(`API key ${id} revoked by ${auth.principal.name}`);
+
+    return new Response(JSON.stringify({
+      success: true,
+      id: Number(id),
+      message: 'API key revoked'
+    }), {
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  } catch (error) {
+    console.error('Revoke key error:', error);
+    return new Response(JSON.stringify({
+      error: error.message
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+}
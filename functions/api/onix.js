@@ -0,0 +1,130 @@
+// functions/api/onix.js - Read and replace the ONIX field mapping of a books table
+import { isValidTableName } from '../_lib/tables.js';
+import { loadFieldMap } from '../_lib/fields.js';
+import { ONIX_FIELDS, loadOnixConfig, saveOnixConfig } from '../_lib/onix.js';
+import { authorize } from '../_lib/auth.js';
+
+// GET /api/onix?table=buku  -> { config: { columns: { isbn: 'x_01', title: 'x_02', ... }, ... } }
+// PUT /api/onix?table=buku  with
+// {
+//   "columns": { "isbn": "isbn", "title": "judul", "contributors": "penulis", "price": "x_05",
+//                "publicationDate": "x_06", "subject": "x_07", "subtitle": null },
+//   "publisherName": "Penerbit Lidan", "senderName": "Penerbit Lidan",
+//   "currency": "IDR", "language": "ind", "productForm": "BC"
+// }
+// Columns may be x_NN or field names. Contributors and subjects are kept in one column each,
+// separated by ';'. Used by GET and POST /api/contacts/onix.
+export async function onRequest(context) {
+  const { request, env } = context;
+  const { DB_PENERBIT } = env;
+  const method = request.method;
+  const url = new URL(request.url);
+
+  // Get table name from query parameter or header
+  const tableName = url.searchParams.get('table') || request.headers.get('X-Table-Name') || 'contacts';
+
+  // CORS headers
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Table-Name, Authorization, X-API-Key',
+  };
+
+  // Handle preflight
+  if (method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  // Validate table name (security check)
+  if (!isValidTableName(tableName)) {
+    return new Response(JSON.stringify({
+      error: 'Invalid table name. Only alphanumeric characters and underscores allowed.'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Check API key and scope
+  const auth = await authorize(context, method === 'GET' ? `read:${tableName}` : 'admin');
+  if (auth.error) {
+    return new Response(JSON.stringify({ error: auth.error }), {
+      status: auth.status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  console.log(`API ${method} request to /api/onix with table: ${tableName}`);
+
+  try {
+    switch (method) {
+      case 'GET':
+        return await getOnixConfig(DB_PENERBIT, tableName, corsHeaders);
+      case 'PUT':
+        return await putOnixConfig(request, DB_PENERBIT, tableName, corsHeaders);
+      default:
+        return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
+          status: 405,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+    }
+  } catch (error) {
+    console.error('ONIX API Error:', error);
+    return new Response(JSON.stringify({
+      error: error.message
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+}
+
+async function getOnixConfig(DB_PENERBIT, tableName, corsHeaders) {
+  const config = await loadOnixConfig(DB_PENERBIT, tableName);
+
+  return new Response(JSON.stringify({
+    success: true,
+    table: tableName,
+    fields: ONIX_FIELDS,
+    config
+  }), {
+    headers: { 'Content-Type': 'application/json', ...corsHeaders }
+  });
+}
+
+async function putOnixConfig(request, DB_PENERBIT, tableName, corsHeaders) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return new Response(JSON.stringify({ error: 'Invalid JSON data' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  let config;
+  try {
+    const fieldMap = await loadFieldMap(DB_PENERBIT, tableName);
+    config = await saveOnixConfig(DB_PENERBIT, tableName, body, fieldMap);
+  } catch (error) {
+    console.error('Save ONIX config error:', error);
+    return new Response(JSON.stringify({
+      error: `Failed to save ONIX mapping for table '${tableName}': ${error.message}`
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  console.log(`ONIX mapping for '${tableName}' saved: ${Object.keys(config.columns).join(', ')}`);
+
+  return new Response(JSON.stringify({
+    success: true,
+    table: tableName,
+    message: `ONIX mapping saved for table '${tableName}'`,
+    config
+  }), {
+    headers: { 'Content-Type': 'application/json', ...corsHeaders }
+  });
+}
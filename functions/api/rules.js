@@ -0,0 +1,123 @@
+// functions/api/rules.js - Read and replace the validation rules of a dynamic table
+import { isValidTableName } from '../_lib/tables.js';
+import { loadFieldMap } from '../_lib/fields.js';
+import { loadRules, saveRules } from '../_lib/validation.js';
+import { authorize } from '../_lib/auth.js';
+
+// GET /api/rules?table=buku  -> { rules: { x_01: { required: true, type: 'string', maxLength: 200 }, ... } }
+// PUT /api/rules?table=buku  with { rules: {...} } replaces all rules; keys may be x_NN or field names
+// Rule keys: required, type (string/integer/decimal/date/email/url/enum), minLength, maxLength,
+// min, max, pattern, values
+export async function onRequest(context) {
+  const { request, env } = context;
+  const { DB_PENERBIT } = env;
+  const method = request.method;
+  const url = new URL(request.url);
+
+  // Get table name from query parameter or header
+  const tableName = url.searchParams.get('table') || request.headers.get('X-Table-Name') || 'contacts';
+
+  // CORS headers
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Table-Name, Authorization, X-API-Key',
+  };
+
+  // Handle preflight
+  if (method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  // Validate table name (security check)
+  if (!isValidTableName(tableName)) {
+    return new Response(JSON.stringify({
+      error: 'Invalid table name. Only alphanumeric characters and underscores allowed.'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Check API key and scope
+  const auth = await authorize(context, method === 'GET' ? `read:${tableName}` : 'admin');
+  if (auth.error) {
+    return new Response(JSON.stringify({ error: auth.error }), {
+      status: auth.status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  console.log(`API ${method} request to /api/rules with table: ${tableName}`);
+
+  try {
+    switch (method) {
+      case 'GET':
+        return await getRules(DB_PENERBIT, tableName, corsHeaders);
+      case 'PUT':
+        return await putRules(request, DB_PENERBIT, tableName, corsHeaders);
+      default:
+        return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
+          status: 405,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+    }
+  } catch (error) {
+    console.error('Rules API Error:', error);
+    return new Response(JSON.stringify({
+      error: error.message
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+}
+
+async function getRules(DB_PENERBIT, tableName, corsHeaders) {
+  const rules = await loadRules(DB_PENERBIT, tableName);
+
+  return new Response(JSON.stringify({
+    success: true,
+    table: tableName,
+    rules
+  }), {
+    headers: { 'Content-Type': 'application/json', ...corsHeaders }
+  });
+}
+
+async function putRules(request, DB_PENERBIT, tableName, corsHeaders) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return new Response(JSON.stringify({ error: 'Invalid JSON data' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  let rules;
+  try {
+    const fieldMap = await loadFieldMap(DB_PENERBIT, tableName);
+    rules = await saveRules(DB_PENERBIT, tableName, body.rules, fieldMap);
+  } catch (error) {
+    console.error('Save rules error:', error);
+    return new Response(JSON.stringify({
+      error: `Failed to save rules for table '${tableName}': ${error.message}`
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  console.log(`Rules for '${tableName}' saved for ${Object.keys(rules).length} columns`);
+
+  return new Response(JSON.stringify({
+    success: true,
+    table: tableName,
+    message: `Validation rules saved for table '${tableName}'`,
+    rules
+  }), {
+    headers: { 'Content-Type': 'application/json', ...corsHeaders }
+  });
+}
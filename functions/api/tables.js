@@ -0,0 +1,138 @@
+// functions/api/tables.js - List and provision dynamic tables
+import { isValidTableName, tableExists, createTableIfNotExists, listTableNames, upgradeTable } from '../_lib/tables.js';
+import { authenticate, authorize, hasScope } from '../_lib/auth.js';
+
+// GET  /api/tables                     -> tables the caller can read, with row and trash counts
+// POST /api/tables  { "name": "buku" } -> creates the x_01..x_20 table (admin)
+// Describe, rename and drop:  /api/tables/[name]
+// Truncate:                   /api/tables/[name]/truncate
+export async function onRequest(context) {
+  const { request, env } = context;
+  const { DB_PENERBIT } = env;
+  const method = request.method;
+
+  // CORS headers
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key',
+  };
+
+  // Handle preflight
+  if (method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  // Listing is filtered by the caller's read scopes, creating needs admin
+  const auth = method === 'GET' ? await authenticate(context) : await authorize(context, 'admin');
+  if (auth.error) {
+    return new Response(JSON.stringify({ error: auth.error }), {
+      status: auth.status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  console.log(`API ${method} request to /api/tables by ${auth.principal.name}`);
+
+  try {
+    switch (method) {
+      case 'GET':
+        return await listTables(DB_PENERBIT, auth.principal, corsHeaders);
+      case 'POST':
+        return await createTable(request, DB_PENERBIT, corsHeaders);
+      default:
+        return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
+          status: 405,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+    }
+  } catch (error) {
+    console.error('Tables API Error:', error);
+    return new Response(JSON.stringify({
+      error: error.message
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+}
+
+async function listTables(DB_PENERBIT, principal, corsHeaders) {
+  const tableNames = (await listTableNames(DB_PENERBIT))
+    .filter(name => hasScope(principal.scopes, `read:${name}`));
+
+  // Older tables need the deleted_at column before it can be counted
+  for (const name of tableNames) {
+    await upgradeTable(DB_PENERBIT, name);
+  }
+
+  // One COUNT(*) per table, sent as a single batch
+  const counts = tableNames.length > 0
+    ? await DB_PENERBIT.batch(tableNames.map(name => DB_PENERBIT.prepare(`
+        SELECT COUNT(*) AS total, COUNT(deleted_at) AS trashed FROM ${name}
+      `)))
+    : [];
+
+  const tables = tableNames.map((name, i) => ({
+    name,
+    rowCount: counts[i].results[0].total - counts[i].results[0].trashed,
+    trashCount: counts[i].results[0].trashed
+  }));
+
+  return new Response(JSON.stringify({
+    success: true,
+    count: tables.length,
+    data: tables
+  }), {
+    headers: { 'Content-Type': 'application/json', ...corsHeaders }
+  });
+}
+
+async function createTable(request, DB_PENERBIT, corsHeaders) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return new Response(JSON.stringify({ error: 'Invalid JSON data' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return new Response(JSON.stringify({ error: 'Invalid JSON data' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  const tableName = body.name;
+
+  // Validate table name (security check)
+  if (typeof tableName !== 'string' || !isValidTableName(tableName)) {
+    return new Response(JSON.stringify({
+      error: 'Invalid table name. Only alphanumeric characters and underscores allowed.'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  if (await tableExists(DB_PENERBIT, tableName)) {
+    return new Response(JSON.stringify({ error: `Table '${tableName}' already exists` }), {
+      status: 409,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  await createTableIfNotExists(DB_PENERBIT, tableName);
+
+  return new Response(JSON.stringify({
+    success: true,
+    table: tableName,
+    message: `Table '${tableName}' created`
+  }), {
+    status: 201,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders }
+  });
+}
@@ -0,0 +1,243 @@
+// functions/api/tables/[name].js - Describe, rename and drop one dynamic table
+import { isValidTableName, tableExists, upgradeTable } from '../../_lib/tables.js';
+import { authorize } from '../../_lib/auth.js';
+import { FIELDS_TABLE, ensureFieldsTable, loadFieldMap } from '../../_lib/fields.js';
+import { RULES_TABLE, ensureRulesTable, loadRules } from '../../_lib/validation.js';
+import { HISTORY_TABLE, ensureHistoryTable } from '../../_lib/history.js';
+import { ONIX_TABLE, ensureOnixTable } from '../../_lib/onix.js';
+import { WORKFLOWS_TABLE, ensureWorkflowsTable } from '../../_lib/workflow.js';
+import { WEBHOOKS_TABLE, DELIVERIES_TABLE, ensureWebhookTables } from '../../_lib/webhooks.js';
+import { ATTACHMENTS_TABLE, ATTACHMENT_SETTINGS_TABLE, ensureAttachmentTables, attachmentKeysStatement, attachmentRowsDeleteStatement, removeAttachmentObjects } from '../../_lib/attachments.js';
+import { consumeConfirmToken, issueConfirmToken, readConfirmToken } from '../../_lib/confirm.js';
+
+// GET    /api/tables/buku                       -> columns, field names, rules, row and trash counts
+// PATCH  /api/tables/buku  { "name": "katalog" } -> rename (admin)
+// DELETE /api/tables/buku                       -> 428 with a confirmToken (admin)
+// DELETE /api/tables/buku?confirm=<token>       -> drop the table and its field map, rules, history and files
+export async function onRequest(context) {
+  const { request, env, params } = context;
+  const { DB_PENERBIT } = env;
+  const method = request.method;
+  const url = new URL(request.url);
+  const tableName = params.name;
+
+  // CORS headers
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, PATCH, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key, X-Confirm-Token',
+  };
+
+  // Handle preflight
+  if (method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  // Validate table name (security check)
+  if (!isValidTableName(tableName)) {
+    return new Response(JSON.stringify({
+      error: 'Invalid table name. Only alphanumeric characters and underscores allowed.'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Check API key and scope
+  const auth = await authorize(context, method === 'GET' ? `read:${tableName}` : 'admin');
+  if (auth.error) {
+    return new Response(JSON.stringify({ error: auth.error }), {
+      status: auth.status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  console.log(`API ${method} request to /api/tables/${tableName} by ${auth.principal.name}`);
+
+  try {
+    if (!(await tableExists(DB_PENERBIT, tableName))) {
+      return new Response(JSON.stringify({ error: `Table '${tableName}' does not exist` }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    if (method === 'GET') {
+      return await describeTable(DB_PENERBIT, tableName, corsHeaders);
+    } else if (method === 'PATCH') {
+      return await renameTable(request, DB_PENERBIT, tableName, corsHeaders);
+    } else if (method === 'DELETE') {
+      return await dropTable(request, url, env, tableName, corsHeaders);
+    } else {
+      return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
+        status: 405,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+  } catch (error) {
+    console.error('Table API Error:', error);
+    return new Response(JSON.stringify({
+      error: error.message
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+}
+
+async function describeTable(DB_PENERBIT, tableName, corsHeaders) {
+  await upgradeTable(DB_PENERBIT, tableName);
+  const { results } = await DB_PENERBIT.prepare(`PRAGMA table_info(${tableName})`).all();
+  const countRow = await DB_PENERBIT.prepare(`
+    SELECT COUNT(*) AS total, COUNT(deleted_at) AS trashed FROM ${tableName}
+  `).first();
+  const fieldMap = await loadFieldMap(DB_PENERBIT, tableName);
+  const rules = await loadRules(DB_PENERBIT, tableName);
+
+  const columns = results.map(column => ({
+    name: column.name,
+    type: column.type,
+    primaryKey: column.pk > 0,
+    field: fieldMap.byColumn[column.name] || null,
+    rules: rules[column.name] || null
+  }));
+
+  return new Response(JSON.stringify({
+    success: true,
+    table: tableName,
+    rowCount: countRow.total - countRow.trashed,
+    trashCount: countRow.trashed,
+    columns
+  }), {
+    headers: { 'Content-Type': 'application/json', ...corsHeaders }
+  });
+}
+
+async function renameTable(request, DB_PENERBIT, tableName, corsHeaders) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return new Response(JSON.stringify({ error: 'Invalid JSON data' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return new Response(JSON.stringify({ error: 'Invalid JSON data' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  const newName = body.name;
+
+  if (typeof newName !== 'string' || !isValidTableName(newName)) {
+    return new Response(JSON.stringify({
+      error: 'Invalid new table name. Only alphanumeric characters and underscores allowed.'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  if (await tableExists(DB_PENERBIT, newName)) {
+    return new Response(JSON.stringify({ error: `Table '${newName}' already exists` }), {
+      status: 409,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  await ensureFieldsTable(DB_PENERBIT);
+  await ensureRulesTable(DB_PENERBIT);
+  await ensureHistoryTable(DB_PENERBIT);
+  await ensureOnixTable(DB_PENERBIT);
+  await ensureWorkflowsTable(DB_PENERBIT);
+  await ensureWebhookTables(DB_PENERBIT);
+  await ensureAttachmentTables(DB_PENERBIT);
+
+  // Move the table and its metadata together
+  await DB_PENERBIT.batch([
+    DB_PENERBIT.prepare(`ALTER TABLE ${tableName} RENAME TO ${newName}`),
+    DB_PENERBIT.prepare(`UPDATE ${FIELDS_TABLE} SET table_name = ? WHERE table_name = ?`).bind(newName, tableName),
+    DB_PENERBIT.prepare(`UPDATE ${RULES_TABLE} SET table_name = ? WHERE table_name = ?`).bind(newName, tableName),
+    DB_PENERBIT.prepare(`UPDATE ${HISTORY_TABLE} SET table_name = ? WHERE table_name = ?`).bind(newName, tableName),
+    DB_PENERBIT.prepare(`UPDATE ${ONIX_TABLE} SET table_name = ? WHERE table_name = ?`).bind(newName, tableName),
+    DB_PENERBIT.prepare(`UPDATE ${WORKFLOWS_TABLE} SET table_name = ? WHERE table_name = ?`).bind(newName, tableName),
+    DB_PENERBIT.prepare(`UPDATE ${WEBHOOKS_TABLE} SET table_name = ? WHERE table_name = ?`).bind(newName, tableName),
+    DB_PENERBIT.prepare(`UPDATE ${DELIVERIES_TABLE} SET table_name = ? WHERE table_name = ?`).bind(newName, tableName),
+    DB_PENERBIT.prepare(`UPDATE ${ATTACHMENTS_TABLE} SET table_name = ? WHERE table_name = ?`).bind(newName, tableName),
+    DB_PENERBIT.prepare(`UPDATE ${ATTACHMENT_SETTINGS_TABLE} SET table_name = ? WHERE table_name = ?`).bind(newName, tableName)
+  ]);
+
+  console.log(`Table '${tableName}' renamed to '${newName}'`);
+
+  return new Response(JSON.stringify({
+    success: true,
+    table: newName,
+    previousName: tableName,
+    message: `Table '${tableName}' renamed to '${newName}'`
+  }), {
+    headers: { 'Content-Type': 'application/json', ...corsHeaders }
+  });
+}
+
+async function dropTable(request, url, env, tableName, corsHeaders) {
+  const { DB_PENERBIT } = env;
+  const confirmToken = readConfirmToken(request, url);
+
+  if (!confirmToken) {
+    const { token, expiresAt } = await issueConfirmToken(DB_PENERBIT, 'drop', tableName);
+    return new Response(JSON.stringify({
+      error: `Dropping table '${tableName}' deletes all its records. Repeat the request with ?confirm=<confirmToken> to continue.`,
+      confirmToken: token,
+      expiresAt
+    }), {
+      status: 428,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  if (!(await consumeConfirmToken(DB_PENERBIT, confirmToken, 'drop', tableName))) {
+    return new Response(JSON.stringify({ error: 'Confirmation token is invalid or expired' }), {
+      status: 403,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  await ensureFieldsTable(DB_PENERBIT);
+  await ensureRulesTable(DB_PENERBIT);
+  await ensureHistoryTable(DB_PENERBIT);
+  await ensureOnixTable(DB_PENERBIT);
+  await ensureWorkflowsTable(DB_PENERBIT);
+  await ensureWebhookTables(DB_PENERBIT);
+  await ensureAttachmentTables(DB_PENERBIT);
+
+  const [keysResult] = await DB_PENERBIT.batch([
+    attachmentKeysStatement(DB_PENERBIT, tableName),
+    DB_PENERBIT.prepare(`DROP TABLE ${tableName}`),
+    DB_PENERBIT.prepare(`DELETE FROM ${FIELDS_TABLE} WHERE table_name = ?`).bind(tableName),
+    DB_PENERBIT.prepare(`DELETE FROM ${RULES_TABLE} WHERE table_name = ?`).bind(tableName),
+    DB_PENERBIT.prepare(`DELETE FROM ${HISTORY_TABLE} WHERE table_name = ?`).bind(tableName),
+    DB_PENERBIT.prepare(`DELETE FROM ${ONIX_TABLE} WHERE table_name = ?`).bind(tableName),
+    DB_PENERBIT.prepare(`DELETE FROM ${WORKFLOWS_TABLE} WHERE table_name = ?`).bind(tableName),
+    DB_PENERBIT.prepare(`DELETE FROM ${DELIVERIES_TABLE} WHERE webhook_id IN (SELECT id FROM ${WEBHOOKS_TABLE} WHERE table_name = ?)`).bind(tableName),
+    DB_PENERBIT.prepare(`DELETE FROM ${WEBHOOKS_TABLE} WHERE table_name = ?`).bind(tableName),
+    DB_PENERBIT.prepare(`DELETE FROM ${ATTACHMENT_SETTINGS_TABLE} WHERE table_name = ?`).bind(tableName),
+    attachmentRowsDeleteStatement(DB_PENERBIT, tableName)
+  ]);
+
+  // Stored files go once their rows are gone; ones that cannot be removed are logged
+  await removeAttachmentObjects(env, tableName, keysResult.results.map(row => row.object_key));
+
+  console.log(`Table '${tableName}' dropped`);
+
+  return new Response(JSON.stringify({
+    success: true,
+    table: tableName,
+    message: `Table '${tableName}' dropped`
+  }), {
+    headers: { 'Content-Type': 'application/json', ...corsHeaders }
+  });
+}
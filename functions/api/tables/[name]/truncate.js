@@ -0,0 +1,118 @@
+// functions/api/tables/[name]/truncate.js - Delete every record of a table, keeping the table (admin)
+import { isValidTableName, tableExists } from '../../../_lib/tables.js';
+import { authorize } from '../../../_lib/auth.js';
+import { ensureAttachmentTables, attachmentKeysStatement, attachmentRowsDeleteStatement, removeAttachmentObjects } from '../../../_lib/attachments.js';
+import { HISTORY_TABLE, ensureHistoryTable } from '../../../_lib/history.js';
+import { consumeConfirmToken, issueConfirmToken, readConfirmToken } from '../../../_lib/confirm.js';
+
+// POST /api/tables/buku/truncate                  -> 428 with a confirmToken
+// POST /api/tables/buku/truncate?confirm=<token>  -> deletes all records and their attached files
+export async function onRequest(context) {
+  const { request, env, params } = context;
+  const { DB_PENERBIT } = env;
+  const method = request.method;
+  const url = new URL(request.url);
+  const tableName = params.name;
+
+  // CORS headers
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key, X-Confirm-Token',
+  };
+
+  // Handle preflight
+  if (method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  if (method !== 'POST') {
+    return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
+      status: 405,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Validate table name (security check)
+  if (!isValidTableName(tableName)) {
+    return new Response(JSON.stringify({
+      error: 'Invalid table name. Only alphanumeric characters and underscores allowed.'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Check API key and scope
+  const auth = await authorize(context, 'admin');
+  if (auth.error) {
+    return new Response(JSON.stringify({ error: auth.error }), {
+      status: auth.status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  try {
+    if (!(await tableExists(DB_PENERBIT, tableName))) {
+      return new Response(JSON.stringify({ error: `Table '${tableName}' does not exist` }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    const confirmToken = readConfirmToken(request, url);
+
+    if (!confirmToken) {
+      const { token, expiresAt } = await issueConfirmToken(DB_PENERBIT, 'truncate', tableName);
+      return new Response(JSON.stringify({
+        error: `Truncating table '${tableName}' deletes all its records. Repeat the request with ?confirm=<confirmToken> to continue.`,
+        confirmToken: token,
+        expiresAt
+      }), {
+        status: 428,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    if (!(await consumeConfirmToken(DB_PENERBIT, confirmToken, 'truncate', tableName))) {
+      return new Response(JSON.stringify({ error: 'Confirmation token is invalid or expired' }), {
+        status: 403,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    await ensureHistoryTable(DB_PENERBIT);
+    await ensureAttachmentTables(DB_PENERBIT);
+
+    // One purge entry per record, so change feed clients drop their copies too
+    const [, keysResult, result] = await DB_PENERBIT.batch([
+      DB_PENERBIT.prepare(`
+        INSERT INTO ${HISTORY_TABLE} (table_name, record_id, action, changed_at, changed_by, changed_by_type)
+        SELECT ?, id_x, 'purge', ?, ?, ? FROM ${tableName}
+      `).bind(tableName, new Date().toISOString(), auth.principal.name || null, auth.principal.type || null),
+      attachmentKeysStatement(DB_PENERBIT, tableName),
+      DB_PENERBIT.prepare(`DELETE FROM ${tableName}`),
+      attachmentRowsDeleteStatement(DB_PENERBIT, tableName)
+    ]);
+    const removedFiles = await removeAttachmentObjects(env, tableName, keysResult.results.map(row => row.object_key));
+    console.log(`Table '${tableName}' truncated by ${auth.principal.name}`);
+
+    return new Response(JSON.stringify({
+      success: true,
+      table: tableName,
+      deleted: result.meta.changes,
+      deletedFiles: removedFiles,
+      message: `All records deleted from table '${tableName}'`
+    }), {
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  } catch (error) {
+    console.error('Truncate error:', error);
+    return new Response(JSON.stringify({
+      error: error.message
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+}
@@ -0,0 +1,137 @@
+// functions/api/users.js - List and create admin UI users (admin scope required)
+import { authorize } from '../_lib/auth.js';
+import { MIN_PASSWORD_LENGTH, USERS_TABLE, ensureUsersTables, hashPassword, normaliseTables } from '../_lib/users.js';
+
+// GET  /api/users
+// POST /api/users  { "username": "rina", "password": "...", "role": "editor", "tables": { "buku": "editor" } }
+//                  "tables" defaults to { "*": role } for viewers and editors
+export async function onRequest(context) {
+  const { request, env } = context;
+  const { DB_PENERBIT } = env;
+  const method = request.method;
+
+  // CORS headers
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key',
+  };
+
+  // Handle preflight
+  if (method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  // Check API key and scope
+  const auth = await authorize(context, 'admin');
+  if (auth.error) {
+    return new Response(JSON.stringify({ error: auth.error }), {
+      status: auth.status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  try {
+    await ensureUsersTables(DB_PENERBIT);
+
+    switch (method) {
+      case 'GET':
+        return await listUsers(DB_PENERBIT, corsHeaders);
+      case 'POST':
+        return await createUser(request, DB_PENERBIT, corsHeaders);
+      default:
+        return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
+          status: 405,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+    }
+  } catch (error) {
+    console.error('Users API Error:', error);
+    return new Response(JSON.stringify({
+      error: error.message
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+}
+
+async function listUsers(DB_PENERBIT, corsHeaders) {
+  const { results } = await DB_PENERBIT.prepare(`
+    SELECT id, username, role, tables, created_at, disabled_at FROM ${USERS_TABLE} ORDER BY username
+  `).all();
+
+  const users = results.map(row => ({ ...row, tables: JSON.parse(row.tables) }));
+
+  return new Response(JSON.stringify({
+    success: true,
+    count: users.length,
+    data: users
+  }), {
+    headers: { 'Content-Type': 'application/json', ...corsHeaders }
+  });
+}
+
+async function createUser(request, DB_PENERBIT, corsHeaders) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return new Response(JSON.stringify({ error: 'Invalid JSON data' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return new Response(JSON.stringify({ error: 'Invalid JSON data' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  const username = typeof body.username === 'string' ? body.username.trim() : '';
+  const password = typeof body.password === 'string' ? body.password : '';
+
+  let tables;
+  try {
+    if (!/^[a-zA-Z0-9_.-]{3,50}$/.test(username)) {
+      throw new Error('username must be 3-50 letters, digits, dots, dashes or underscores');
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    tables = normaliseTables(body.role, body.tables);
+  } catch (error) {
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  const existing = await DB_PENERBIT.prepare(`SELECT id FROM ${USERS_TABLE} WHERE username = ?`)
+    .bind(username).first();
+  if (existing) {
+    return new Response(JSON.stringify({ error: `User '${username}' already exists` }), {
+      status: 409,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  const result = await DB_PENERBIT.prepare(`
+    INSERT INTO ${USERS_TABLE} (username, password_hash, role, tables) VALUES (?, ?, ?, ?)
+  `).bind(username, await hashPassword(password), body.role, JSON.stringify(tables)).run();
+
+  console.log(`User '${username}' created with role ${body.role}`);
+
+  return new Response(JSON.stringify({
+    success: true,
+    id: result.meta.last_row_id,
+    username,
+    role: body.role,
+    tables
+  }), {
+    status: 201,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders }
+  });
+}
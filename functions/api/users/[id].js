@@ -0,0 +1,150 @@
+// functions/api/users/[id].js - Update or disable an admin UI user (admin scope required)
+import { authorize } from '../../_lib/auth.js';
+import {
+  MIN_PASSWORD_LENGTH, SESSIONS_TABLE, USERS_TABLE, ensureUsersTables, hashPassword, normaliseTables
+} from '../../_lib/users.js';
+
+// PUT    /api/users/[id]  { "role": "viewer", "tables": {...}, "password": "..." } - any subset
+// DELETE /api/users/[id]  disables the user and ends their sessions
+export async function onRequest(context) {
+  const { request, env, params } = context;
+  const { DB_PENERBIT } = env;
+  const method = request.method;
+  const id = params.id;
+
+  // CORS headers
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key',
+  };
+
+  // Handle preflight
+  if (method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  // Check API key and scope
+  const auth = await authorize(context, 'admin');
+  if (auth.error) {
+    return new Response(JSON.stringify({ error: auth.error }), {
+      status: auth.status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  try {
+    await ensureUsersTables(DB_PENERBIT);
+
+    const user = await DB_PENERBIT.prepare(`SELECT id, username, role, tables FROM ${USERS_TABLE} WHERE id = ?`)
+      .bind(id).first();
+
+    if (!user) {
+      return new Response(JSON.stringify({ error: 'User not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    if (method === 'PUT') {
+      return await updateUser(request, DB_PENERBIT, user, corsHeaders);
+    } else if (method === 'DELETE') {
+      return await disableUser(DB_PENERBIT, user, corsHeaders);
+    } else {
+      return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
+        status: 405,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+  } catch (error) {
+    console.error('User API Error:', error);
+    return new Response(JSON.stringify({
+      error: error.message
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+}
+
+async function updateUser(request, DB_PENERBIT, user, corsHeaders) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return new Response(JSON.stringify({ error: 'Invalid JSON data' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return new Response(JSON.stringify({ error: 'Invalid JSON data' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  const role = body.role || user.role;
+  let tables;
+  try {
+    const roleChanged = body.role !== undefined && body.role !== user.role;
+    tables = normaliseTables(role, body.tables !== undefined || roleChanged ? body.tables : JSON.parse(user.tables));
+
+    if (body.password !== undefined && (typeof body.password !== 'string' || body.password.length < MIN_PASSWORD_LENGTH)) {
+      throw new Error(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+  } catch (error) {
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  const statements = [
+    DB_PENERBIT.prepare(`UPDATE ${USERS_TABLE} SET role = ?, tables = ? WHERE id = ?`)
+      .bind(role, JSON.stringify(tables), user.id)
+  ];
+
+  // A new password logs the user out everywhere
+  if (body.password !== undefined) {
+    statements.push(
+      DB_PENERBIT.prepare(`UPDATE ${USERS_TABLE} SET password_hash = ? WHERE id = ?`)
+        .bind(await hashPassword(body.password), user.id),
+      DB_PENERBIT.prepare(`DELETE FROM ${SESSIONS_TABLE} WHERE user_id = ?`).bind(user.id)
+    );
+  }
+
+  await DB_PENERBIT.batch(statements);
+  console.log(`User '${user.username}' updated`);
+
+  return new Response(JSON.stringify({
+    success: true,
+    id: user.id,
+    username: user.username,
+    role,
+    tables
+  }), {
+    headers: { 'Content-Type': 'application/json', ...corsHeaders }
+  });
+}
+
+async function disableUser(DB_PENERBIT, user, corsHeaders) {
+  await DB_PENERBIT.batch([
+    DB_PENERBIT.prepare(`
+      UPDATE ${USERS_TABLE} SET disabled_at = strftime('%Y-%m-%dT%H:%M:%SZ', 'now')
+      WHERE id = ? AND disabled_at IS NULL
+    `).bind(user.id),
+    DB_PENERBIT.prepare(`DELETE FROM ${SESSIONS_TABLE} WHERE user_id = ?`).bind(user.id)
+  ]);
+
+  console.log(`User '${user.username}' disabled`);
+
+  return new Response(JSON.stringify({
+    success: true,
+    id: user.id,
+    message: `User '${user.username}' disabled`
+  }), {
+    headers: { 'Content-Type': 'application/json', ...corsHeaders }
+  });
+}
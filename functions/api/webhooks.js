@@ -0,0 +1,155 @@
+// functions/api/webhooks.js - Webhook subscriptions for record changes (admin scope required)
+import { isValidTableName, tableExists } from '../_lib/tables.js';
+import { authorize } from '../_lib/auth.js';
+import {
+  WEBHOOKS_TABLE, WEBHOOK_EVENTS, ensureWebhookTables, isValidWebhookUrl, checkWebhookEvents,
+  generateWebhookSecret, webhookView
+} from '../_lib/webhooks.js';
+
+// GET  /api/webhooks?table=buku   -> subscriptions (all tables without ?table=)
+// POST /api/webhooks  { "table": "pesanan", "url": "https://...", "events": ["created", "updated"],
+//                       "description": "order processing" }
+//      -> the new subscription with its signing secret, shown once
+// Each delivery is a POST with the JSON payload
+//   { event_id, event, table, id_x, occurred_at, record }
+// and the headers X-Webhook-Event, X-Webhook-Delivery, X-Webhook-Timestamp and
+// X-Webhook-Signature: "sha256=" + hex HMAC-SHA256 of "<timestamp>.<body>" with the secret.
+// Restoring a record from the trash sends 'created'; rollbacks and transitions send 'updated'.
+// URLs must be https; http is accepted for localhost to test with a local receiver.
+// Manage one subscription at /api/webhooks/[id], the delivery log at /api/webhooks/deliveries.
+export async function onRequest(context) {
+  const { request, env } = context;
+  const { DB_PENERBIT } = env;
+  const method = request.method;
+  const url = new URL(request.url);
+
+  // CORS headers
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key',
+  };
+
+  // Handle preflight
+  if (method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  // Check API key and scope
+  const auth = await authorize(context, 'admin');
+  if (auth.error) {
+    return new Response(JSON.stringify({ error: auth.error }), {
+      status: auth.status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  console.log(`API ${method} request to /api/webhooks by ${auth.principal.name}`);
+
+  try {
+    await ensureWebhookTables(DB_PENERBIT);
+
+    switch (method) {
+      case 'GET':
+        return await listWebhooks(DB_PENERBIT, url.searchParams.get('table'), corsHeaders);
+      case 'POST':
+        return await createWebhook(request, DB_PENERBIT, auth.principal, corsHeaders);
+      default:
+        return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
+          status: 405,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+    }
+  } catch (error) {
+    console.error('Webhooks API Error:', error);
+    return new Response(JSON.stringify({
+      error: error.message
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+}
+
+async function listWebhooks(DB_PENERBIT, tableName, corsHeaders) {
+  const { results } = tableName
+    ? await DB_PENERBIT.prepare(`SELECT * FROM ${WEBHOOKS_TABLE} WHERE table_name = ? ORDER BY id`).bind(tableName).all()
+    : await DB_PENERBIT.prepare(`SELECT * FROM ${WEBHOOKS_TABLE} ORDER BY table_name, id`).all();
+
+  const webhooks = results.map(webhookView);
+
+  return new Response(JSON.stringify({
+    success: true,
+    count: webhooks.length,
+    events: WEBHOOK_EVENTS,
+    data: webhooks
+  }), {
+    headers: { 'Content-Type': 'application/json', ...corsHeaders }
+  });
+}
+
+async function createWebhook(request, DB_PENERBIT, principal, corsHeaders) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return new Response(JSON.stringify({ error: 'Invalid JSON data' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return new Response(JSON.stringify({ error: 'Invalid JSON data' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  const { table: tableName, url: targetUrl } = body;
+  const description = typeof body.description === 'string' ? body.description.trim() : null;
+
+  let problem = null;
+  if (!isValidTableName(tableName)) {
+    problem = 'table must be a valid table name';
+  } else if (!(await tableExists(DB_PENERBIT, tableName))) {
+    problem = `Table '${tableName}' does not exist`;
+  } else if (typeof targetUrl !== 'string' || targetUrl.length > 2000 || !isValidWebhookUrl(targetUrl)) {
+    problem = 'url must be an https URL (http only for localhost)';
+  } else if (description && description.length > 200) {
+    problem = 'description must be at most 200 characters';
+  }
+
+  let events;
+  try {
+    events = checkWebhookEvents(body.events);
+  } catch (error) {
+    problem = problem || error.message;
+  }
+
+  if (problem) {
+    return new Response(JSON.stringify({ error: problem }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  const secret = generateWebhookSecret();
+  const result = await DB_PENERBIT.prepare(`
+    INSERT INTO ${WEBHOOKS_TABLE} (table_name, url, events, secret, description, created_at, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).bind(tableName, targetUrl, JSON.stringify(events), secret, description || null, new Date().toISOString(), principal.name).run();
+
+  const row = await DB_PENERBIT.prepare(`SELECT * FROM ${WEBHOOKS_TABLE} WHERE id = ?`).bind(result.meta.last_row_id).first();
+  console.log(`Webhook ${row.id} for ${tableName} (${events.join(', ')}) created by ${principal.name}`);
+
+  return new Response(JSON.stringify({
+    success: true,
+    ...webhookView(row),
+    secret,
+    message: 'Store this secret now to verify signatures; it cannot be shown again'
+  }), {
+    status: 201,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders }
+  });
+}
@@ -0,0 +1,183 @@
+// functions/api/webhooks/[id].js - Show, change or remove one webhook subscription (admin scope required)
+import { authorize } from '../../_lib/auth.js';
+import {
+  WEBHOOKS_TABLE, DELIVERIES_TABLE, loadWebhook, isValidWebhookUrl, checkWebhookEvents,
+  generateWebhookSecret, webhookView
+} from '../../_lib/webhooks.js';
+
+// GET    /api/webhooks/3   -> subscription plus delivery counts per status
+// PATCH  /api/webhooks/3   { "url": "...", "events": [...], "description": "...", "active": false }
+//                          { "rotateSecret": true } -> returns the new secret once
+// DELETE /api/webhooks/3   -> removes the subscription and its delivery log
+// Test it with POST /api/webhooks/3/test.
+export async function onRequest(context) {
+  const { request, env, params } = context;
+  const { DB_PENERBIT } = env;
+  const method = request.method;
+  const id = params.id;
+
+  // CORS headers
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, PATCH, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key',
+  };
+
+  // Handle preflight
+  if (method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  // Check API key and scope
+  const auth = await authorize(context, 'admin');
+  if (auth.error) {
+    return new Response(JSON.stringify({ error: auth.error }), {
+      status: auth.status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  if (!['GET', 'PATCH', 'DELETE'].includes(method)) {
+    return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
+      status: 405,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  if (!/^\d+$/.test(id)) {
+    return new Response(JSON.stringify({ error: 'Webhook ID must be a number' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  console.log(`API ${method} request to /api/webhooks/${id} by ${auth.principal.name}`);
+
+  try {
+    const webhook = await loadWebhook(DB_PENERBIT, id);
+    if (!webhook) {
+      return new Response(JSON.stringify({ error: `Webhook ${id} not found` }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    if (method === 'GET') {
+      const { results } = await DB_PENERBIT.prepare(`
+        SELECT status, COUNT(*) AS count FROM ${DELIVERIES_TABLE} WHERE webhook_id = ? GROUP BY status
+      `).bind(webhook.id).all();
+
+      const deliveries = { pending: 0, delivered: 0, failed: 0 };
+      for (const row of results) deliveries[row.status] = row.count;
+
+      return new Response(JSON.stringify({
+        success: true,
+        ...webhookView(webhook),
+        deliveries
+      }), {
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    if (method === 'DELETE') {
+      await DB_PENERBIT.batch([
+        DB_PENERBIT.prepare(`DELETE FROM ${DELIVERIES_TABLE} WHERE webhook_id = ?`).bind(webhook.id),
+        DB_PENERBIT.prepare(`DELETE FROM ${WEBHOOKS_TABLE} WHERE id = ?`).bind(webhook.id)
+      ]);
+      console.log(`Webhook ${webhook.id} deleted by ${auth.principal.name}`);
+
+      return new Response(JSON.stringify({
+        success: true,
+        id: webhook.id,
+        message: 'Webhook deleted'
+      }), {
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    return await updateWebhook(request, DB_PENERBIT, webhook, corsHeaders);
+  } catch (error) {
+    console.error('Webhook API Error:', error);
+    return new Response(JSON.stringify({
+      error: error.message
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+}
+
+async function updateWebhook(request, DB_PENERBIT, webhook, corsHeaders) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return new Response(JSON.stringify({ error: 'Invalid JSON data' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return new Response(JSON.stringify({ error: 'Invalid JSON data' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  const updated = { ...webhook };
+  let problem = null;
+
+  if (body.url !== undefined) {
+    if (typeof body.url !== 'string' || body.url.length > 2000 || !isValidWebhookUrl(body.url)) {
+      problem = 'url must be an https URL (http only for localhost)';
+    }
+    updated.url = body.url;
+  }
+  if (body.events !== undefined) {
+    try {
+      updated.events = JSON.stringify(checkWebhookEvents(body.events));
+    } catch (error) {
+      problem = problem || error.message;
+    }
+  }
+  if (body.description !== undefined) {
+    const description = typeof body.description === 'string' ? body.description.trim() : null;
+    if (description && description.length > 200) {
+      problem = problem || 'description must be at most 200 characters';
+    }
+    updated.description = description || null;
+  }
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') {
+      problem = problem || 'active must be true or false';
+    }
+    updated.active = body.active ? 1 : 0;
+  }
+  if (body.rotateSecret !== undefined && body.rotateSecret !== true) {
+    problem = problem || 'rotateSecret must be true when sent';
+  }
+
+  if (problem) {
+    return new Response(JSON.stringify({ error: problem }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  const secret = body.rotateSecret ? generateWebhookSecret() : webhook.secret;
+
+  await DB_PENERBIT.prepare(`
+    UPDATE ${WEBHOOKS_TABLE} SET url = ?, events = ?, description = ?, active = ?, secret = ? WHERE id = ?
+  `).bind(updated.url, updated.events, updated.description, updated.active, secret, webhook.id).run();
+
+  console.log(`Webhook ${webhook.id} updated${body.rotateSecret ? ' with a new secret' : ''}`);
+
+  return new Response(JSON.stringify({
+    success: true,
+    ...webhookView(updated),
+    ...(body.rotateSecret ? { secret, message: 'Store this secret now; it cannot be shown again' } : { message: 'Webhook updated' })
+  }), {
+    headers: { 'Content-Type': 'application/json', ...corsHeaders }
+  });
+}
@@ -0,0 +1,104 @@
+// functions/api/webhooks/[id]/test.js - Send a test event to one subscription (admin scope required)
+import { authorize } from '../../../_lib/auth.js';
+import { randomHex } from '../../../_lib/crypto.js';
+import { DELIVERIES_TABLE, loadWebhook, deliveryStatement, claimDelivery, sendDelivery, deliveryView } from '../../../_lib/webhooks.js';
+
+// POST /api/webhooks/3/test
+//   -> sends { event: "ping", ... } signed like a real delivery, waits for the receiver and
+//      returns the logged delivery (status, response_status, last_error). Pings are not retried.
+export async function onRequest(context) {
+  const { request, env, params } = context;
+  const { DB_PENERBIT } = env;
+  const method = request.method;
+  const id = params.id;
+
+  // CORS headers
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key',
+  };
+
+  // Handle preflight
+  if (method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  // Check API key and scope
+  const auth = await authorize(context, 'admin');
+  if (auth.error) {
+    return new Response(JSON.stringify({ error: auth.error }), {
+      status: auth.status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  if (method !== 'POST') {
+    return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
+      status: 405,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  if (!/^\d+$/.test(id)) {
+    return new Response(JSON.stringify({ error: 'Webhook ID must be a number' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  try {
+    const webhook = await loadWebhook(DB_PENERBIT, id);
+    if (!webhook) {
+      return new Response(JSON.stringify({ error: `Webhook ${id} not found` }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    const now = new Date().toISOString();
+    const eventId = randomHex(16);
+    const payload = JSON.stringify({
+      event_id: eventId,
+      event: 'ping',
+      table: webhook.table_name,
+      id_x: null,
+      occurred_at: now,
+      record: null
+    });
+
+    const result = await deliveryStatement(DB_PENERBIT, {
+      webhookId: webhook.id, eventId, event: 'ping', tableName: webhook.table_name, payload, now
+    }).run();
+    const delivery = await DB_PENERBIT.prepare(`SELECT * FROM ${DELIVERIES_TABLE} WHERE id = ?`).bind(result.meta.last_row_id).first();
+
+    // It is due at once, so a sweep may have picked it up already
+    if (!(await claimDelivery(DB_PENERBIT, delivery))) {
+      return new Response(JSON.stringify({ error: `Test delivery ${delivery.id} is already being sent` }), {
+        status: 409,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    console.log(`Sending test event to webhook ${webhook.id} for ${auth.principal.name}`);
+    const sent = await sendDelivery(DB_PENERBIT, delivery, webhook, { retry: false });
+
+    return new Response(JSON.stringify({
+      success: sent.status === 'delivered',
+      message: sent.status === 'delivered'
+        ? `Receiver answered ${sent.response_status}`
+        : `Test delivery failed: ${sent.last_error}`,
+      delivery: deliveryView(sent)
+    }), {
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  } catch (error) {
+    console.error('Webhook test error:', error);
+    return new Response(JSON.stringify({
+      error: error.message
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+}
@@ -0,0 +1,131 @@
+// functions/api/webhooks/deliveries.js - Webhook delivery log (admin scope required)
+import { authorize } from '../../_lib/auth.js';
+import { parseLimit } from '../../_lib/listing.js';
+import { DELIVERIES_TABLE, ensureWebhookTables, sendDueDeliveries, deliveryView } from '../../_lib/webhooks.js';
+
+const DELIVERY_STATUSES = ['pending', 'sending', 'delivered', 'failed'];
+
+// GET  /api/webhooks/deliveries?webhook=3&status=failed&limit=50&before=120
+//      -> newest first; pass the last id as ?before= for the next page
+// POST /api/webhooks/deliveries
+//      -> sends pending retries that are due now, e.g. from a scheduled job
+// Replay one delivery with POST /api/webhooks/deliveries/[id]/replay.
+export async function onRequest(context) {
+  const { request, env } = context;
+  const { DB_PENERBIT } = env;
+  const method = request.method;
+  const url = new URL(request.url);
+
+  // CORS headers
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key',
+  };
+
+  // Handle preflight
+  if (method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  // Check API key and scope
+  const auth = await authorize(context, 'admin');
+  if (auth.error) {
+    return new Response(JSON.stringify({ error: auth.error }), {
+      status: auth.status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  if (method !== 'GET' && method !== 'POST') {
+    return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
+      status: 405,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  console.log(`API ${method} request to /api/webhooks/deliveries by ${auth.principal.name}`);
+
+  try {
+    await ensureWebhookTables(DB_PENERBIT);
+
+    if (method === 'POST') {
+      const sent = await sendDueDeliveries(DB_PENERBIT);
+      return new Response(JSON.stringify({
+        success: true,
+        sent,
+        message: `${sent} due deliveries sent`
+      }), {
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    const params = url.searchParams;
+    const conditions = [];
+    const values = [];
+
+    for (const [param, column] of [['webhook', 'webhook_id'], ['before', 'id']]) {
+      const value = params.get(param);
+      if (value === null) continue;
+      if (!/^\d+$/.test(value)) {
+        return new Response(JSON.stringify({ error: `${param} must be a number` }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+      conditions.push(param === 'before' ? `${column} < ?` : `${column} = ?`);
+      values.push(Number(value));
+    }
+
+    const status = params.get('status');
+    if (status !== null) {
+      if (!DELIVERY_STATUSES.includes(status)) {
+        return new Response(JSON.stringify({ error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}` }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+      conditions.push('status = ?');
+      values.push(status);
+    }
+
+    let limit;
+    try {
+      limit = parseLimit(params.get('limit'));
+    } catch (error) {
+      return new Response(JSON.stringify({ error: error.message }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    const { results } = await DB_PENERBIT.prepare(`
+      SELECT * FROM ${DELIVERIES_TABLE}
+      ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY id DESC
+      LIMIT ?
+    `).bind(...values, limit + 1).all();
+
+    const hasMore = results.length > limit;
+    const data = results.slice(0, limit).map(deliveryView);
+
+    return new Response(JSON.stringify({
+      success: true,
+      count: data.length,
+      limit,
+      hasMore,
+      nextBefore: hasMore ? data[data.length - 1].id : null,
+      data
+    }), {
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  } catch (error) {
+    console.error('Webhook deliveries error:', error);
+    return new Response(JSON.stringify({
+      error: error.message
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+}
@@ -0,0 +1,99 @@
+// functions/api/webhooks/deliveries/[id]/replay.js - Send one logged delivery again (admin scope required)
+import { authorize } from '../../../../_lib/auth.js';
+import { DELIVERIES_TABLE, ensureWebhookTables, loadWebhook, claimDelivery, sendDelivery, deliveryView } from '../../../../_lib/webhooks.js';
+
+// POST /api/webhooks/deliveries/57/replay
+//   -> sends the stored payload again, with the same X-Webhook-Delivery id and a fresh
+//      timestamp and signature, to the subscription's current URL. Waits for the receiver and
+//      returns the updated log entry. Works for failed and delivered entries alike; a replay
+//      that fails is not retried automatically. An entry that is being sent right now answers 409.
+export async function onRequest(context) {
+  const { request, env, params } = context;
+  const { DB_PENERBIT } = env;
+  const method = request.method;
+  const id = params.id;
+
+  // CORS headers
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key',
+  };
+
+  // Handle preflight
+  if (method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  // Check API key and scope
+  const auth = await authorize(context, 'admin');
+  if (auth.error) {
+    return new Response(JSON.stringify({ error: auth.error }), {
+      status: auth.status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  if (method !== 'POST') {
+    return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
+      status: 405,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  if (!/^\d+$/.test(id)) {
+    return new Response(JSON.stringify({ error: 'Delivery ID must be a number' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  try {
+    await ensureWebhookTables(DB_PENERBIT);
+
+    const delivery = await DB_PENERBIT.prepare(`SELECT * FROM ${DELIVERIES_TABLE} WHERE id = ?`).bind(id).first();
+    if (!delivery) {
+      return new Response(JSON.stringify({ error: `Delivery ${id} not found` }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    const webhook = await loadWebhook(DB_PENERBIT, delivery.webhook_id);
+    if (!webhook) {
+      return new Response(JSON.stringify({ error: `Webhook ${delivery.webhook_id} of this delivery no longer exists` }), {
+        status: 409,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    // A sweep may be sending it right now; replaying as well would deliver it twice
+    if (!(await claimDelivery(DB_PENERBIT, delivery))) {
+      return new Response(JSON.stringify({ error: `Delivery ${delivery.id} is being sent right now` }), {
+        status: 409,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+
+    console.log(`Replaying delivery ${delivery.id} to webhook ${webhook.id} for ${auth.principal.name}`);
+    const sent = await sendDelivery(DB_PENERBIT, delivery, webhook, { retry: false });
+
+    return new Response(JSON.stringify({
+      success: sent.status === 'delivered',
+      message: sent.status === 'delivered'
+        ? `Delivery ${delivery.id} replayed, receiver answered ${sent.response_status}`
+        : `Replay failed: ${sent.last_error}`,
+      delivery: deliveryView(sent)
+    }), {
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  } catch (error) {
+    console.error('Webhook replay error:', error);
+    return new Response(JSON.stringify({
+      error: error.message
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+}
@@ -0,0 +1,151 @@
+// functions/api/workflows.js - Read, replace and remove the status workflow of a dynamic table
+import { isValidTableName } from '../_lib/tables.js';
+import { loadFieldMap } from '../_lib/fields.js';
+import { WORKFLOW_TEMPLATES, loadWorkflow, saveWorkflow, deleteWorkflow } from '../_lib/workflow.js';
+import { authorize } from '../_lib/auth.js';
+
+// GET    /api/workflows?table=naskah  -> { workflow: { column, initial, states, transitions, labels } }
+// PUT    /api/workflows?table=naskah  with { "column": "status", "template": "manuscript" } or
+// {
+//   "column": "x_05", "initial": "submitted",
+//   "states": ["submitted", "in_review", "accepted", "rejected"],
+//   "transitions": { "submitted": ["in_review"], "in_review": ["accepted", "rejected"] },
+//   "labels": { "in_review": "Direview" }
+// }
+// DELETE /api/workflows?table=naskah  removes the workflow; the column becomes a normal one.
+// Records move between states with POST /api/contacts/[id]/transition.
+export async function onRequest(context) {
+  const { request, env } = context;
+  const { DB_PENERBIT } = env;
+  const method = request.method;
+  const url = new URL(request.url);
+
+  // Get table name from query parameter or header
+  const tableName = url.searchParams.get('table') || request.headers.get('X-Table-Name') || 'contacts';
+
+  // CORS headers
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Table-Name, Authorization, X-API-Key',
+  };
+
+  // Handle preflight
+  if (method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  // Validate table name (security check)
+  if (!isValidTableName(tableName)) {
+    return new Response(JSON.stringify({
+      error: 'Invalid table name. Only alphanumeric characters and underscores allowed.'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  // Check API key and scope
+  const auth = await authorize(context, method === 'GET' ? `read:${tableName}` : 'admin');
+  if (auth.error) {
+    return new Response(JSON.stringify({ error: auth.error }), {
+      status: auth.status,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  console.log(`API ${method} request to /api/workflows with table: ${tableName}`);
+
+  try {
+    switch (method) {
+      case 'GET':
+        return await getWorkflow(DB_PENERBIT, tableName, corsHeaders);
+      case 'PUT':
+        return await putWorkflow(request, DB_PENERBIT, tableName, corsHeaders);
+      case 'DELETE':
+        return await removeWorkflow(DB_PENERBIT, tableName, corsHeaders);
+      default:
+        return new Response(JSON.stringify({ error: `Method ${method} not allowed` }), {
+          status: 405,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+    }
+  } catch (error) {
+    console.error('Workflows API Error:', error);
+    return new Response(JSON.stringify({
+      error: error.message
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+}
+
+async function getWorkflow(DB_PENERBIT, tableName, corsHeaders) {
+  const workflow = await loadWorkflow(DB_PENERBIT, tableName);
+
+  return new Response(JSON.stringify({
+    success: true,
+    table: tableName,
+    templates: Object.keys(WORKFLOW_TEMPLATES),
+    workflow
+  }), {
+    headers: { 'Content-Type': 'application/json', ...corsHeaders }
+  });
+}
+
+async function putWorkflow(request, DB_PENERBIT, tableName, corsHeaders) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return new Response(JSON.stringify({ error: 'Invalid JSON data' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  let workflow;
+  try {
+    const fieldMap = await loadFieldMap(DB_PENERBIT, tableName);
+    workflow = await saveWorkflow(DB_PENERBIT, tableName, body, fieldMap);
+  } catch (error) {
+    console.error('Save workflow error:', error);
+    return new Response(JSON.stringify({
+      error: `Failed to save workflow for table '${tableName}': ${error.message}`
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  console.log(`Workflow for '${tableName}' saved on ${workflow.column}: ${workflow.states.join(', ')}`);
+
+  return new Response(JSON.stringify({
+    success: true,
+    table: tableName,
+    message: `Workflow saved for table '${tableName}'`,
+    workflow
+  }), {
+    headers: { 'Content-Type': 'application/json', ...corsHeaders }
+  });
+}
+
+async function removeWorkflow(DB_PENERBIT, tableName, corsHeaders) {
+  if (!(await deleteWorkflow(DB_PENERBIT, tableName))) {
+    return new Response(JSON.stringify({ error: `Table '${tableName}' has no workflow` }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+
+  console.log(`Workflow for '${tableName}' removed`);
+
+  return new Response(JSON.stringify({
+    success: true,
+    table: tableName,
+    message: `Workflow removed from table '${tableName}'`
+  }), {
+    headers: { 'Content-Type': 'application/json', ...corsHeaders }
+  });
+}